@@ -2,7 +2,6 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const morgan = require('morgan');
 const fs = require('fs');
@@ -10,10 +9,21 @@ const path = require('path');
 
 const authRoutes = require('./routes/auth');
 const analyticsRoutes = require('./routes/analytics');
+const eventRoutes = require('./routes/events');
+const trackingPlanRoutes = require('./routes/trackingPlan');
+const identityRoutes = require('./routes/identity');
+const settingsRoutes = require('./routes/settings');
+const deadLetterRoutes = require('./routes/deadLetters');
+const transformationRoutes = require('./routes/transformations');
+const adminRoutes = require('./routes/admin');
+const destinationRoutes = require('./routes/destinations');
+const segmentRoutes = require('./routes/segment');
+const measurementProtocolRoutes = require('./routes/measurementProtocol');
 const { errorHandler } = require('./middleware/errorHandler');
-const { connectDB } = require('./config/database');
-const { connectRedis } = require('./config/redis');
+const { anonymousRateLimit } = require('./middleware/rateLimit');
 const { setupSwagger } = require('./config/swagger');
+const { startServices, stopServices } = require('./services/lifecycle');
+const { truncateIp } = require('./utils/ip');
 
 const app = express();
 
@@ -30,7 +40,21 @@ app.use(cors());
 // Compression middleware
 app.use(compression());
 
-// Logging middleware
+// Logging middleware; access logs keep only truncated client IPs, and no
+// keys sent in the query string (e.g. the Measurement Protocol api_secret)
+const REDACTED_QUERY_PARAMS = ['api_secret', 'apiKey', 'key'];
+morgan.token('remote-addr', (req) => truncateIp(req.ip || req.socket?.remoteAddress));
+morgan.token('url', (req) => {
+  const url = req.originalUrl || req.url;
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) {
+    return url;
+  }
+
+  const params = new URLSearchParams(url.substring(queryStart + 1));
+  REDACTED_QUERY_PARAMS.filter(name => params.has(name)).forEach(name => params.set(name, 'REDACTED'));
+  return `${url.substring(0, queryStart)}?${params}`;
+});
 app.use(morgan('combined', {
   stream: fs.createWriteStream(path.join(logsDir, 'access.log'), { flags: 'a' })
 }));
@@ -38,16 +62,9 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: {
-    error: 'Too many requests',
-    message: 'Rate limit exceeded. Please try again later.'
-  }
-});
-app.use(limiter);
+// Rate limiting for requests without an API key; the rest are limited per
+// application once authenticated
+app.use(anonymousRateLimit);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -59,6 +76,20 @@ setupSwagger(app);
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/tracking-plan', trackingPlanRoutes);
+app.use('/api/identity', identityRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/dead-letters', deadLetterRoutes);
+app.use('/api/transformations', transformationRoutes);
+app.use('/api/destinations', destinationRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Segment HTTP Tracking API, at the paths Segment SDKs call on their host
+app.use('/v1', segmentRoutes);
+
+// GA4 Measurement Protocol, at /mp/collect and /debug/mp/collect as on GA
+app.use(measurementProtocolRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -98,20 +129,38 @@ const PORT = process.env.PORT || 3000;
 // Initialize services
 const initializeApp = async () => {
   try {
-    await connectDB();
-    await connectRedis();
+    await startServices();
     
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
       console.log(`❤️  Health Check: http://localhost:${PORT}/health`);
     });
+
+    // Stop taking requests, then let the workers write out what they hold
+    // (queued batches, usage counts, buffered archive lines) before exiting
+    const shutdown = async (signal) => {
+      console.log(`ℹ️ ${signal} received, shutting down`);
+      server.close();
+      try {
+        await stopServices();
+        process.exit(0);
+      } catch (error) {
+        console.error('❌ Shutdown failed:', error);
+        process.exit(1);
+      }
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
   } catch (error) {
     console.error('❌ Failed to initialize application:', error);
     process.exit(1);
   }
 };
 
-initializeApp();
+// Tests start the services themselves and call the app through supertest
+if (require.main === module) {
+  initializeApp();
+}
 
 module.exports = app;
\ No newline at end of file
@@ -23,12 +23,6 @@ const connectDB = async () => {
       logger.warn('⚠️ MongoDB disconnected');
     });
 
-    process.on('SIGINT', async () => {
-      await mongoose.connection.close();
-      logger.info('ℹ️ MongoDB connection closed through app termination');
-      process.exit(0);
-    });
-
   } catch (error) {
     logger.error('❌ Database connection error:', error);
     process.exit(1);
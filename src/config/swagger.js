@@ -28,7 +28,25 @@ const options = {
         ApiKeyAuth: {
           type: 'apiKey',
           in: 'header',
-          name: 'x-api-key'
+          name: 'x-api-key',
+          description: 'Secret API key, or the publishable key (pk_...) on event collection routes from an allowed origin'
+        },
+        AdminKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-admin-key',
+          description: 'Operator key set in ADMIN_API_KEY'
+        },
+        SegmentWriteKey: {
+          type: 'http',
+          scheme: 'basic',
+          description: 'API key, or the publishable key from browsers, as the username with an empty password, the way Segment SDKs send their write key'
+        },
+        MeasurementProtocolSecret: {
+          type: 'apiKey',
+          in: 'query',
+          name: 'api_secret',
+          description: 'Secret API key in place of the GA4 API secret'
         }
       },
       responses: {
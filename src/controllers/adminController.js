@@ -0,0 +1,122 @@
+const Application = require('../models/Application');
+const logger = require('../utils/logger');
+const { generateApiResponse } = require('../utils/response');
+const { getRateLimits } = require('../middleware/rateLimit');
+
+const LIMIT_FIELDS = ['api', 'events', 'batch', 'import'];
+
+const notFound = (res) => res.status(404).json(generateApiResponse(
+  'Application not found',
+  null,
+  404,
+  'NO_APPLICATION_FOUND'
+));
+
+const rateLimitData = async (application) => ({
+  appId: application._id,
+  overrides: application.rateLimits || {},
+  effective: await getRateLimits(application)
+});
+
+/**
+ * Admin Controller - Operator endpoints that act on any application
+ */
+class AdminController {
+
+  /**
+   * Get an application's rate limits, with where each comes from
+   */
+  async getRateLimits(req, res, next) {
+    try {
+      const application = await Application.findById(req.params.appId);
+      if (!application) {
+        return notFound(res);
+      }
+
+      res.json(generateApiResponse(
+        'Rate limits retrieved successfully',
+        await rateLimitData(application)
+      ));
+
+    } catch (error) {
+      logger.error('Rate limit retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Override some of an application's rate limits; the rest follow its plan
+   */
+  async updateRateLimits(req, res, next) {
+    try {
+      const { appId } = req.params;
+      const overrides = LIMIT_FIELDS.reduce((fields, name) => {
+        if (req.body[name] !== undefined) {
+          fields[name] = req.body[name];
+        }
+        return fields;
+      }, {});
+
+      const application = await Application.findByIdAndUpdate(
+        appId,
+        {
+          rateLimits: {
+            ...overrides,
+            reason: req.body.reason,
+            updatedAt: new Date()
+          }
+        },
+        { new: true, runValidators: true }
+      );
+      if (!application) {
+        return notFound(res);
+      }
+
+      logger.info('Rate limit overrides updated', {
+        appId,
+        overrides,
+        reason: req.body.reason
+      });
+
+      res.json(generateApiResponse(
+        'Rate limits updated successfully',
+        await rateLimitData(application)
+      ));
+
+    } catch (error) {
+      logger.error('Rate limit update failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Remove an application's overrides so its plan's limits apply again
+   */
+  async resetRateLimits(req, res, next) {
+    try {
+      const { appId } = req.params;
+
+      const application = await Application.findByIdAndUpdate(
+        appId,
+        { $unset: { rateLimits: 1 } },
+        { new: true }
+      );
+      if (!application) {
+        return notFound(res);
+      }
+
+      logger.info('Rate limit overrides removed', { appId });
+
+      res.json(generateApiResponse(
+        'Rate limits reset to the plan defaults',
+        await rateLimitData(application)
+      ));
+
+    } catch (error) {
+      logger.error('Rate limit reset failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new AdminController();
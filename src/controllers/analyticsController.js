@@ -1,7 +1,10 @@
 const Event = require('../models/Event');
+const Identity = require('../models/Identity');
 const { getRedisClient } = require('../config/redis');
 const logger = require('../utils/logger');
 const { generateApiResponse } = require('../utils/response');
+const { buildUserEventStages } = require('../services/identity');
+const { DEVICE_TYPES } = require('../utils/constants');
 
 /**
  * Analytics Controller - Handles analytics data processing and reporting
@@ -15,6 +18,7 @@ class AnalyticsController {
     try {
       const { event, startDate, endDate, app_id } = req.query;
       const appId = app_id || req.application._id;
+      const includeBots = req.query.includeBots === 'true';
 
       logger.info('Generating event summary', {
         appId,
@@ -24,7 +28,7 @@ class AnalyticsController {
       });
 
       // Generate cache key
-      const cacheKey = `event-summary:${appId}:${event}:${startDate || ''}:${endDate || ''}`;
+      const cacheKey = `event-summary:${appId}:${event}:${startDate || ''}:${endDate || ''}:${includeBots}`;
       const redisClient = getRedisClient();
 
       // Try to get from cache
@@ -43,13 +47,14 @@ class AnalyticsController {
       }
 
       // Execute aggregation
-      const summary = await Event.getEventSummary(appId, event, startDate, endDate);
+      const summary = await Event.getEventSummary(appId, event, startDate, endDate, {}, { includeBots });
 
       const result = summary[0] || {
         event,
         count: 0,
         uniqueUsers: 0,
-        deviceData: { mobile: 0, desktop: 0, tablet: 0 },
+        deviceData: Object.fromEntries(Object.values(DEVICE_TYPES).map(device => [device, 0])),
+        estimated: false,
         hourlyData: this.generateEmptyHourlyData(),
         dailyData: this.generateEmptyDailyData()
       };
@@ -93,11 +98,12 @@ class AnalyticsController {
     try {
       const { userId } = req.query;
       const appId = req.application._id;
+      const includeBots = req.query.includeBots === 'true';
 
       logger.info('Generating user stats', { appId, userId });
 
       // Generate cache key
-      const cacheKey = `user-stats:${appId}:${userId}`;
+      const cacheKey = `user-stats:${appId}:${userId}:${includeBots}`;
       const redisClient = getRedisClient();
 
       // Try to get from cache
@@ -115,20 +121,16 @@ class AnalyticsController {
         logger.warn('Cache read failed, proceeding without cache:', cacheError);
       }
 
-      // Get user stats with enhanced aggregation
+      // Get user stats across every ID linked to the user
+      const { userId: canonicalUserId, stages } = await buildUserEventStages(req.application, userId, { includeBots });
       const userStats = await Event.aggregate([
-        {
-          $match: {
-            appId: appId,
-            userId: userId
-          }
-        },
+        ...stages,
         {
           $sort: { timestamp: -1 }
         },
         {
           $group: {
-            _id: '$userId',
+            _id: '$canonicalUserId',
             totalEvents: { $sum: 1 },
             uniqueEvents: { $addToSet: '$event' },
             recentEvents: { 
@@ -170,7 +172,8 @@ class AnalyticsController {
             ipAddress: 1,
             firstSeen: 1,
             lastSeen: 1,
-            sessionCount: { $size: '$sessions' },
+            // Events stored before server-side sessionization may have no sessionId
+            sessionCount: { $size: { $setDifference: ['$sessions', [null]] } },
             mostUsedDevice: {
               $arrayElemAt: [
                 {
@@ -201,7 +204,7 @@ class AnalyticsController {
       ]);
 
       const result = userStats[0] || {
-        userId,
+        userId: canonicalUserId,
         totalEvents: 0,
         uniqueEventCount: 0,
         uniqueEvents: [],
@@ -252,10 +255,11 @@ class AnalyticsController {
     try {
       const { startDate, endDate } = req.query;
       const appId = req.application._id;
+      const includeBots = req.query.includeBots === 'true';
 
       logger.info('Generating app analytics', { appId, startDate, endDate });
 
-      const cacheKey = `app-analytics:${appId}:${startDate || ''}:${endDate || ''}`;
+      const cacheKey = `app-analytics:${appId}:${startDate || ''}:${endDate || ''}:${includeBots}`;
       const redisClient = getRedisClient();
 
       // Try cache first
@@ -273,16 +277,18 @@ class AnalyticsController {
       }
 
       // Build match query
-      const matchQuery = { appId };
+      const matchQuery = { appId, ...Event.botFilter(includeBots) };
       if (startDate || endDate) {
         matchQuery.timestamp = {};
         if (startDate) matchQuery.timestamp.$gte = new Date(startDate);
         if (endDate) matchQuery.timestamp.$lte = new Date(endDate + 'T23:59:59.999Z');
       }
 
-      // Get comprehensive app analytics
+      // Get comprehensive app analytics; counts are scaled up by each event's sample rate
+      const weight = Event.sampleWeight;
       const analytics = await Event.aggregate([
         { $match: matchQuery },
+        ...Identity.resolveUserStages(appId),
         {
           $facet: {
             // Total metrics
@@ -290,12 +296,14 @@ class AnalyticsController {
               {
                 $group: {
                   _id: null,
-                  totalEvents: { $sum: 1 },
-                  uniqueUsers: { $addToSet: '$userId' },
+                  storedEvents: { $sum: 1 },
+                  totalEvents: { $sum: weight },
+                  minSampleRate: { $min: { $ifNull: ['$sampleRate', 1] } },
+                  uniqueUsers: { $addToSet: '$canonicalUserId' },
                   uniqueSessions: { $addToSet: '$sessionId' },
                   pageViews: {
                     $sum: {
-                      $cond: [{ $eq: ['$event', 'page_view'] }, 1, 0]
+                      $cond: [{ $eq: ['$event', 'page_view'] }, weight, 0]
                     }
                   }
                 }
@@ -306,8 +314,8 @@ class AnalyticsController {
               {
                 $group: {
                   _id: '$event',
-                  count: { $sum: 1 },
-                  uniqueUsers: { $addToSet: '$userId' }
+                  count: { $sum: weight },
+                  uniqueUsers: { $addToSet: '$canonicalUserId' }
                 }
               },
               { $sort: { count: -1 } }
@@ -317,7 +325,7 @@ class AnalyticsController {
               {
                 $group: {
                   _id: '$device',
-                  count: { $sum: 1 }
+                  count: { $sum: weight }
                 }
               }
             ],
@@ -326,7 +334,7 @@ class AnalyticsController {
               {
                 $group: {
                   _id: '$metadata.country',
-                  count: { $sum: 1 },
+                  count: { $sum: weight },
                   cities: { $addToSet: '$metadata.city' }
                 }
               },
@@ -337,7 +345,7 @@ class AnalyticsController {
               {
                 $group: {
                   _id: { $hour: '$timestamp' },
-                  count: { $sum: 1 }
+                  count: { $sum: weight }
                 }
               },
               { $sort: { _id: 1 } }
@@ -350,6 +358,7 @@ class AnalyticsController {
                 $project: {
                   event: 1,
                   userId: 1,
+                  canonicalUserId: 1,
                   timestamp: 1,
                   device: 1,
                   url: 1
@@ -399,9 +408,11 @@ class AnalyticsController {
         {
           $match: {
             appId: appId,
-            timestamp: { $gte: oneHourAgo }
+            timestamp: { $gte: oneHourAgo },
+            ...Event.botFilter()
           }
         },
+        ...Identity.resolveUserStages(appId),
         {
           $group: {
             _id: {
@@ -409,7 +420,7 @@ class AnalyticsController {
               event: '$event'
             },
             count: { $sum: 1 },
-            users: { $addToSet: '$userId' }
+            users: { $addToSet: '$canonicalUserId' }
           }
         },
         {
@@ -505,27 +516,37 @@ class AnalyticsController {
    */
   formatAppAnalytics(analytics, startDate, endDate) {
     const totals = analytics.totals[0] || {
+      storedEvents: 0,
       totalEvents: 0,
+      minSampleRate: 1,
       uniqueUsers: 0,
       uniqueSessions: 0,
       pageViews: 0
     };
 
+    // Sampling keeps whole users and sessions, so their counts scale like events
+    const scale = totals.storedEvents > 0 ? totals.totalEvents / totals.storedEvents : 1;
+    const estimate = (count) => Math.round(count * scale);
+    const roundCounts = (items) => items.map(item => ({ ...item, count: Math.round(item.count) }));
+
     return {
       timeframe: {
         startDate: startDate || 'all_time',
         endDate: endDate || 'all_time'
       },
       totals: {
-        totalEvents: totals.totalEvents,
-        uniqueUsers: totals.uniqueUsers?.length || 0,
-        uniqueSessions: totals.uniqueSessions?.length || 0,
-        pageViews: totals.pageViews
+        totalEvents: Math.round(totals.totalEvents),
+        // Anonymous events that were never identified have no user
+        uniqueUsers: estimate(totals.uniqueUsers?.filter(Boolean).length || 0),
+        // Events stored before server-side sessionization may have no sessionId
+        uniqueSessions: estimate(totals.uniqueSessions?.filter(Boolean).length || 0),
+        pageViews: Math.round(totals.pageViews)
       },
-      events: analytics.events,
-      devices: analytics.devices,
-      geography: analytics.geography,
-      hourlyDistribution: analytics.hourly,
+      estimated: totals.minSampleRate < 1,
+      events: roundCounts(analytics.events),
+      devices: roundCounts(analytics.devices),
+      geography: roundCounts(analytics.geography),
+      hourlyDistribution: roundCounts(analytics.hourly),
       recentActivity: analytics.recentActivity
     };
   }
@@ -557,7 +578,7 @@ class AnalyticsController {
    * Get total users for conversion rate calculation
    */
   async getTotalUsers(appId, startDate, endDate) {
-    const matchQuery = { appId };
+    const matchQuery = { appId, ...Event.botFilter() };
     if (startDate || endDate) {
       matchQuery.timestamp = {};
       if (startDate) matchQuery.timestamp.$gte = new Date(startDate);
@@ -566,7 +587,9 @@ class AnalyticsController {
 
     const result = await Event.aggregate([
       { $match: matchQuery },
-      { $group: { _id: '$userId' } },
+      ...Identity.resolveUserStages(appId),
+      { $match: { canonicalUserId: { $ne: null } } },
+      { $group: { _id: '$canonicalUserId' } },
       { $count: 'totalUsers' }
     ]);
 
@@ -45,6 +45,7 @@ class AuthController {
             domain: application.domain,
             type: application.type,
             apiKey: application.apiKey,
+            publishableKey: application.publishableKey,
             expiresAt: application.expiresAt,
             createdAt: application.createdAt
           }
@@ -85,6 +86,11 @@ class AuthController {
 
       logger.info('API key retrieved successfully', { appId: application._id });
 
+      // Applications registered before publishable keys existed get one on first lookup
+      if (!application.publishableKey) {
+        await application.save();
+      }
+
       res.json(generateApiResponse(
         'API key retrieved successfully',
         {
@@ -92,6 +98,7 @@ class AuthController {
             id: application.id,
             name: application.name,
             apiKey: application.apiKey,
+            publishableKey: application.publishableKey,
             expiresAt: application.expiresAt
           }
         }
@@ -194,6 +201,7 @@ class AuthController {
             id: application.id,
             name: application.name,
             apiKey: application.apiKey,
+            publishableKey: application.publishableKey,
             expiresAt: application.expiresAt,
             isActive: application.isActive
           }
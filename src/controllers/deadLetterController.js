@@ -0,0 +1,76 @@
+const logger = require('../utils/logger');
+const { generateApiResponse } = require('../utils/response');
+const { listDeadLetters, purgeDeadLetters } = require('../services/deadLetter');
+const { replayDeadLetters } = require('../services/replay');
+
+/**
+ * Dead Letter Controller - Inspects, replays and purges rejected events
+ */
+class DeadLetterController {
+
+  /**
+   * List dead letters, newest first
+   */
+  async getDeadLetters(req, res, next) {
+    try {
+      const { reason, page = 1, limit = 50 } = req.query;
+
+      const result = await listDeadLetters(req.application, {
+        reason,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json(generateApiResponse(
+        'Dead letters retrieved successfully',
+        result
+      ));
+
+    } catch (error) {
+      logger.error('Dead letter retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Send dead letters through ingestion again
+   */
+  async replayDeadLetters(req, res, next) {
+    try {
+      const { ids, reason } = req.body;
+
+      const summary = await replayDeadLetters(req.application, { ids, reason });
+
+      res.json(generateApiResponse(
+        'Dead letters replayed',
+        summary
+      ));
+
+    } catch (error) {
+      logger.error('Dead letter replay failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete dead letters
+   */
+  async purgeDeadLetters(req, res, next) {
+    try {
+      const { reason, before } = req.query;
+
+      const deleted = await purgeDeadLetters(req.application, { reason, before });
+
+      res.json(generateApiResponse(
+        'Dead letters purged successfully',
+        { deleted }
+      ));
+
+    } catch (error) {
+      logger.error('Dead letter purge failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new DeadLetterController();
@@ -0,0 +1,258 @@
+const Destination = require('../models/Destination');
+const Delivery = require('../models/Delivery');
+const logger = require('../utils/logger');
+const { generateApiResponse } = require('../utils/response');
+const { getDeliveryStats, listDeliveries, redeliver } = require('../services/destinations');
+const { DESTINATIONS } = require('../utils/constants');
+
+const notFound = (res) => res.status(404).json(generateApiResponse(
+  'Destination not found',
+  null,
+  404,
+  'NO_DESTINATION_FOUND'
+));
+
+const nameTaken = (res) => res.status(409).json(generateApiResponse(
+  'A destination with this name already exists',
+  null,
+  409,
+  'DESTINATION_NAME_TAKEN'
+));
+
+const findDestination = (req) => Destination.findOne({
+  _id: req.params.destinationId,
+  appId: req.application._id
+});
+
+const withStats = async (destinations) => {
+  const stats = await getDeliveryStats(destinations.map(destination => destination._id));
+  return destinations.map(destination => ({
+    ...destination.toJSON(),
+    deliveries: stats.get(String(destination._id))
+  }));
+};
+
+/**
+ * Destination Controller - Manages the HTTP endpoints an application's
+ * events are forwarded to, and their delivery logs
+ */
+class DestinationController {
+
+  /**
+   * List the application's destinations with delivery counts
+   */
+  async getDestinations(req, res, next) {
+    try {
+      const destinations = await Destination.find({ appId: req.application._id }).sort({ createdAt: 1 });
+
+      res.json(generateApiResponse(
+        'Destinations retrieved successfully',
+        { destinations: await withStats(destinations) }
+      ));
+
+    } catch (error) {
+      logger.error('Destination retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Add a destination. The signing secret is only returned here.
+   */
+  async createDestination(req, res, next) {
+    try {
+      const appId = req.application._id;
+      const { name, url, enabled, filter, mapping } = req.body;
+
+      const count = await Destination.countDocuments({ appId });
+      if (count >= DESTINATIONS.MAX_PER_APP) {
+        return res.status(400).json(generateApiResponse(
+          `Applications can have at most ${DESTINATIONS.MAX_PER_APP} destinations`,
+          null,
+          400,
+          'DESTINATION_LIMIT_REACHED'
+        ));
+      }
+
+      const secret = req.body.secret || Destination.generateSecret();
+      const destination = await Destination.create({ appId, name, url, enabled, filter, mapping, secret });
+
+      logger.info('Destination created', {
+        appId,
+        destinationId: destination._id,
+        name
+      });
+
+      res.status(201).json(generateApiResponse(
+        'Destination created successfully',
+        { destination: { ...destination.toJSON(), secret } },
+        201
+      ));
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return nameTaken(res);
+      }
+      logger.error('Destination creation failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get a destination with its delivery counts
+   */
+  async getDestination(req, res, next) {
+    try {
+      const destination = await findDestination(req);
+      if (!destination) {
+        return notFound(res);
+      }
+
+      const [data] = await withStats([destination]);
+      res.json(generateApiResponse(
+        'Destination retrieved successfully',
+        { destination: data }
+      ));
+
+    } catch (error) {
+      logger.error('Destination retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Change a destination. A new mapping or filter applies to events stored
+   * from now on; queued deliveries keep the payload they were built with.
+   */
+  async updateDestination(req, res, next) {
+    try {
+      const update = ['name', 'url', 'enabled', 'filter', 'mapping', 'secret'].reduce((fields, field) => {
+        if (req.body[field] !== undefined) {
+          fields[field] = req.body[field];
+        }
+        return fields;
+      }, {});
+
+      const destination = await Destination.findOneAndUpdate(
+        { _id: req.params.destinationId, appId: req.application._id },
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+      if (!destination) {
+        return notFound(res);
+      }
+
+      logger.info('Destination updated', {
+        appId: req.application._id,
+        destinationId: destination._id,
+        fields: Object.keys(update)
+      });
+
+      res.json(generateApiResponse(
+        'Destination updated successfully',
+        { destination }
+      ));
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return nameTaken(res);
+      }
+      logger.error('Destination update failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a destination and its delivery log; queued deliveries are not sent
+   */
+  async deleteDestination(req, res, next) {
+    try {
+      const destination = await Destination.findOneAndDelete({
+        _id: req.params.destinationId,
+        appId: req.application._id
+      });
+      if (!destination) {
+        return notFound(res);
+      }
+
+      const { deletedCount } = await Delivery.deleteMany({ destinationId: destination._id });
+
+      logger.info('Destination deleted', {
+        appId: req.application._id,
+        destinationId: destination._id,
+        deliveries: deletedCount
+      });
+
+      res.json(generateApiResponse(
+        'Destination deleted successfully',
+        { id: destination._id, deliveriesDeleted: deletedCount }
+      ));
+
+    } catch (error) {
+      logger.error('Destination deletion failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List a destination's deliveries, newest first
+   */
+  async getDeliveries(req, res, next) {
+    try {
+      const destination = await findDestination(req);
+      if (!destination) {
+        return notFound(res);
+      }
+
+      const { status, page = 1, limit = 50 } = req.query;
+      const result = await listDeliveries(destination, {
+        status,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json(generateApiResponse(
+        'Deliveries retrieved successfully',
+        result
+      ));
+
+    } catch (error) {
+      logger.error('Delivery retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Queue deliveries to be sent again
+   */
+  async redeliver(req, res, next) {
+    try {
+      const destination = await findDestination(req);
+      if (!destination) {
+        return notFound(res);
+      }
+      if (!destination.enabled) {
+        return res.status(400).json(generateApiResponse(
+          'Enable the destination before redelivering to it',
+          null,
+          400,
+          'DESTINATION_DISABLED'
+        ));
+      }
+
+      const { ids, status } = req.body;
+      const queued = await redeliver(destination, { ids, status });
+
+      res.json(generateApiResponse(
+        'Deliveries queued for redelivery',
+        { queued }
+      ));
+
+    } catch (error) {
+      logger.error('Redelivery failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new DestinationController();
@@ -1,35 +1,290 @@
+const Event = require('../models/Event');
+const { ingestEvents } = require('../services/ingestion');
+const { importNdjson } = require('../services/bulkImport');
+const { getIngestionStats } = require('../services/diagnostics');
+const logger = require('../utils/logger');
+const { generateApiResponse, generateErrorResponse } = require('../utils/response');
+const { buildPropertyMatch } = require('../utils/properties');
+
+// 1x1 transparent GIF returned by the tracking pixel
+const TRANSPARENT_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
 /**
- * Standard API response formatter
+ * Event Controller - Handles event collection and management
  */
-const generateApiResponse = (message, data = null, statusCode = 200, code = 'SUCCESS') => {
-  const response = {
-    success: statusCode >= 200 && statusCode < 300,
-    message,
-    code,
-    timestamp: new Date().toISOString()
-  };
+class EventController {
+
+  /**
+   * Collect a single event
+   */
+  async collectEvent(req, res, next) {
+    try {
+      const [result] = await ingestEvents(req, [req.body]);
 
-  if (data !== null) {
-    response.data = data;
+      if (result.status === 'rejected') {
+        return res.status(400).json(result.reason === 'timestamp_out_of_range' ?
+          generateErrorResponse(
+            'Event timestamp is outside the accepted range',
+            'TIMESTAMP_OUT_OF_RANGE',
+            result.violations
+          ) :
+          generateErrorResponse(
+            'Event does not match the application tracking plan',
+            'TRACKING_PLAN_VIOLATION',
+            result.violations
+          ));
+      }
+
+      res.status(202).json(generateApiResponse(
+        result.status === 'duplicate' ? 'Duplicate event skipped' :
+          result.status === 'dropped' && result.reason === 'transformation' ? 'Event dropped by a transformation rule' :
+            result.status === 'dropped' ? 'Bot event dropped' :
+              result.status === 'sampled' ? 'Event sampled out' :
+                'Event accepted for processing',
+        result,
+        202,
+        'ACCEPTED'
+      ));
+
+    } catch (error) {
+      logger.error('Event collection failed:', error);
+      next(error);
+    }
   }
 
-  return response;
-};
+  /**
+   * Collect multiple events in one request
+   */
+  async collectBatchEvents(req, res, next) {
+    try {
+      const results = await ingestEvents(req, req.body.events);
+      const countByStatus = (status) => results.filter(result => result.status === status).length;
+      const duplicates = countByStatus('duplicate');
+      const rejected = countByStatus('rejected');
 
-/**
- * Error response formatter
- */
-const generateErrorResponse = (message, errorCode = 'ERROR', details = null) => {
-  return {
-    success: false,
-    message,
-    code: errorCode,
-    timestamp: new Date().toISOString(),
-    ...(details && { details })
-  };
-};
-
-module.exports = {
-  generateApiResponse,
-  generateErrorResponse
-};
\ No newline at end of file
+      res.status(202).json(generateApiResponse(
+        'Batch events accepted for processing',
+        {
+          accepted: results.length - rejected,
+          queued: countByStatus('queued'),
+          duplicates,
+          rejected,
+          dropped: countByStatus('dropped'),
+          sampled: countByStatus('sampled'),
+          events: results
+        },
+        202,
+        'ACCEPTED'
+      ));
+
+    } catch (error) {
+      logger.error('Batch event collection failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Collect an event from a tracking pixel and respond with a 1x1 GIF
+   */
+  async trackPixel(req, res, next) {
+    try {
+      await ingestEvents(req, [req.body]);
+
+      res.set({
+        'Content-Type': 'image/gif',
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+      res.send(TRANSPARENT_GIF);
+
+    } catch (error) {
+      logger.error('Pixel event collection failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Collect an event sent with navigator.sendBeacon
+   */
+  async collectBeacon(req, res, next) {
+    try {
+      await ingestEvents(req, [req.body]);
+
+      // Beacon responses are never read by the browser
+      res.status(204).end();
+
+    } catch (error) {
+      logger.error('Beacon event collection failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Import a streamed NDJSON (optionally gzip) upload
+   */
+  async importEvents(req, res, next) {
+    try {
+      const report = await importNdjson(req);
+
+      res.json(generateApiResponse(
+        'Bulk import completed',
+        report
+      ));
+
+    } catch (error) {
+      logger.error('Bulk import failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get events with filtering and pagination
+   */
+  async getEvents(req, res, next) {
+    try {
+      const {
+        event,
+        userId,
+        sessionId,
+        startDate,
+        endDate,
+        page = 1,
+        limit = 50,
+        sortBy = 'timestamp',
+        sortOrder = 'desc',
+        properties,
+        isBot
+      } = req.query;
+      const appId = req.application._id;
+
+      const filter = { appId, ...buildPropertyMatch(properties) };
+      if (event) filter.event = event;
+      if (userId) filter.userId = userId;
+      if (sessionId) filter.sessionId = sessionId;
+      if (isBot !== undefined) filter.isBot = isBot === 'true' ? true : { $ne: true };
+      if (startDate || endDate) {
+        filter.timestamp = {};
+        if (startDate) filter.timestamp.$gte = new Date(startDate);
+        if (endDate) filter.timestamp.$lte = new Date(endDate + 'T23:59:59.999Z');
+      }
+
+      const pageNumber = parseInt(page);
+      const pageSize = parseInt(limit);
+
+      const [events, total] = await Promise.all([
+        Event.find(filter)
+          .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize),
+        Event.countDocuments(filter)
+      ]);
+
+      res.json(generateApiResponse(
+        'Events retrieved successfully',
+        {
+          events,
+          pagination: {
+            page: pageNumber,
+            limit: pageSize,
+            total,
+            pages: Math.ceil(total / pageSize)
+          }
+        }
+      ));
+
+    } catch (error) {
+      logger.error('Event retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get daily ingestion counters
+   */
+  async getDiagnostics(req, res, next) {
+    try {
+      const { days = 7 } = req.query;
+
+      const stats = await getIngestionStats(req.application, days);
+
+      res.json(generateApiResponse(
+        'Ingestion diagnostics retrieved successfully',
+        {
+          timestampPolicy: req.application.ingestion?.timestampPolicy || 'clamp',
+          ...stats
+        }
+      ));
+
+    } catch (error) {
+      logger.error('Ingestion diagnostics retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single event
+   */
+  async getEventById(req, res, next) {
+    try {
+      const event = await Event.findOne({
+        _id: req.params.eventId,
+        appId: req.application._id
+      });
+
+      if (!event) {
+        return res.status(404).json(generateApiResponse(
+          'Event not found',
+          null,
+          404,
+          'EVENT_NOT_FOUND'
+        ));
+      }
+
+      res.json(generateApiResponse(
+        'Event retrieved successfully',
+        { event }
+      ));
+
+    } catch (error) {
+      logger.error('Event retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a single event
+   */
+  async deleteEvent(req, res, next) {
+    try {
+      const event = await Event.findOneAndDelete({
+        _id: req.params.eventId,
+        appId: req.application._id
+      });
+
+      if (!event) {
+        return res.status(404).json(generateApiResponse(
+          'Event not found',
+          null,
+          404,
+          'EVENT_NOT_FOUND'
+        ));
+      }
+
+      logger.info('Event deleted', {
+        appId: req.application._id,
+        eventId: req.params.eventId
+      });
+
+      res.json(generateApiResponse(
+        'Event deleted successfully',
+        { eventId: req.params.eventId }
+      ));
+
+    } catch (error) {
+      logger.error('Event deletion failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new EventController();
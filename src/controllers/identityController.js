@@ -0,0 +1,60 @@
+const logger = require('../utils/logger');
+const { generateApiResponse } = require('../utils/response');
+const { identify, alias, getIdentityGraph } = require('../services/identity');
+
+/**
+ * Identity Controller - Links anonymous visitors to known users
+ */
+class IdentityController {
+
+  /**
+   * Link an anonymous ID and/or session to a user
+   */
+  async identify(req, res, next) {
+    try {
+      const { userId, anonymousId, sessionId } = req.body;
+
+      const result = await identify(req.application, { userId, anonymousId, sessionId });
+
+      res.json(generateApiResponse('User identified successfully', result));
+
+    } catch (error) {
+      logger.error('Identify failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Merge a previous anonymous or user ID into a user
+   */
+  async alias(req, res, next) {
+    try {
+      const { previousId, userId } = req.body;
+
+      const result = await alias(req.application, { previousId, userId });
+
+      res.json(generateApiResponse('Identities merged successfully', result));
+
+    } catch (error) {
+      logger.error('Alias failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Get every ID linked to a user
+   */
+  async getIdentityGraph(req, res, next) {
+    try {
+      const graph = await getIdentityGraph(req.application, req.params.userId);
+
+      res.json(generateApiResponse('Identity graph retrieved successfully', graph));
+
+    } catch (error) {
+      logger.error('Identity graph retrieval failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new IdentityController();
@@ -0,0 +1,53 @@
+const logger = require('../utils/logger');
+const { ingestEvents } = require('../services/ingestion');
+const { validateMeasurementProtocolRequest, deadLetterRequest } = require('../services/measurementProtocol');
+
+/**
+ * Measurement Protocol Controller - Accepts GA4 Measurement Protocol hits so
+ * server-side code sending to GA can switch by changing its base URL
+ */
+class MeasurementProtocolController {
+
+  /**
+   * Collect a hit. Like GA, answers 204 whether or not the hit was valid;
+   * invalid hits are kept as dead letters and /debug/mp/collect says why.
+   */
+  async collect(req, res, next) {
+    try {
+      const { payloads, validationMessages } = await validateMeasurementProtocolRequest(req.application, req.body);
+
+      if (validationMessages.length > 0) {
+        logger.warn('Measurement Protocol hit rejected', {
+          appId: req.application._id,
+          validationMessages
+        });
+        await deadLetterRequest(req, payloads, validationMessages);
+      } else {
+        await ingestEvents(req, payloads);
+      }
+
+      res.status(204).end();
+
+    } catch (error) {
+      logger.error('Measurement Protocol collect failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Validate a hit without storing it, in GA's validation response shape
+   */
+  async debugCollect(req, res, next) {
+    try {
+      const { validationMessages } = await validateMeasurementProtocolRequest(req.application, req.body);
+
+      res.json({ validationMessages });
+
+    } catch (error) {
+      logger.error('Measurement Protocol validation failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new MeasurementProtocolController();
@@ -0,0 +1,117 @@
+const logger = require('../utils/logger');
+const { generateApiResponse } = require('../utils/response');
+const { toCollectPayload, validateSegmentPayloads, ingestSegmentMessages } = require('../services/segment');
+const { SEGMENT_MESSAGE_TYPES } = require('../utils/constants');
+
+const validationFailed = (res, details) => res.status(400).json({
+  error: 'Validation failed',
+  message: 'Please check your input data',
+  details
+});
+
+// Segment SDKs only look at the status, and treat any 2xx as delivered
+const collectMessage = (type) => async (req, res, next) => {
+  try {
+    const message = { ...req.body, type };
+    const payloads = [toCollectPayload(req.application, message)];
+
+    const errors = await validateSegmentPayloads(req, payloads);
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+
+    const [result] = await ingestSegmentMessages(req, [message], payloads);
+
+    res.json(generateApiResponse('Message accepted for processing', result));
+
+  } catch (error) {
+    logger.error(`Segment ${type} call failed:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Segment Controller - Accepts the Segment HTTP Tracking API so existing
+ * Segment SDKs can send events here
+ */
+class SegmentController {
+
+  /**
+   * Record a named action
+   */
+  async track(req, res, next) {
+    return collectMessage(SEGMENT_MESSAGE_TYPES.TRACK)(req, res, next);
+  }
+
+  /**
+   * Record a web page view
+   */
+  async page(req, res, next) {
+    return collectMessage(SEGMENT_MESSAGE_TYPES.PAGE)(req, res, next);
+  }
+
+  /**
+   * Record a mobile screen view
+   */
+  async screen(req, res, next) {
+    return collectMessage(SEGMENT_MESSAGE_TYPES.SCREEN)(req, res, next);
+  }
+
+  /**
+   * Record a user's traits and link their anonymous ID
+   */
+  async identify(req, res, next) {
+    return collectMessage(SEGMENT_MESSAGE_TYPES.IDENTIFY)(req, res, next);
+  }
+
+  /**
+   * Record the group (account, company) a user belongs to
+   */
+  async group(req, res, next) {
+    return collectMessage(SEGMENT_MESSAGE_TYPES.GROUP)(req, res, next);
+  }
+
+  /**
+   * Merge a previous ID into a user
+   */
+  async alias(req, res, next) {
+    return collectMessage(SEGMENT_MESSAGE_TYPES.ALIAS)(req, res, next);
+  }
+
+  /**
+   * Accept several calls of any type in one request
+   */
+  async batch(req, res, next) {
+    try {
+      const { batch: messages, context, sentAt } = req.body;
+      const payloads = messages.map(message => toCollectPayload(req.application, message, { context, sentAt }));
+
+      const errors = await validateSegmentPayloads(req, payloads, { batch: true });
+      if (errors.length > 0) {
+        return validationFailed(res, errors);
+      }
+
+      const results = await ingestSegmentMessages(req, messages, payloads);
+      const countByStatus = (status) => results.filter(result => result.status === status).length;
+
+      res.json(generateApiResponse(
+        'Batch accepted for processing',
+        {
+          queued: countByStatus('queued'),
+          duplicates: countByStatus('duplicate'),
+          rejected: countByStatus('rejected'),
+          dropped: countByStatus('dropped'),
+          sampled: countByStatus('sampled'),
+          aliased: countByStatus('aliased'),
+          messages: results
+        }
+      ));
+
+    } catch (error) {
+      logger.error('Segment batch call failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new SegmentController();
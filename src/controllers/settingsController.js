@@ -0,0 +1,88 @@
+const Application = require('../models/Application');
+const logger = require('../utils/logger');
+const { generateApiResponse } = require('../utils/response');
+const { describePipeline } = require('../services/enrichment');
+
+// Settings sections an application can change through the API
+const SETTINGS_SECTIONS = ['ingestion', 'privacy', 'botFiltering', 'security', 'sampling', 'enrichment'];
+
+const pickSettings = (application) => SETTINGS_SECTIONS.reduce((settings, section) => {
+  settings[section] = application[section];
+  return settings;
+}, {});
+
+/**
+ * Settings Controller - Manages per-application ingestion and privacy settings
+ */
+class SettingsController {
+
+  /**
+   * Get the application's settings
+   */
+  async getSettings(req, res, next) {
+    try {
+      res.json(generateApiResponse(
+        'Settings retrieved successfully',
+        { settings: pickSettings(req.application) }
+      ));
+
+    } catch (error) {
+      logger.error('Settings retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List the enrichment pipeline as it runs for the application
+   */
+  async getEnrichers(req, res, next) {
+    try {
+      res.json(generateApiResponse(
+        'Enrichers retrieved successfully',
+        { enrichers: describePipeline(req.application) }
+      ));
+
+    } catch (error) {
+      logger.error('Enricher retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Update the given settings, leaving the rest unchanged
+   */
+  async updateSettings(req, res, next) {
+    try {
+      const appId = req.application._id;
+      const update = {};
+
+      SETTINGS_SECTIONS.forEach(section => {
+        Object.entries(req.body[section] || {}).forEach(([field, value]) => {
+          update[`${section}.${field}`] = value;
+        });
+      });
+
+      const application = await Application.findByIdAndUpdate(
+        appId,
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+
+      logger.info('Application settings updated', {
+        appId,
+        fields: Object.keys(update)
+      });
+
+      res.json(generateApiResponse(
+        'Settings updated successfully',
+        { settings: pickSettings(application) }
+      ));
+
+    } catch (error) {
+      logger.error('Settings update failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new SettingsController();
@@ -0,0 +1,117 @@
+const Application = require('../models/Application');
+const logger = require('../utils/logger');
+const { generateApiResponse, generateErrorResponse } = require('../utils/response');
+const {
+  validatePlanSchemas,
+  getViolationCounts,
+  resetViolationCounts
+} = require('../services/trackingPlan');
+
+/**
+ * Tracking Plan Controller - Manages per-application event schemas
+ */
+class TrackingPlanController {
+
+  /**
+   * Get the application's tracking plan
+   */
+  async getTrackingPlan(req, res, next) {
+    try {
+      res.json(generateApiResponse(
+        'Tracking plan retrieved successfully',
+        { trackingPlan: req.application.trackingPlan }
+      ));
+
+    } catch (error) {
+      logger.error('Tracking plan retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the application's tracking plan
+   */
+  async updateTrackingPlan(req, res, next) {
+    try {
+      const { mode, events = [] } = req.body;
+      const appId = req.application._id;
+
+      const schemaErrors = validatePlanSchemas(events);
+      if (schemaErrors.length > 0) {
+        return res.status(400).json(generateErrorResponse(
+          'Tracking plan contains invalid schemas',
+          'INVALID_TRACKING_PLAN',
+          schemaErrors
+        ));
+      }
+
+      const application = await Application.findByIdAndUpdate(
+        appId,
+        {
+          trackingPlan: {
+            mode,
+            events: events.map(({ name, description, schema }) => ({ name, description, schema })),
+            updatedAt: new Date()
+          }
+        },
+        { new: true, runValidators: true }
+      );
+
+      logger.info('Tracking plan updated', {
+        appId,
+        mode,
+        events: events.length
+      });
+
+      res.json(generateApiResponse(
+        'Tracking plan updated successfully',
+        { trackingPlan: application.trackingPlan }
+      ));
+
+    } catch (error) {
+      logger.error('Tracking plan update failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * List tracking plan violation counts per event name
+   */
+  async getViolations(req, res, next) {
+    try {
+      const violations = await getViolationCounts(req.application);
+
+      res.json(generateApiResponse(
+        'Tracking plan violations retrieved successfully',
+        {
+          mode: req.application.trackingPlan?.mode || 'off',
+          totalViolations: violations.reduce((sum, item) => sum + item.count, 0),
+          violations
+        }
+      ));
+
+    } catch (error) {
+      logger.error('Tracking plan violation retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Reset tracking plan violation counts
+   */
+  async resetViolations(req, res, next) {
+    try {
+      await resetViolationCounts(req.application);
+
+      logger.info('Tracking plan violations reset', { appId: req.application._id });
+
+      res.json(generateApiResponse('Tracking plan violations reset successfully'));
+
+    } catch (error) {
+      logger.error('Tracking plan violation reset failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new TrackingPlanController();
@@ -0,0 +1,100 @@
+const Application = require('../models/Application');
+const logger = require('../utils/logger');
+const { generateApiResponse, generateErrorResponse } = require('../utils/response');
+const { validateRules, previewTransformations } = require('../services/transformations');
+
+const invalidRulesResponse = (errors) => generateErrorResponse(
+  'Transformation rules are invalid',
+  'INVALID_TRANSFORMATIONS',
+  errors
+);
+
+/**
+ * Transformation Controller - Manages per-application event transformation rules
+ */
+class TransformationController {
+
+  /**
+   * Get the application's transformation rules
+   */
+  async getTransformations(req, res, next) {
+    try {
+      res.json(generateApiResponse(
+        'Transformation rules retrieved successfully',
+        { transformations: req.application.transformations }
+      ));
+
+    } catch (error) {
+      logger.error('Transformation rule retrieval failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the application's transformation rules
+   */
+  async updateTransformations(req, res, next) {
+    try {
+      const { rules = [] } = req.body;
+      const appId = req.application._id;
+
+      const ruleErrors = validateRules(rules);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json(invalidRulesResponse(ruleErrors));
+      }
+
+      const application = await Application.findByIdAndUpdate(
+        appId,
+        {
+          transformations: {
+            rules: rules.map(({ name, enabled, type, match, to, properties, pattern }) =>
+              ({ name, enabled, type, match, to, properties, pattern })),
+            updatedAt: new Date()
+          }
+        },
+        { new: true, runValidators: true }
+      );
+
+      logger.info('Transformation rules updated', {
+        appId,
+        rules: rules.length
+      });
+
+      res.json(generateApiResponse(
+        'Transformation rules updated successfully',
+        { transformations: application.transformations }
+      ));
+
+    } catch (error) {
+      logger.error('Transformation rule update failed:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Dry-run rules against recently stored events
+   */
+  async previewTransformations(req, res, next) {
+    try {
+      const { rules = req.application.transformations?.rules || [], event, limit } = req.body;
+
+      const ruleErrors = validateRules(rules);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json(invalidRulesResponse(ruleErrors));
+      }
+
+      const preview = await previewTransformations(req.application, rules, { event, limit });
+
+      res.json(generateApiResponse(
+        'Transformation preview generated successfully',
+        preview
+      ));
+
+    } catch (error) {
+      logger.error('Transformation preview failed:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new TransformationController();
@@ -3,6 +3,7 @@ const Application = require('../models/Application');
 const Event = require('../models/Event');
 const logger = require('../utils/logger');
 const { generateApiResponse } = require('../utils/response');
+const { getPlanFeatures, checkQuota } = require('../services/quota');
 
 /**
  * User Controller - Handles user management and profile operations
@@ -174,6 +175,8 @@ class UserController {
       // Calculate additional usage metrics
       const applications = await Application.find({ createdBy: userId });
       const appIds = applications.map(app => app._id);
+      // Counted in Redis as events arrive; User.usage lags by a flush interval
+      const quota = await checkQuota({ createdBy: userId });
 
       const eventStats = await Event.aggregate([
         {
@@ -203,6 +206,7 @@ class UserController {
         applications: applications.length,
         uniqueUsers: eventStats[0]?.uniqueUsers?.length || 0,
         remainingEvents: Math.max(0, user.usage.monthlyLimit - user.usage.monthlyEvents),
+        quota,
         resetDate: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 1) // First day of next month
       };
 
@@ -275,42 +279,7 @@ class UserController {
    * Get features for each plan
    */
   getPlanFeatures(plan) {
-    const features = {
-      free: {
-        monthlyEvents: 10000,
-        dataRetention: '30 days',
-        realTimeAnalytics: false,
-        customEvents: true,
-        apiAccess: true,
-        support: 'Community'
-      },
-      starter: {
-        monthlyEvents: 50000,
-        dataRetention: '90 days',
-        realTimeAnalytics: true,
-        customEvents: true,
-        apiAccess: true,
-        support: 'Email'
-      },
-      professional: {
-        monthlyEvents: 250000,
-        dataRetention: '1 year',
-        realTimeAnalytics: true,
-        customEvents: true,
-        apiAccess: true,
-        support: 'Priority Email'
-      },
-      enterprise: {
-        monthlyEvents: 'Unlimited',
-        dataRetention: 'Custom',
-        realTimeAnalytics: true,
-        customEvents: true,
-        apiAccess: true,
-        support: 'Dedicated'
-      }
-    };
-
-    return features[plan] || features.free;
+    return getPlanFeatures(plan);
   }
 }
 
@@ -1,6 +1,74 @@
+const crypto = require('crypto');
 const Application = require('../models/Application');
+const { apiRateLimit, recordAuthFailure } = require('./rateLimit');
 const logger = require('../utils/logger');
 
+const PUBLISHABLE_KEY_PREFIX = 'pk_';
+
+/**
+ * The browser origin a request came from, taken from Origin or else Referer
+ */
+const getRequestOrigin = (req) => {
+  const source = req.headers.origin || req.headers.referer;
+  if (!source || source === 'null') {
+    return null;
+  }
+  try {
+    const { protocol, host } = new URL(source);
+    return { protocol: protocol.replace(/:$/, ''), host: host.toLowerCase() };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a publishable key request comes from one of the application's
+ * allowed origins. Native mobile apps send no Origin and are let through;
+ * web requests without one are not.
+ */
+const isOriginAllowed = (application, req, { requireOrigin = true } = {}) => {
+  const origin = getRequestOrigin(req);
+  if (!origin) {
+    return !requireOrigin || application.type === 'mobile';
+  }
+
+  return application.getAllowedOrigins().some(allowed =>
+    allowed.protocol === origin.protocol && (
+      allowed.wildcard ?
+        origin.host.endsWith(`.${allowed.host}`) :
+        origin.host === allowed.host
+    )
+  );
+};
+
+const rejectOrigin = (req, res, application) => {
+  logger.warn('Authentication failed: Origin not allowed', {
+    appId: application._id,
+    origin: req.headers.origin || req.headers.referer,
+    ip: req.ip,
+    path: req.path
+  });
+  return res.status(403).json({
+    error: 'Origin not allowed',
+    message: 'Publishable keys can only be used from the application\'s allowed origins.'
+  });
+};
+
+/**
+ * Let the routes that follow accept the publishable key as well as the
+ * secret key. Only event ingestion routes should allow it.
+ */
+const allowPublishableKey = (req, res, next) => {
+  req.allowPublishableKey = true;
+  next();
+};
+
+/**
+ * Authenticate with the secret API key, or with the publishable key on routes
+ * marked with allowPublishableKey and only from an allowed origin. Sets
+ * req.keyType to secret or publishable, then applies the application's
+ * overall rate limit. Failed attempts count against the client IP.
+ */
 const authenticateApiKey = async (req, res, next) => {
   try {
     const apiKey = req.headers['x-api-key'] || 
@@ -12,19 +80,37 @@ const authenticateApiKey = async (req, res, next) => {
         ip: req.ip,
         path: req.path
       });
+      await recordAuthFailure(req);
       return res.status(401).json({
         error: 'Authentication required',
         message: 'API key is missing. Please provide a valid API key in the x-api-key header.'
       });
     }
 
-    const application = await Application.findByApiKey(apiKey);
+    const keyType = apiKey.startsWith(PUBLISHABLE_KEY_PREFIX) ? 'publishable' : 'secret';
+
+    if (keyType === 'publishable' && !req.allowPublishableKey) {
+      logger.warn('Authentication failed: Publishable key used outside ingestion', {
+        ip: req.ip,
+        method: req.method,
+        path: req.path
+      });
+      return res.status(403).json({
+        error: 'Insufficient key scope',
+        message: 'Publishable keys can only send events. Use the secret API key to read or delete data.'
+      });
+    }
+
+    const application = keyType === 'publishable' ?
+      await Application.findByPublishableKey(apiKey) :
+      await Application.findByApiKey(apiKey);
     
     if (!application) {
       logger.warn('Authentication failed: Invalid API key', {
         ip: req.ip,
         path: req.path
       });
+      await recordAuthFailure(req);
       return res.status(401).json({
         error: 'Invalid API key',
         message: 'The provided API key is invalid or expired.'
@@ -42,13 +128,19 @@ const authenticateApiKey = async (req, res, next) => {
       });
     }
 
+    if (keyType === 'publishable' && !isOriginAllowed(application, req)) {
+      return rejectOrigin(req, res, application);
+    }
+
     req.application = application;
+    req.keyType = keyType;
     logger.info('API key authenticated successfully', {
       appId: application._id,
-      name: application.name
+      name: application.name,
+      keyType
     });
-    
-    next();
+
+    apiRateLimit(req, res, next);
   } catch (error) {
     logger.error('Authentication error:', error);
     res.status(500).json({
@@ -58,4 +150,129 @@ const authenticateApiKey = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateApiKey };
\ No newline at end of file
+/**
+ * Authenticate pixel and beacon requests, which cannot send headers,
+ * with the publishable key from the query string or request body.
+ * Pixels embedded in email carry no Referer, so the origin is only
+ * checked when the browser sends one.
+ */
+const authenticatePublishableKey = async (req, res, next) => {
+  try {
+    const publishableKey = req.query.key || req.body?.key;
+
+    if (!publishableKey) {
+      logger.warn('Authentication failed: publishable key missing', {
+        ip: req.ip,
+        path: req.path
+      });
+      await recordAuthFailure(req);
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Publishable key is missing. Please provide it in the key query parameter.'
+      });
+    }
+
+    // The query string and beacon bodies can carry an object here, which must
+    // never reach the lookup as a query operator
+    const isPublishableKey = typeof publishableKey === 'string'
+      && publishableKey.startsWith(PUBLISHABLE_KEY_PREFIX);
+    const application = isPublishableKey
+      ? await Application.findByPublishableKey(publishableKey)
+      : null;
+
+    if (!application) {
+      logger.warn('Authentication failed: Invalid publishable key', {
+        ip: req.ip,
+        path: req.path
+      });
+      await recordAuthFailure(req);
+      return res.status(401).json({
+        error: 'Invalid publishable key',
+        message: 'The provided publishable key is invalid or expired.'
+      });
+    }
+
+    if (!isOriginAllowed(application, req, { requireOrigin: false })) {
+      return rejectOrigin(req, res, application);
+    }
+
+    req.application = application;
+    req.keyType = 'publishable';
+    apiRateLimit(req, res, next);
+  } catch (error) {
+    logger.error('Authentication error:', error);
+    res.status(500).json({
+      error: 'Authentication failed',
+      message: 'Internal server error during authentication'
+    });
+  }
+};
+
+/**
+ * Take the API key from where Segment SDKs send their write key: the Basic
+ * auth username, or a writeKey field in the body. Goes before
+ * authenticateApiKey.
+ */
+const readSegmentWriteKey = (req, res, next) => {
+  const authorization = req.headers['authorization'] || '';
+
+  if (authorization.startsWith('Basic ')) {
+    const credentials = Buffer.from(authorization.substring(6), 'base64').toString();
+    req.headers['x-api-key'] = credentials.split(':')[0];
+  } else if (!req.headers['x-api-key'] && typeof req.body?.writeKey === 'string') {
+    req.headers['x-api-key'] = req.body.writeKey;
+  }
+
+  next();
+};
+
+/**
+ * Take the API key from the api_secret query parameter, where GA4
+ * Measurement Protocol senders put their API secret. Goes before
+ * authenticateApiKey.
+ */
+const readMeasurementProtocolSecret = (req, res, next) => {
+  if (!req.headers['x-api-key'] && typeof req.query.api_secret === 'string') {
+    req.headers['x-api-key'] = req.query.api_secret;
+  }
+
+  next();
+};
+
+/**
+ * Authenticate operator requests with the ADMIN_API_KEY from the environment,
+ * sent in the x-admin-key header. The admin API is disabled when it is unset.
+ */
+const authenticateAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(403).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_API_KEY to enable the admin API.'
+    });
+  }
+
+  const provided = Buffer.from(req.headers['x-admin-key'] || '');
+  const expected = Buffer.from(adminKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('Admin authentication failed', {
+      ip: req.ip,
+      path: req.path
+    });
+    return res.status(401).json({
+      error: 'Invalid admin key',
+      message: 'The provided admin key is missing or invalid.'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticateApiKey,
+  authenticatePublishableKey,
+  allowPublishableKey,
+  readSegmentWriteKey,
+  readMeasurementProtocolSecret,
+  authenticateAdmin
+};
\ No newline at end of file
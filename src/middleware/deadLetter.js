@@ -0,0 +1,26 @@
+const { validationResult } = require('express-validator');
+const { recordDeadLetters } = require('../services/deadLetter');
+const { DEAD_LETTER_REASONS } = require('../utils/constants');
+
+/**
+ * Keep collection requests that failed validation in the dead-letter store.
+ * Goes before handleValidationErrors, which sends the 400.
+ */
+const deadLetterInvalidEvents = async (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    await recordDeadLetters(req, [{
+      reason: DEAD_LETTER_REASONS.VALIDATION,
+      body: req.body,
+      details: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg
+      }))
+    }]);
+  }
+
+  next();
+};
+
+module.exports = { deadLetterInvalidEvents };
@@ -46,6 +46,22 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Tell clients when to retry after backpressure and quota errors
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  // Monthly event quota exhausted
+  if (err.code === 'QUOTA_EXCEEDED') {
+    return res.status(429).json({
+      error: 'Monthly event quota exceeded',
+      message: err.message,
+      quota: err.quota,
+      // What a bulk import stored before the quota stopped it
+      ...(err.report && { report: err.report })
+    });
+  }
+
   // Default error
   const statusCode = err.status || 500;
   const response = {
@@ -0,0 +1,193 @@
+const { getRedisClient } = require('../config/redis');
+const { getOwnerPlan, getPlanFeatures } = require('../services/quota');
+const logger = require('../utils/logger');
+const { digestIp } = require('../utils/ip');
+const { RATE_LIMIT } = require('../utils/constants');
+
+const ANONYMOUS_WINDOW_SECONDS = Math.ceil(
+  (parseInt(process.env.RATE_LIMIT_WINDOW_MS) || RATE_LIMIT.WINDOW_MS) / 1000
+);
+const ANONYMOUS_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || RATE_LIMIT.MAX_REQUESTS;
+
+const LIMIT_NAMES = Object.keys(RATE_LIMIT.WINDOW_SECONDS);
+
+/**
+ * The limits an application runs with: the admin overrides it has, else its
+ * owner's plan. Each is { limit, windowSeconds, source }.
+ */
+const getRateLimits = async (application) => {
+  const plan = await getOwnerPlan(String(application.createdBy));
+  const planLimits = getPlanFeatures(plan).rateLimits;
+  const overrides = application.rateLimits || {};
+
+  return LIMIT_NAMES.reduce((limits, name) => {
+    limits[name] = {
+      limit: overrides[name] || planLimits[name],
+      windowSeconds: RATE_LIMIT.WINDOW_SECONDS[name],
+      source: overrides[name] ? 'override' : plan
+    };
+    return limits;
+  }, {});
+};
+
+/**
+ * The Redis key of the fixed window a counter is in now, and the seconds
+ * until that window ends
+ */
+const currentWindow = (key, windowSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const windowEnd = (Math.floor(now / windowSeconds) + 1) * windowSeconds;
+  return { windowKey: `${key}:${windowEnd}`, windowEnd, resetSeconds: windowEnd - now };
+};
+
+/**
+ * Count a request in the current fixed window; returns the count so far and
+ * the seconds until the window ends
+ */
+const consume = async (key, windowSeconds) => {
+  const { windowKey, windowEnd, resetSeconds } = currentWindow(key, windowSeconds);
+
+  const [count] = await getRedisClient().multi()
+    .incr(windowKey)
+    .expireAt(windowKey, windowEnd)
+    .exec();
+
+  return { count, resetSeconds };
+};
+
+// Client IPs are keyed by a digest so raw IPs never reach Redis
+const ipKey = (name, req) => `ratelimit:${name}:ip:${digestIp(req.ip)}`;
+
+// RateLimit-* headers from the IETF RateLimit header fields draft
+const setHeaders = (res, limit, windowSeconds, count, resetSeconds) => {
+  res.set({
+    'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, limit - count)),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+};
+
+/**
+ * Rate limit middleware backed by Redis, so limits hold across instances and
+ * restarts. Requests are counted per authenticated application against its
+ * plan's limit (or an admin override), so place it after authentication;
+ * without an application they are counted per client IP against the
+ * anonymous limit. Redis failures let requests through.
+ */
+const createRateLimit = (name, { error, message }) => async (req, res, next) => {
+  try {
+    let limit = ANONYMOUS_MAX_REQUESTS;
+    let windowSeconds = ANONYMOUS_WINDOW_SECONDS;
+    let key = ipKey(name, req);
+
+    if (req.application) {
+      ({ limit, windowSeconds } = (await getRateLimits(req.application))[name]);
+      key = `ratelimit:${name}:${req.application._id}`;
+    }
+
+    const { count, resetSeconds } = await consume(key, windowSeconds);
+    setHeaders(res, limit, windowSeconds, count, resetSeconds);
+
+    if (count > limit) {
+      logger.warn('Rate limit exceeded', {
+        limiter: name,
+        appId: req.application?._id,
+        ip: req.application ? undefined : req.ip
+      });
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error, message });
+    }
+  } catch (limitError) {
+    logger.warn('Rate limit check failed, allowing request:', { limiter: name, error: limitError.message });
+  }
+
+  next();
+};
+
+const BEACON_PATH = '/api/events/beacon';
+
+// Beacons are text/plain and carry their key in the body, which is not
+// parsed yet when the anonymous limit runs. Only the beacon route reads a key
+// from a text/plain body, so other text/plain requests are still limited.
+const isBeacon = (req) => req.path === BEACON_PATH && Boolean(req.is('text/plain'));
+
+const hasApiKey = (req) => Boolean(
+  req.headers['x-api-key'] || req.headers['authorization'] ||
+    req.query.apiKey || req.query.key || req.query.api_secret
+) || isBeacon(req);
+
+// Overall request limit; authentication applies it per application
+const apiRateLimit = createRateLimit('api', {
+  error: 'Too many requests',
+  message: 'Rate limit exceeded. Please try again later.'
+});
+
+/**
+ * Count a failed authentication against the client IP. Failures share the
+ * anonymous limit, so a client sending bad keys is held to the same rate as
+ * one sending none.
+ */
+const recordAuthFailure = async (req) => {
+  try {
+    await consume(ipKey('auth-failures', req), ANONYMOUS_WINDOW_SECONDS);
+  } catch (limitError) {
+    logger.warn('Failed to record authentication failure:', { error: limitError.message });
+  }
+};
+
+/**
+ * Refuse requests with a key from IPs that have used up the anonymous limit
+ * on failed authentications, before the key is looked up
+ */
+const authFailureLimit = async (req, res, next) => {
+  try {
+    const { windowKey, resetSeconds } = currentWindow(ipKey('auth-failures', req), ANONYMOUS_WINDOW_SECONDS);
+    const failures = parseInt(await getRedisClient().get(windowKey)) || 0;
+
+    if (failures >= ANONYMOUS_MAX_REQUESTS) {
+      logger.warn('Rate limit exceeded', { limiter: 'auth-failures', ip: req.ip });
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: 'Too many failed authentications',
+        message: 'Too many requests with invalid API keys. Please try again later.'
+      });
+    }
+  } catch (limitError) {
+    logger.warn('Rate limit check failed, allowing request:', { limiter: 'auth-failures', error: limitError.message });
+  }
+
+  next();
+};
+
+// Requests without a key are limited per client IP before routing. Requests
+// with one are limited per application once authentication succeeds, and
+// per client IP on their failed authentications until then.
+const anonymousRateLimit = (req, res, next) => (
+  hasApiKey(req) ? authFailureLimit(req, res, next) : apiRateLimit(req, res, next)
+);
+
+const eventRateLimit = createRateLimit('events', {
+  error: 'Too many events',
+  message: 'Please reduce your event collection rate.'
+});
+
+const batchRateLimit = createRateLimit('batch', {
+  error: 'Too many batch requests',
+  message: 'Please reduce your batch request rate.'
+});
+
+const importRateLimit = createRateLimit('import', {
+  error: 'Too many import requests',
+  message: 'Please reduce your bulk import rate.'
+});
+
+module.exports = {
+  getRateLimits,
+  apiRateLimit,
+  anonymousRateLimit,
+  recordAuthFailure,
+  eventRateLimit,
+  batchRateLimit,
+  importRateLimit
+};
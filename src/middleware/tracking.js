@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+
+// Event fields a pixel may carry as query parameters
+const PIXEL_FIELDS = ['messageId', 'event', 'url', 'referrer', 'device', 'userId', 'anonymousId', 'sessionId', 'timestamp'];
+
+/**
+ * Map tracking pixel query parameters onto req.body so the pixel runs
+ * through the same validation and ingestion as a JSON /collect request
+ */
+const parsePixelQuery = (req, res, next) => {
+  const payload = {};
+  PIXEL_FIELDS.forEach(field => {
+    if (typeof req.query[field] === 'string') {
+      payload[field] = req.query[field];
+    }
+  });
+
+  // Pages embedding the pixel identify themselves through the Referer header
+  if (!payload.url && req.get('Referer')) {
+    payload.url = req.get('Referer');
+  }
+
+  req.body = payload;
+  next();
+};
+
+/**
+ * Parse text/plain JSON bodies, as sent by navigator.sendBeacon and by
+ * browser SDKs avoiding a CORS preflight. label names the body in errors.
+ */
+const parseTextJsonBody = (label) => (req, res, next) => {
+  if (typeof req.body !== 'string') {
+    return next();
+  }
+
+  const reject = () => res.status(400).json({
+    error: `Invalid ${label.toLowerCase()} body`,
+    message: `${label} payload must be a JSON object`
+  });
+
+  try {
+    req.body = JSON.parse(req.body);
+  } catch (error) {
+    logger.warn(`${label} body is not valid JSON`, {
+      ip: req.ip,
+      path: req.path
+    });
+    return reject();
+  }
+
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return reject();
+  }
+
+  next();
+};
+
+const parseBeaconBody = parseTextJsonBody('Beacon');
+const parseSegmentBody = parseTextJsonBody('Segment');
+const parseMeasurementProtocolBody = parseTextJsonBody('Measurement Protocol');
+
+module.exports = { parsePixelQuery, parseBeaconBody, parseSegmentBody, parseMeasurementProtocolBody };
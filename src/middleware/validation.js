@@ -1,5 +1,18 @@
-const { validationResult } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { validateProperties } = require('../utils/properties');
+const { DEVICE_TYPES } = require('../utils/constants');
+const { isValidTimeZone } = require('../utils/geo');
+
+const MOBILE_CONTEXT_FIELDS = {
+  appVersion: 50,
+  appBuild: 50,
+  osName: 50,
+  osVersion: 50,
+  manufacturer: 100,
+  model: 100,
+  carrier: 100
+};
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -25,4 +38,95 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-module.exports = { handleValidationErrors };
\ No newline at end of file
+/**
+ * Validation rules for the mobile app context object at the given path
+ */
+const mobileContextRules = (path) => [
+  body(path)
+    .optional()
+    .isObject()
+    .withMessage('Mobile context must be an object'),
+  ...Object.entries(MOBILE_CONTEXT_FIELDS).map(([field, max]) => body(`${path}.${field}`)
+    .optional()
+    .isString()
+    .withMessage(`${field} must be a string`)
+    .isLength({ max })
+    .withMessage(`${field} cannot exceed ${max} characters`)
+    .trim())
+];
+
+/**
+ * Validation rules shared by every single-event collection endpoint
+ */
+const collectEventRules = [
+  body('event')
+    .notEmpty()
+    .withMessage('Event type is required')
+    .isLength({ max: 100 })
+    .withMessage('Event type cannot exceed 100 characters')
+    .trim(),
+  body('url')
+    .isURL()
+    .withMessage('Valid URL is required')
+    .trim(),
+  body('device')
+    .optional()
+    .isIn(Object.values(DEVICE_TYPES))
+    .withMessage('Device must be mobile, desktop, tablet, tv, wearable, or console'),
+  ...mobileContextRules('mobile'),
+  body('messageId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Message ID must be a string of at most 100 characters')
+    .trim(),
+  body('userId')
+    .optional()
+    .trim(),
+  body('anonymousId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Anonymous ID must be a string of at most 100 characters')
+    .trim(),
+  body('sessionId')
+    .optional()
+    .trim(),
+  // null records the event without an IP rather than the sender's
+  body('ipAddress')
+    .optional({ values: 'null' })
+    .isIP()
+    .withMessage('Valid IP address is required'),
+  body('metadata.timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA time zone such as Europe/Berlin'),
+  body('properties')
+    .optional()
+    .custom(validateProperties),
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid ISO 8601 timestamp is required'),
+  body('sentAt')
+    .optional()
+    .isISO8601()
+    .withMessage('sentAt must be a valid ISO 8601 timestamp')
+];
+
+/**
+ * Run the collection rules against a payload outside of a request, as
+ * bulk import and dead-letter replay do
+ */
+const validateEventPayload = async (payload) => {
+  const payloadReq = { body: payload };
+  for (const rule of collectEventRules) {
+    await rule.run(payloadReq);
+  }
+  return validationResult(payloadReq).array().map(err => ({
+    field: err.path,
+    message: err.msg
+  }));
+};
+
+module.exports = { handleValidationErrors, collectEventRules, mobileContextRules, validateEventPayload };
\ No newline at end of file
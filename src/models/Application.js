@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const ORIGIN_PATTERN = /^https?:\/\/(\*\.)?[a-z0-9.-]+(:\d+)?$/i;
+
 const applicationSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -38,10 +41,220 @@ const applicationSchema = new mongoose.Schema({
     required: true,
     select: false
   },
+  // Write-only key that can be embedded in browser code, pixels and beacons;
+  // apiKey is the secret key and is needed to read or delete data
+  publishableKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+    index: true
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  ingestion: {
+    dedupeWindowSeconds: {
+      type: Number,
+      min: [60, 'Dedupe window must be at least 60 seconds']
+    },
+    sessionTimeoutMinutes: {
+      type: Number,
+      min: [1, 'Session timeout must be at least 1 minute']
+    },
+    // clamp moves out-of-range timestamps to receivedAt; reject drops the event
+    timestampPolicy: {
+      type: String,
+      enum: {
+        values: ['clamp', 'reject'],
+        message: 'Timestamp policy must be clamp or reject'
+      },
+      default: 'clamp'
+    },
+    maxFutureMinutes: {
+      type: Number,
+      min: [0, 'Max future minutes cannot be negative']
+    },
+    maxPastDays: {
+      type: Number,
+      min: [1, 'Max past days must be at least 1']
+    }
+  },
+  privacy: {
+    ipMode: {
+      type: String,
+      enum: {
+        values: ['full', 'truncate', 'hash', 'drop'],
+        message: 'IP mode must be full, truncate, hash, or drop'
+      },
+      default: 'full'
+    }
+  },
+  security: {
+    // Origins publishable keys may send events from; empty means the domain
+    // and its subdomains. A "*." host prefix matches any subdomain.
+    allowedOrigins: {
+      type: [String],
+      validate: {
+        validator: function(origins) {
+          return origins.every(origin => ORIGIN_PATTERN.test(origin));
+        },
+        message: 'Allowed origins must be http(s) origins without a path'
+      }
+    }
+  },
+  botFiltering: {
+    // drop discards bot events; exclude stores them but leaves them out of analytics
+    mode: {
+      type: String,
+      enum: {
+        values: ['drop', 'exclude'],
+        message: 'Bot filtering mode must be drop or exclude'
+      },
+      default: 'exclude'
+    }
+  },
+  // Share of users whose events are kept, per event name or by default;
+  // reports scale sampled counts back up
+  sampling: {
+    defaultRate: {
+      type: Number,
+      min: [0, 'Sample rate must be between 0 and 1'],
+      max: [1, 'Sample rate must be between 0 and 1'],
+      default: 1
+    },
+    events: [{
+      _id: false,
+      event: {
+        type: String,
+        required: [true, 'Event name is required'],
+        trim: true,
+        maxlength: [100, 'Event name cannot be more than 100 characters']
+      },
+      rate: {
+        type: Number,
+        required: [true, 'Sample rate is required'],
+        min: [0, 'Sample rate must be between 0 and 1'],
+        max: [1, 'Sample rate must be between 0 and 1']
+      }
+    }]
+  },
+  // Per-application overrides of the enrichment pipeline; enrichers not
+  // listed run with their defaults
+  enrichment: {
+    enrichers: [{
+      _id: false,
+      name: {
+        type: String,
+        required: [true, 'Enricher name is required'],
+        trim: true
+      },
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      options: {
+        type: mongoose.Schema.Types.Mixed
+      }
+    }]
+  },
+  // Rules applied to collected events in order, before the tracking plan
+  transformations: {
+    rules: [{
+      _id: false,
+      name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+        maxlength: [100, 'Rule name cannot be more than 100 characters']
+      },
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      type: {
+        type: String,
+        required: [true, 'Rule type is required'],
+        enum: {
+          values: ['rename', 'drop', 'mask', 'delete', 'derive'],
+          message: 'Rule type must be rename, drop, mask, delete, or derive'
+        }
+      },
+      // Events the rule applies to; every given condition must hold
+      match: {
+        event: String,
+        // Regular expression tested against the URL path
+        urlPattern: String,
+        // Property values that must be equal
+        properties: mongoose.Schema.Types.Mixed
+      },
+      // rename: the new event name
+      to: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Event name cannot be more than 100 characters']
+      },
+      // mask and delete: the properties to mask or delete
+      properties: [String],
+      // derive: URL path pattern whose named groups become properties
+      pattern: String
+    }],
+    updatedAt: Date
+  },
+  // Admin overrides of the plan's rate limits; limits left unset follow the plan
+  rateLimits: {
+    api: {
+      type: Number,
+      min: [1, 'Rate limit must be at least 1']
+    },
+    events: {
+      type: Number,
+      min: [1, 'Rate limit must be at least 1']
+    },
+    batch: {
+      type: Number,
+      min: [1, 'Rate limit must be at least 1']
+    },
+    import: {
+      type: Number,
+      min: [1, 'Rate limit must be at least 1']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    updatedAt: Date
+  },
+  trackingPlan: {
+    mode: {
+      type: String,
+      enum: {
+        values: ['off', 'warn', 'reject'],
+        message: 'Tracking plan mode must be off, warn, or reject'
+      },
+      default: 'off'
+    },
+    events: [{
+      _id: false,
+      name: {
+        type: String,
+        required: [true, 'Event name is required'],
+        trim: true,
+        maxlength: [100, 'Event name cannot be more than 100 characters']
+      },
+      description: {
+        type: String,
+        trim: true
+      },
+      // JSON Schema for the event's properties
+      schema: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+      }
+    }],
+    updatedAt: Date
+  },
   createdBy: {
     type: String,
     required: [true, 'User ID is required']
@@ -78,6 +291,19 @@ applicationSchema.statics.generateApiKey = async function() {
     .toUpperCase();
 };
 
+// Generate publishable key
+applicationSchema.statics.generatePublishableKey = function() {
+  return `pk_${crypto.randomBytes(16).toString('hex')}`;
+};
+
+// Assign a publishable key to new and pre-existing applications
+applicationSchema.pre('validate', function(next) {
+  if (!this.publishableKey) {
+    this.publishableKey = this.constructor.generatePublishableKey();
+  }
+  next();
+});
+
 // Hash API Key before saving
 applicationSchema.pre('save', async function(next) {
   if (this.isModified('apiKey') || this.isNew) {
@@ -94,6 +320,21 @@ applicationSchema.methods.verifyApiKey = async function(apiKey) {
   return bcrypt.compare(apiKey, this.apiKeyHash);
 };
 
+// Origins publishable keys are accepted from, as { protocol, host, wildcard }
+applicationSchema.methods.getAllowedOrigins = function() {
+  const configured = this.security?.allowedOrigins || [];
+  const site = this.domain.replace(/^(https?:\/\/)www\./i, '$1');
+  const origins = configured.length > 0 ?
+    configured :
+    [site, site.replace(/^(https?:\/\/)/i, '$1*.')];
+
+  return origins.map(origin => {
+    const [, protocol, wildcard, host] = origin.toLowerCase()
+      .match(/^(https?):\/\/(\*\.)?([^/]+)/) || [];
+    return { protocol, host, wildcard: Boolean(wildcard) };
+  }).filter(origin => origin.host);
+};
+
 // Check if API key is expired
 applicationSchema.methods.isExpired = function() {
   return this.expiresAt < new Date();
@@ -112,4 +353,13 @@ applicationSchema.statics.findByApiKey = async function(apiKey) {
   return null;
 };
 
+// Static method to find application by publishable key
+applicationSchema.statics.findByPublishableKey = async function(publishableKey) {
+  const application = await this.findOne({ publishableKey, isActive: true });
+  if (!application || application.isExpired()) {
+    return null;
+  }
+  return application;
+};
+
 module.exports = mongoose.model('Application', applicationSchema);
\ No newline at end of file
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { DEAD_LETTER, DEAD_LETTER_REASONS } = require('../utils/constants');
+
+const MAX_PER_APP = parseInt(process.env.DEAD_LETTER_MAX_PER_APP) || DEAD_LETTER.MAX_PER_APP;
+const RETENTION_DAYS = parseInt(process.env.DEAD_LETTER_RETENTION_DAYS) || DEAD_LETTER.RETENTION_DAYS;
+
+// A payload that was rejected at ingestion or refused by MongoDB, kept with
+// what the client sent so it can be inspected and replayed. Each application
+// keeps at most MAX_PER_APP entries; older ones expire after RETENTION_DAYS.
+const deadLetterSchema = new mongoose.Schema({
+  appId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: Object.values(DEAD_LETTER_REASONS),
+    required: true
+  },
+  // "<method> <path>" the payload was sent to, or null for storage errors
+  endpoint: String,
+  details: [{
+    _id: false,
+    field: String,
+    message: String
+  }],
+  // The request body as received; a whole batch for batch validation errors
+  body: mongoose.Schema.Types.Mixed,
+  headers: mongoose.Schema.Types.Mixed,
+  // Only kept when the application stores full IPs
+  ipAddress: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  minimize: false
+});
+
+deadLetterSchema.index({ appId: 1, receivedAt: -1 });
+deadLetterSchema.index({ appId: 1, reason: 1, receivedAt: -1 });
+deadLetterSchema.index({ receivedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Store entries for one application and remove its oldest beyond the cap
+deadLetterSchema.statics.store = async function(appId, entries) {
+  await this.insertMany(entries.map(entry => ({ ...entry, appId })));
+
+  const overflow = await this.countDocuments({ appId }) - MAX_PER_APP;
+  if (overflow > 0) {
+    const oldest = await this.find({ appId })
+      .sort({ receivedAt: 1, _id: 1 })
+      .limit(overflow)
+      .select('_id')
+      .lean();
+    await this.deleteMany({ _id: { $in: oldest.map(doc => doc._id) } });
+  }
+};
+
+module.exports = mongoose.model('DeadLetter', deadLetterSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { DESTINATIONS, DELIVERY_STATUSES } = require('../utils/constants');
+
+const RETENTION_DAYS = parseInt(process.env.DELIVERY_RETENTION_DAYS) || DESTINATIONS.RETENTION_DAYS;
+
+// One stored event sent, or to be sent, to one destination. The payload is
+// built when the event is stored, so retries and redeliveries send the same
+// body. Entries expire RETENTION_DAYS after the event was stored.
+const deliverySchema = new mongoose.Schema({
+  appId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  destinationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Destination',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  event: String,
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: Object.values(DELIVERY_STATUSES),
+    default: DELIVERY_STATUSES.PENDING
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When a pending delivery is next tried
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date,
+  // HTTP status of the last attempt; unset when no response came back
+  lastStatusCode: Number,
+  lastError: String,
+  deliveredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  minimize: false
+});
+
+// An event is delivered to a destination once, even if its batch is stored again
+deliverySchema.index({ destinationId: 1, eventId: 1 }, { unique: true });
+deliverySchema.index({ destinationId: 1, status: 1, createdAt: -1 });
+deliverySchema.index({ status: 1, nextAttemptAt: 1 });
+deliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Delivery', deliverySchema);
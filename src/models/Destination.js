@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// An HTTP endpoint an application's stored events are forwarded to. Each
+// delivery is signed with the destination's secret.
+const destinationSchema = new mongoose.Schema({
+  appId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Destination name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Destination URL is required'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^https?:\/\/.+/.test(v);
+      },
+      message: 'Please provide a valid http or https URL'
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Events forwarded; every given condition must hold
+  filter: {
+    // Event names, all events when empty
+    events: [String],
+    // Property values that must be equal
+    properties: mongoose.Schema.Types.Mixed,
+    // Events flagged as bots are not forwarded unless set
+    includeBots: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Fields of the payload sent, each read from a stored event field path,
+  // e.g. { to: "user.id", from: "userId" }; dots in to nest. The default
+  // payload is sent when empty.
+  mapping: [{
+    _id: false,
+    to: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: String,
+      required: true
+    }
+  }],
+  // HMAC-SHA256 signing secret
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+destinationSchema.index({ appId: 1, name: 1 }, { unique: true });
+
+// Generate a signing secret
+destinationSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+module.exports = mongoose.model('Destination', destinationSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const Identity = require('./Identity');
+const { buildPropertyMatch } = require('../utils/properties');
+const { DEVICE_TYPES } = require('../utils/constants');
 
 const eventSchema = new mongoose.Schema({
   appId: {
@@ -14,11 +17,22 @@ const eventSchema = new mongoose.Schema({
     maxlength: [100, 'Event type cannot be more than 100 characters'],
     index: true
   },
+  messageId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Message ID cannot be more than 100 characters']
+  },
   userId: {
     type: String,
     index: true,
     sparse: true
   },
+  // Client-generated ID for a visitor who has not signed in yet
+  anonymousId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Anonymous ID cannot be more than 100 characters']
+  },
   sessionId: {
     type: String,
     index: true,
@@ -33,17 +47,46 @@ const eventSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // utm_* parameters and ad click IDs parsed from the page URL
+  campaign: {
+    source: String,
+    medium: String,
+    name: String,
+    term: String,
+    content: String,
+    gclid: String,
+    fbclid: String
+  },
+  acquisition: {
+    channel: {
+      type: String,
+      enum: ['search', 'social', 'email', 'paid', 'direct', 'referral']
+    },
+    referrerDomain: String,
+    // Referrer on the application's own domain, counted as direct
+    selfReferral: Boolean
+  },
   device: {
     type: String,
     enum: {
-      values: ['mobile', 'desktop', 'tablet'],
-      message: 'Device must be mobile, desktop, or tablet'
+      values: Object.values(DEVICE_TYPES),
+      message: 'Device must be mobile, desktop, tablet, tv, wearable, or console'
     },
     required: true
   },
+  // Context sent by native app SDKs
+  mobile: {
+    appVersion: { type: String, trim: true, maxlength: 50 },
+    appBuild: { type: String, trim: true, maxlength: 50 },
+    osName: { type: String, trim: true, maxlength: 50 },
+    osVersion: { type: String, trim: true, maxlength: 50 },
+    manufacturer: { type: String, trim: true, maxlength: 100 },
+    model: { type: String, trim: true, maxlength: 100 },
+    carrier: { type: String, trim: true, maxlength: 100 }
+  },
+  // Truncated, hashed or absent depending on the application's privacy settings
   ipAddress: {
-    type: String,
-    required: true
+    type: String
   },
   userAgent: {
     type: String
@@ -53,15 +96,53 @@ const eventSchema = new mongoose.Schema({
     os: String,
     screenSize: String,
     country: String,
+    // ISO 3166-2 subdivision code without the country, e.g. "CA" or "ENG"
+    region: String,
     city: String,
+    // Rounded to GEO.COORDINATE_DECIMALS places
+    latitude: Number,
+    longitude: Number,
     language: String,
+    // The visitor's IANA time zone
     timezone: String,
     platform: String
   },
+  // Set at ingestion for crawlers, headless browsers and other automated traffic
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+  botReason: {
+    type: String,
+    enum: ['crawler_user_agent', 'headless_browser', 'datacenter_ip', 'request_rate']
+  },
+  // Share of users whose events of this type were kept at ingestion; each
+  // stored event stands for 1 / sampleRate events in reports
+  sampleRate: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+  // Free-form custom properties: string, number, boolean or date values
+  properties: {
+    type: mongoose.Schema.Types.Mixed
+  },
   timestamp: {
     type: Date,
     default: Date.now,
     index: true
+  },
+  // Client-reported time, kept when timestamp was corrected for clock skew or clamped
+  originalTimestamp: {
+    type: Date
+  },
+  // Client time the event was sent, used to measure clock skew
+  sentAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -79,14 +160,39 @@ const eventSchema = new mongoose.Schema({
 eventSchema.index({ appId: 1, event: 1, timestamp: -1 });
 eventSchema.index({ appId: 1, userId: 1, timestamp: -1 });
 eventSchema.index({ appId: 1, sessionId: 1, timestamp: -1 });
+eventSchema.index({ appId: 1, anonymousId: 1 }, { sparse: true });
+eventSchema.index({ appId: 1, 'acquisition.channel': 1, timestamp: -1 });
+eventSchema.index({ appId: 1, 'mobile.appVersion': 1, timestamp: -1 });
+eventSchema.index({ appId: 1, 'metadata.country': 1, 'metadata.region': 1, timestamp: -1 });
 eventSchema.index({ timestamp: -1 });
 eventSchema.index({ appId: 1, timestamp: -1 });
+eventSchema.index({ 'properties.$**': 1 });
 
-// Static method for event aggregation
-eventSchema.statics.getEventSummary = async function(appId, event, startDate, endDate) {
+// Client-supplied message IDs are unique per application
+eventSchema.index(
+  { appId: 1, messageId: 1 },
+  { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } }
+);
+
+// Bot events are stored but left out of analytics unless asked for
+const botFilter = (includeBots = false) => includeBots ? {} : { isBot: { $ne: true } };
+eventSchema.statics.botFilter = botFilter;
+
+// How many events a stored event stands for; events stored before sampling have no rate
+const sampleWeight = { $divide: [1, { $ifNull: ['$sampleRate', 1] }] };
+eventSchema.statics.sampleWeight = sampleWeight;
+
+// Unique counts of sampled users, scaled by the average weight of their events
+const scaleByAverageWeight = (size, weightedCount, count) => ({
+  $round: [{ $multiply: [size, { $divide: [weightedCount, count] }] }, 0]
+});
+
+const buildSummaryMatch = (appId, event, startDate, endDate, propertyFilters, includeBots) => {
   const matchStage = {
     appId: new mongoose.Types.ObjectId(appId),
-    event: event
+    event: event,
+    ...buildPropertyMatch(propertyFilters),
+    ...botFilter(includeBots)
   };
 
   if (startDate || endDate) {
@@ -95,52 +201,217 @@ eventSchema.statics.getEventSummary = async function(appId, event, startDate, en
     if (endDate) matchStage.timestamp.$lte = new Date(endDate + 'T23:59:59.999Z');
   }
 
+  return matchStage;
+};
+
+const buildRangeMatch = (appId, startDate, endDate, includeBots) => {
+  const matchStage = {
+    appId: new mongoose.Types.ObjectId(appId),
+    ...botFilter(includeBots)
+  };
+
+  if (startDate || endDate) {
+    matchStage.timestamp = {};
+    if (startDate) matchStage.timestamp.$gte = new Date(startDate);
+    if (endDate) matchStage.timestamp.$lte = new Date(endDate + 'T23:59:59.999Z');
+  }
+
+  return matchStage;
+};
+
+// Static method for event aggregation
+eventSchema.statics.getEventSummary = async function(appId, event, startDate, endDate, propertyFilters = {}, { includeBots = false } = {}) {
+  const matchStage = buildSummaryMatch(appId, event, startDate, endDate, propertyFilters, includeBots);
+  const devices = Object.values(DEVICE_TYPES);
+  const deviceCounts = Object.fromEntries(devices.map(device => [device, {
+    $sum: { $cond: [{ $eq: ['$device', device] }, sampleWeight, 0] }
+  }]));
+
+  // Counts are scaled up by the sample rate; estimated is true when any event was sampled
   return this.aggregate([
     { $match: matchStage },
+    ...Identity.resolveUserStages(matchStage.appId),
     {
       $group: {
         _id: '$event',
-        count: { $sum: 1 },
-        uniqueUsers: { $addToSet: '$userId' },
-        deviceData: { 
-          $push: {
-            device: '$device',
-            userId: '$userId'
-          }
-        }
+        storedCount: { $sum: 1 },
+        weightedCount: { $sum: sampleWeight },
+        minSampleRate: { $min: { $ifNull: ['$sampleRate', 1] } },
+        uniqueUsers: { $addToSet: '$canonicalUserId' },
+        ...deviceCounts
       }
     },
     {
       $project: {
         event: '$_id',
-        count: 1,
-        uniqueUsers: { $size: '$uniqueUsers' },
-        deviceData: {
-          mobile: {
-            $size: {
-              $filter: {
-                input: '$deviceData',
-                as: 'device',
-                cond: { $eq: ['$$device.device', 'mobile'] }
-              }
+        count: { $round: ['$weightedCount', 0] },
+        // Anonymous events that were never identified have no user
+        uniqueUsers: scaleByAverageWeight(
+          { $size: { $setDifference: ['$uniqueUsers', [null]] } },
+          '$weightedCount',
+          '$storedCount'
+        ),
+        deviceData: Object.fromEntries(devices.map(device => [device, { $round: [`$${device}`, 0] }])),
+        estimated: { $lt: ['$minSampleRate', 1] }
+      }
+    }
+  ]);
+};
+
+// Static method to break an event down by one custom property
+eventSchema.statics.getPropertyBreakdown = async function(appId, event, property, startDate, endDate, propertyFilters = {}, { includeBots = false } = {}) {
+  const matchStage = buildSummaryMatch(appId, event, startDate, endDate, propertyFilters, includeBots);
+
+  return this.aggregate([
+    { $match: matchStage },
+    ...Identity.resolveUserStages(matchStage.appId),
+    {
+      $group: {
+        _id: `$properties.${property}`,
+        storedCount: { $sum: 1 },
+        weightedCount: { $sum: sampleWeight },
+        uniqueUsers: { $addToSet: '$canonicalUserId' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        value: '$_id',
+        count: { $round: ['$weightedCount', 0] },
+        uniqueUsers: scaleByAverageWeight(
+          { $size: { $setDifference: ['$uniqueUsers', [null]] } },
+          '$weightedCount',
+          '$storedCount'
+        )
+      }
+    },
+    { $sort: { count: -1 } },
+    { $limit: 100 }
+  ]);
+};
+
+// Static method for traffic sources: channels, campaigns and referring domains
+eventSchema.statics.getAcquisitionSummary = async function(appId, startDate, endDate, { includeBots = false } = {}) {
+  const matchStage = buildRangeMatch(appId, startDate, endDate, includeBots);
+
+  const countUsers = { $size: { $setDifference: ['$users', [null]] } };
+
+  const [result] = await this.aggregate([
+    { $match: matchStage },
+    ...Identity.resolveUserStages(matchStage.appId),
+    {
+      $facet: {
+        channels: [
+          {
+            $group: {
+              _id: { $ifNull: ['$acquisition.channel', 'direct'] },
+              events: { $sum: 1 },
+              users: { $addToSet: '$canonicalUserId' }
             }
           },
-          desktop: {
-            $size: {
-              $filter: {
-                input: '$deviceData',
-                as: 'device',
-                cond: { $eq: ['$$device.device', 'desktop'] }
-              }
+          { $project: { _id: 0, channel: '$_id', events: 1, uniqueUsers: countUsers } },
+          { $sort: { events: -1 } }
+        ],
+        campaigns: [
+          { $match: { 'campaign.source': { $exists: true } } },
+          {
+            $group: {
+              _id: {
+                source: '$campaign.source',
+                medium: '$campaign.medium',
+                name: '$campaign.name'
+              },
+              events: { $sum: 1 },
+              users: { $addToSet: '$canonicalUserId' }
             }
           },
-          tablet: {
-            $size: {
-              $filter: {
-                input: '$deviceData',
-                as: 'device',
-                cond: { $eq: ['$$device.device', 'tablet'] }
-              }
+          { $project: { _id: 0, campaign: '$_id', events: 1, uniqueUsers: countUsers } },
+          { $sort: { events: -1 } },
+          { $limit: 20 }
+        ],
+        referrers: [
+          { $match: { 'acquisition.referrerDomain': { $exists: true }, 'acquisition.selfReferral': { $ne: true } } },
+          {
+            $group: {
+              _id: '$acquisition.referrerDomain',
+              channel: { $first: '$acquisition.channel' },
+              events: { $sum: 1 },
+              users: { $addToSet: '$canonicalUserId' }
+            }
+          },
+          { $project: { _id: 0, domain: '$_id', channel: 1, events: 1, uniqueUsers: countUsers } },
+          { $sort: { events: -1 } },
+          { $limit: 20 }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+// App installs are mostly anonymous, so versions count identified users and
+// anonymous visitors alike
+const visitorKey = { $ifNull: ['$canonicalUserId', '$anonymousId'] };
+
+// Static method for the share of visitors on each app version per day or week
+eventSchema.statics.getVersionAdoption = async function(appId, startDate, endDate, { interval = 'day', includeBots = false } = {}) {
+  const matchStage = {
+    ...buildRangeMatch(appId, startDate, endDate, includeBots),
+    'mobile.appVersion': { $exists: true }
+  };
+
+  return this.aggregate([
+    { $match: matchStage },
+    ...Identity.resolveUserStages(matchStage.appId),
+    {
+      $group: {
+        _id: {
+          period: { $dateTrunc: { date: '$timestamp', unit: interval } },
+          version: '$mobile.appVersion'
+        },
+        storedCount: { $sum: 1 },
+        weightedCount: { $sum: sampleWeight },
+        users: { $addToSet: visitorKey }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.period',
+        versions: {
+          $push: {
+            version: '$_id.version',
+            events: { $round: ['$weightedCount', 0] },
+            users: scaleByAverageWeight(
+              { $size: { $setDifference: ['$users', [null]] } },
+              '$weightedCount',
+              '$storedCount'
+            )
+          }
+        }
+      }
+    },
+    { $addFields: { totalUsers: { $sum: '$versions.users' } } },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        totalUsers: 1,
+        versions: {
+          $map: {
+            input: { $sortArray: { input: '$versions', sortBy: { users: -1 } } },
+            as: 'item',
+            in: {
+              $mergeObjects: ['$$item', {
+                share: {
+                  $cond: [
+                    { $gt: ['$totalUsers', 0] },
+                    { $round: [{ $multiply: [{ $divide: ['$$item.users', '$totalUsers'] }, 100] }, 1] },
+                    0
+                  ]
+                }
+              }]
             }
           }
         }
@@ -149,4 +420,172 @@ eventSchema.statics.getEventSummary = async function(appId, event, startDate, en
   ]);
 };
 
+// Static method for event counts per app version, to compare releases
+eventSchema.statics.getEventsByVersion = async function(appId, startDate, endDate, { event, includeBots = false } = {}) {
+  const matchStage = {
+    ...buildRangeMatch(appId, startDate, endDate, includeBots),
+    'mobile.appVersion': { $exists: true },
+    ...(event && { event })
+  };
+
+  const countVisitors = (users) => ({ $size: { $setDifference: [users, [null]] } });
+
+  return this.aggregate([
+    { $match: matchStage },
+    ...Identity.resolveUserStages(matchStage.appId),
+    {
+      $group: {
+        _id: { version: '$mobile.appVersion', event: '$event' },
+        storedCount: { $sum: 1 },
+        weightedCount: { $sum: sampleWeight },
+        users: { $addToSet: visitorKey }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.version',
+        storedCount: { $sum: '$storedCount' },
+        weightedCount: { $sum: '$weightedCount' },
+        userSets: { $push: '$users' },
+        events: {
+          $push: {
+            event: '$_id.event',
+            count: { $round: ['$weightedCount', 0] },
+            users: scaleByAverageWeight(countVisitors('$users'), '$weightedCount', '$storedCount')
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        version: '$_id',
+        totalEvents: { $round: ['$weightedCount', 0] },
+        users: scaleByAverageWeight(
+          countVisitors({ $reduce: { input: '$userSets', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }),
+          '$weightedCount',
+          '$storedCount'
+        ),
+        events: { $slice: [{ $sortArray: { input: '$events', sortBy: { count: -1 } } }, 20] }
+      }
+    },
+    {
+      $addFields: {
+        eventsPerUser: {
+          $cond: [{ $gt: ['$users', 0] }, { $round: [{ $divide: ['$totalEvents', '$users'] }, 2] }, null]
+        }
+      }
+    },
+    { $sort: { users: -1 } },
+    { $limit: 50 }
+  ]);
+};
+
+// Static method for events and visitors by country, or by region of a country,
+// or by city of a region, with the average rounded coordinates of each place
+eventSchema.statics.getGeography = async function(appId, startDate, endDate, { country, region, includeBots = false } = {}) {
+  const matchStage = {
+    ...buildRangeMatch(appId, startDate, endDate, includeBots),
+    ...(country && { 'metadata.country': country }),
+    ...(region && { 'metadata.region': region })
+  };
+  const level = region ? 'city' : country ? 'region' : 'country';
+
+  return this.aggregate([
+    { $match: matchStage },
+    ...Identity.resolveUserStages(matchStage.appId),
+    {
+      $group: {
+        _id: `$metadata.${level}`,
+        storedCount: { $sum: 1 },
+        weightedCount: { $sum: sampleWeight },
+        users: { $addToSet: visitorKey },
+        latitude: { $avg: '$metadata.latitude' },
+        longitude: { $avg: '$metadata.longitude' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        [level]: '$_id',
+        events: { $round: ['$weightedCount', 0] },
+        users: scaleByAverageWeight(
+          { $size: { $setDifference: ['$users', [null]] } },
+          '$weightedCount',
+          '$storedCount'
+        ),
+        latitude: { $round: ['$latitude', 2] },
+        longitude: { $round: ['$longitude', 2] }
+      }
+    },
+    { $sort: { events: -1 } },
+    { $limit: 250 }
+  ]);
+};
+
+// Static method for an ordered funnel: how many users reached each step,
+// attributing anonymous activity through the identity graph
+eventSchema.statics.getFunnel = async function(appId, steps, startDate, endDate, { includeBots = false } = {}) {
+  const matchStage = {
+    appId: new mongoose.Types.ObjectId(appId),
+    event: { $in: steps },
+    ...botFilter(includeBots)
+  };
+
+  if (startDate || endDate) {
+    matchStage.timestamp = {};
+    if (startDate) matchStage.timestamp.$gte = new Date(startDate);
+    if (endDate) matchStage.timestamp.$lte = new Date(endDate + 'T23:59:59.999Z');
+  }
+
+  const reached = await this.aggregate([
+    { $match: matchStage },
+    ...Identity.resolveUserStages(matchStage.appId),
+    { $match: { canonicalUserId: { $ne: null } } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: '$canonicalUserId',
+        events: { $push: '$event' }
+      }
+    },
+    {
+      // Walk the user's events in order, advancing one step per match
+      $project: {
+        stepsReached: {
+          $reduce: {
+            input: '$events',
+            initialValue: 0,
+            in: {
+              $cond: [
+                {
+                  $and: [
+                    { $lt: ['$$value', steps.length] },
+                    { $eq: ['$$this', { $arrayElemAt: [steps, '$$value'] }] }
+                  ]
+                },
+                { $add: ['$$value', 1] },
+                '$$value'
+              ]
+            }
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$stepsReached',
+        users: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return steps.map((step, index) => ({
+    step,
+    users: reached
+      .filter(item => item._id > index)
+      .reduce((sum, item) => sum + item.users, 0)
+  }));
+};
+
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
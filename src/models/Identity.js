@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// One edge of an application's identity graph: a distinct ID (an anonymous
+// ID, a session ID or an earlier user ID) linked to the canonical user it
+// belongs to. Edges always point at the current canonical user, so resolving
+// an ID never takes more than one lookup.
+const identitySchema = new mongoose.Schema({
+  appId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  idType: {
+    type: String,
+    enum: {
+      values: ['userId', 'anonymousId', 'sessionId'],
+      message: 'ID type must be userId, anonymousId, or sessionId'
+    },
+    required: true
+  },
+  distinctId: {
+    type: String,
+    required: [true, 'Distinct ID is required'],
+    trim: true,
+    maxlength: [100, 'Distinct ID cannot be more than 100 characters']
+  },
+  userId: {
+    type: String,
+    required: [true, 'User ID is required'],
+    trim: true,
+    maxlength: [100, 'User ID cannot be more than 100 characters']
+  },
+  source: {
+    type: String,
+    enum: ['identify', 'alias'],
+    required: true
+  },
+  // "<appId>:<idType>:<distinctId>", joined against events in aggregations
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+identitySchema.index({ appId: 1, userId: 1 });
+
+// Build the lookup key for a distinct ID
+identitySchema.statics.buildKey = function(appId, idType, distinctId) {
+  return `${appId}:${idType}:${distinctId}`;
+};
+
+// Aggregation stages that add `canonicalUserId` to each event. An event with
+// a userId belongs to that user, or to the user it was aliased into; an
+// anonymous event belongs to the user its anonymousId, or failing that its
+// sessionId, was identified as.
+identitySchema.statics.resolveUserStages = function(appId) {
+  const keyFor = (idType) => ({ $concat: [`${appId}:${idType}:`, `$${idType}`] });
+  const linkFor = (idType) => ({
+    $first: {
+      $map: {
+        input: {
+          $filter: {
+            input: '$identityLinks',
+            cond: { $eq: ['$$this.idType', idType] }
+          }
+        },
+        in: '$$this.userId'
+      }
+    }
+  });
+
+  return [
+    {
+      $addFields: {
+        identityKeys: [keyFor('userId'), keyFor('anonymousId'), keyFor('sessionId')]
+      }
+    },
+    {
+      $lookup: {
+        from: this.collection.name,
+        localField: 'identityKeys',
+        foreignField: 'key',
+        as: 'identityLinks'
+      }
+    },
+    {
+      $addFields: {
+        canonicalUserId: {
+          $cond: [
+            { $ifNull: ['$userId', false] },
+            { $ifNull: [linkFor('userId'), '$userId'] },
+            { $ifNull: [linkFor('anonymousId'), linkFor('sessionId')] }
+          ]
+        }
+      }
+    },
+    { $project: { identityKeys: 0, identityLinks: 0 } }
+  ];
+};
+
+module.exports = mongoose.model('Identity', identitySchema);
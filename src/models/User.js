@@ -93,7 +93,8 @@ const userSchema = new mongoose.Schema({
     }
   },
 
-  // Usage limits and tracking
+  // Usage limits and tracking. Live counts are kept in Redis by the quota
+  // service, which writes them back here periodically
   usage: {
     monthlyEvents: {
       type: Number,
@@ -232,30 +233,6 @@ userSchema.methods.hasActiveSubscription = function() {
           this.subscription.currentPeriodEnd > new Date());
 };
 
-// Instance method to check usage limits
-userSchema.methods.hasReachedLimit = function() {
-  // Reset monthly usage if it's a new month
-  const now = new Date();
-  const lastReset = new Date(this.usage.lastReset);
-  const isNewMonth = now.getMonth() !== lastReset.getMonth() || 
-                     now.getFullYear() !== lastReset.getFullYear();
-
-  if (isNewMonth) {
-    this.usage.monthlyEvents = 0;
-    this.usage.lastReset = now;
-    return false;
-  }
-
-  return this.usage.monthlyEvents >= this.usage.monthlyLimit;
-};
-
-// Instance method to increment usage
-userSchema.methods.incrementUsage = async function(count = 1) {
-  this.usage.monthlyEvents += count;
-  this.usage.totalEvents += count;
-  await this.save();
-};
-
 // Static method to find or create user from Google profile
 userSchema.statics.findOrCreate = async function(profile) {
   let user = await this.findOne({ googleId: profile.id });
@@ -0,0 +1,166 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const { authenticateAdmin } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateAdmin);
+
+const appIdRule = param('appId')
+  .isMongoId()
+  .withMessage('Valid application ID is required');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RateLimits:
+ *       type: object
+ *       properties:
+ *         appId:
+ *           type: string
+ *         overrides:
+ *           type: object
+ *           description: Limits set by an admin, with the reason given
+ *         effective:
+ *           type: object
+ *           description: >
+ *             The limit each limiter runs with, as { limit, windowSeconds, source },
+ *             where source is "override" or the owner's plan
+ *           example:
+ *             api: { limit: 3000, windowSeconds: 900, source: "free" }
+ *             events: { limit: 1000, windowSeconds: 60, source: "override" }
+ *             batch: { limit: 10, windowSeconds: 60, source: "free" }
+ *             import: { limit: 30, windowSeconds: 3600, source: "free" }
+ */
+
+/**
+ * @swagger
+ * /api/admin/applications/{appId}/rate-limits:
+ *   get:
+ *     summary: Get an application's rate limits
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rate limits retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimits'
+ *       401:
+ *         description: Invalid admin key
+ *       403:
+ *         description: Admin API disabled
+ *       404:
+ *         description: Application not found
+ */
+router.get('/applications/:appId/rate-limits', [
+  appIdRule
+], handleValidationErrors, adminController.getRateLimits);
+
+/**
+ * @swagger
+ * /api/admin/applications/{appId}/rate-limits:
+ *   put:
+ *     summary: Override an application's rate limits
+ *     description: >
+ *       Replaces the application's overrides. Limits left out follow the owner's
+ *       plan. Counting windows are fixed: api 15 minutes, events and batch 1
+ *       minute, import 1 hour.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               api:
+ *                 type: integer
+ *                 minimum: 1
+ *               events:
+ *                 type: integer
+ *                 minimum: 1
+ *               batch:
+ *                 type: integer
+ *                 minimum: 1
+ *               import:
+ *                 type: integer
+ *                 minimum: 1
+ *               reason:
+ *                 type: string
+ *                 example: "Launch week traffic"
+ *     responses:
+ *       200:
+ *         description: Rate limits updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid admin key
+ *       403:
+ *         description: Admin API disabled
+ *       404:
+ *         description: Application not found
+ */
+router.put('/applications/:appId/rate-limits', [
+  appIdRule,
+  body(['api', 'events', 'batch', 'import'])
+    .optional()
+    .isInt({ min: 1, max: 10000000 })
+    .withMessage('Rate limits must be whole numbers between 1 and 10000000')
+    .toInt(),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+    .trim()
+], handleValidationErrors, adminController.updateRateLimits);
+
+/**
+ * @swagger
+ * /api/admin/applications/{appId}/rate-limits:
+ *   delete:
+ *     summary: Remove an application's rate limit overrides
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rate limits reset to the plan defaults
+ *       401:
+ *         description: Invalid admin key
+ *       403:
+ *         description: Admin API disabled
+ *       404:
+ *         description: Application not found
+ */
+router.delete('/applications/:appId/rate-limits', [
+  appIdRule
+], handleValidationErrors, adminController.resetRateLimits);
+
+module.exports = router;
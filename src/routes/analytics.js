@@ -1,28 +1,64 @@
 const express = require('express');
-const { body, query } = require('express-validator');
-const { authenticateApiKey } = require('../middleware/auth');
-const { handleValidationErrors } = require('../middleware/validation');
+const { query } = require('express-validator');
+const { authenticateApiKey, allowPublishableKey } = require('../middleware/auth');
+const { eventRateLimit } = require('../middleware/rateLimit');
+const { handleValidationErrors, collectEventRules } = require('../middleware/validation');
+const { deadLetterInvalidEvents } = require('../middleware/deadLetter');
 const Event = require('../models/Event');
 const { getRedisClient } = require('../config/redis');
-const UserAgent = require('user-agents');
-const geoip = require('geoip-lite');
+const { ingestEvents } = require('../services/ingestion');
+const { buildUserEventStages } = require('../services/identity');
 const logger = require('../utils/logger');
+const { PROPERTY_NAME_PATTERN, validatePropertyFilters } = require('../utils/properties');
+const { DEVICE_TYPES } = require('../utils/constants');
+const { toFeatureCollection } = require('../utils/geo');
 
 const router = express.Router();
 
-// Apply API key authentication to all analytics routes
+// Apply API key authentication to all analytics routes; only collect
+// accepts the publishable key
+router.post('/collect', allowPublishableKey);
 router.use(authenticateApiKey);
 
 /**
  * @swagger
  * components:
  *   schemas:
+ *     MobileContext:
+ *       type: object
+ *       description: App and device details sent by native app SDKs; implies device "mobile" when device is omitted
+ *       properties:
+ *         appVersion:
+ *           type: string
+ *           example: "2.4.1"
+ *         appBuild:
+ *           type: string
+ *           example: "2410"
+ *         osName:
+ *           type: string
+ *           example: "iOS"
+ *         osVersion:
+ *           type: string
+ *           example: "17.5"
+ *         manufacturer:
+ *           type: string
+ *           example: "Apple"
+ *         model:
+ *           type: string
+ *           example: "iPhone15,2"
+ *         carrier:
+ *           type: string
+ *           example: "Vodafone"
  *     AnalyticsEvent:
  *       type: object
  *       required:
  *         - event
  *         - url
  *       properties:
+ *         messageId:
+ *           type: string
+ *           description: Client-generated ID used to drop retried duplicates
+ *           example: "7f9c2ba4-e88f-11e4-a1a4-0800200c9a66"
  *         event:
  *           type: string
  *           example: "button_click"
@@ -31,16 +67,26 @@ router.use(authenticateApiKey);
  *           example: "https://example.com/page"
  *         referrer:
  *           type: string
+ *           description: >
+ *             Classified into a search, social, email, paid, direct or referral channel;
+ *             utm_* parameters and gclid/fbclid in url are stored as the campaign
  *           example: "https://google.com"
  *         device:
  *           type: string
- *           enum: [mobile, desktop, tablet]
+ *           enum: [mobile, desktop, tablet, tv, wearable, console]
  *           example: "mobile"
+ *         mobile:
+ *           $ref: '#/components/schemas/MobileContext'
  *         userId:
  *           type: string
  *           example: "user123"
+ *         anonymousId:
+ *           type: string
+ *           description: Client-generated visitor ID, linked to a user with /api/identity/identify
+ *           example: "anon-5f2b9c"
  *         sessionId:
  *           type: string
+ *           description: Assigned by the server from an inactivity timeout when omitted
  *           example: "session456"
  *         ipAddress:
  *           type: string
@@ -57,9 +103,34 @@ router.use(authenticateApiKey);
  *               type: string
  *             screenSize:
  *               type: string
+ *             timezone:
+ *               type: string
+ *               description: >
+ *                 The visitor's IANA time zone, e.g. from
+ *                 Intl.DateTimeFormat().resolvedOptions().timeZone; looked up from
+ *                 the IP when omitted
+ *               example: "Europe/Berlin"
+ *         properties:
+ *           type: object
+ *           description: >
+ *             Custom properties (at most 50); values may be strings, numbers,
+ *             booleans or ISO 8601 date-times, which are stored as dates
+ *           additionalProperties: true
+ *           example:
+ *             plan: "pro"
+ *             price: 49.99
+ *             trial: false
  *         timestamp:
  *           type: string
  *           format: date-time
+ *           description: >
+ *             When the event happened by the client clock; corrected by the clock
+ *             offset measured from sentAt, and clamped or rejected when too far in
+ *             the future or past
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *           description: Client clock time when the request was sent
  */
 
 /**
@@ -77,120 +148,86 @@ router.use(authenticateApiKey);
  *           schema:
  *             $ref: '#/components/schemas/AnalyticsEvent'
  *     responses:
- *       201:
- *         description: Event collected successfully
+ *       202:
+ *         description: Event accepted and queued for storage
  *       400:
- *         description: Validation error
+ *         description: Validation error or tracking plan violation
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Publishable key used from an origin that is not allowed
+ *       429:
+ *         description: Too many events, or the monthly event quota is exceeded (see Retry-After)
+ *       503:
+ *         description: Ingestion queue is full, retry after the Retry-After delay
  */
-router.post('/collect', [
-  body('event')
-    .notEmpty()
-    .withMessage('Event type is required')
-    .isLength({ max: 100 })
-    .withMessage('Event type cannot exceed 100 characters')
-    .trim(),
-  body('url')
-    .isURL()
-    .withMessage('Valid URL is required')
-    .trim(),
-  body('device')
-    .optional()
-    .isIn(['mobile', 'desktop', 'tablet'])
-    .withMessage('Device must be mobile, desktop, or tablet'),
-  body('userId')
-    .optional()
-    .trim(),
-  body('sessionId')
-    .optional()
-    .trim(),
-  body('ipAddress')
-    .optional()
-    .isIP()
-    .withMessage('Valid IP address is required'),
-  body('timestamp')
-    .optional()
-    .isISO8601()
-    .withMessage('Valid ISO 8601 timestamp is required')
-], handleValidationErrors, async (req, res) => {
+router.post('/collect', eventRateLimit, collectEventRules, deadLetterInvalidEvents, handleValidationErrors, async (req, res) => {
   try {
-    const {
-      event,
-      url,
-      referrer,
-      device,
-      userId,
-      sessionId,
-      ipAddress = req.ip,
-      userAgent = req.get('User-Agent'),
-      metadata = {},
-      timestamp = new Date()
-    } = req.body;
-
-    // Parse user agent for additional metadata
-    const userAgentData = new UserAgent(userAgent);
-    const geo = geoip.lookup(ipAddress);
-
-    const eventData = {
-      appId: req.application._id,
-      event,
-      url,
-      referrer,
-      device: device || (userAgentData.deviceCategory === 'mobile' ? 'mobile' : 
-                        userAgentData.deviceCategory === 'tablet' ? 'tablet' : 'desktop'),
-      userId,
-      sessionId,
-      ipAddress,
-      userAgent,
-      metadata: {
-        browser: userAgentData.browser.name || metadata.browser,
-        os: userAgentData.os.name || metadata.os,
-        screenSize: metadata.screenSize,
-        country: geo?.country,
-        city: geo?.city,
-        language: req.get('Accept-Language')?.split(',')[0],
-        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-        platform: userAgentData.platform
-      },
-      timestamp
-    };
+    const { event, userId } = req.body;
 
-    const analyticsEvent = new Event(eventData);
-    await analyticsEvent.save();
+    const [result] = await ingestEvents(req, [req.body]);
 
-    // Invalidate relevant cache entries
-    const redisClient = getRedisClient();
-    const cachePatterns = [
-      `event-summary:${req.application._id}:*`,
-      `user-stats:${userId || sessionId}:*`,
-      `analytics:${req.application._id}:*`
-    ];
-    
-    for (const pattern of cachePatterns) {
-      try {
-        const keys = await redisClient.keys(pattern);
-        if (keys.length > 0) {
-          await redisClient.del(keys);
-        }
-      } catch (cacheError) {
-        logger.warn('Cache invalidation failed:', cacheError);
-      }
+    if (result.status === 'rejected' && result.reason === 'timestamp_out_of_range') {
+      return res.status(400).json({
+        error: 'Timestamp out of range',
+        message: 'Event timestamp is outside the accepted range',
+        details: result.violations
+      });
+    }
+
+    if (result.status === 'rejected') {
+      return res.status(400).json({
+        error: 'Tracking plan violation',
+        message: 'Event does not match the application tracking plan',
+        details: result.violations
+      });
     }
 
-    logger.info('Event collected successfully', {
+    logger.info('Event accepted for ingestion', {
       appId: req.application._id,
       event: event,
       userId: userId,
-      sessionId: sessionId
+      sessionId: result.sessionId,
+      status: result.status
     });
 
-    res.status(201).json({
-      message: 'Event collected successfully',
-      eventId: analyticsEvent._id,
-      timestamp: analyticsEvent.timestamp
+    res.status(202).json({
+      message: result.status === 'duplicate' ? 'Duplicate event skipped' :
+        result.status === 'dropped' && result.reason === 'transformation' ? 'Event dropped by a transformation rule' :
+          result.status === 'dropped' ? 'Bot event dropped' :
+            result.status === 'sampled' ? 'Event sampled out' :
+              'Event accepted for processing',
+      eventId: result.eventId,
+      messageId: result.messageId,
+      sessionId: result.sessionId,
+      status: result.status,
+      timestamp: result.timestamp
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'QUOTA_EXCEEDED') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: 'Monthly event quota exceeded',
+        message: error.message,
+        quota: error.quota
+      });
+    }
+
+    if (error.status === 503) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json({
+        error: 'Service temporarily unavailable',
+        message: error.message
+      });
+    }
+
     logger.error('Event collection failed:', error);
     res.status(500).json({
       error: 'Failed to collect event',
@@ -227,13 +264,36 @@ router.post('/collect', [
  *           format: date
  *         description: End date for filtering (YYYY-MM-DD)
  *       - in: query
+ *         name: properties
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         description: Only count events whose custom properties match, e.g. properties[plan]=pro
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           example: properties.plan
+ *         description: Add a breakdown of counts and unique users by one custom property
+ *       - in: query
+ *         name: includeBots
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include events tagged as bot traffic
+ *       - in: query
  *         name: app_id
  *         schema:
  *           type: string
  *         description: Specific app ID to filter by
  *     responses:
  *       200:
- *         description: Event summary retrieved successfully
+ *         description: >
+ *           Event summary retrieved successfully. Counts of sampled events are
+ *           scaled up by their sample rate and estimated is true.
  *       400:
  *         description: Validation error
  */
@@ -249,14 +309,28 @@ router.get('/event-summary', [
   query('endDate')
     .optional()
     .isDate()
-    .withMessage('End date must be a valid date in YYYY-MM-DD format')
+    .withMessage('End date must be a valid date in YYYY-MM-DD format'),
+  query('properties')
+    .optional()
+    .custom(validatePropertyFilters),
+  query('groupBy')
+    .optional()
+    .custom(value => PROPERTY_NAME_PATTERN.test(String(value).replace(/^properties\./, '')))
+    .withMessage('groupBy must name a custom property, e.g. properties.plan'),
+  query('includeBots')
+    .optional()
+    .isBoolean()
+    .withMessage('includeBots must be true or false')
+    .toBoolean()
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { event, startDate, endDate, app_id } = req.query;
+    const { event, startDate, endDate, app_id, properties = {}, groupBy, includeBots = false } = req.query;
     const appId = app_id || req.application._id;
+    const groupByProperty = groupBy?.replace(/^properties\./, '');
 
     // Generate cache key
-    const cacheKey = `event-summary:${appId}:${event}:${startDate || ''}:${endDate || ''}`;
+    const filterKey = JSON.stringify(Object.entries(properties).sort(([a], [b]) => a.localeCompare(b)));
+    const cacheKey = `event-summary:${appId}:${event}:${startDate || ''}:${endDate || ''}:${filterKey}:${groupByProperty || ''}:${includeBots}`;
     const redisClient = getRedisClient();
 
     // Try to get from cache
@@ -271,15 +345,23 @@ router.get('/event-summary', [
     }
 
     // Execute aggregation
-    const summary = await Event.getEventSummary(appId, event, startDate, endDate);
+    const summary = await Event.getEventSummary(appId, event, startDate, endDate, properties, { includeBots });
 
     const result = summary[0] || {
       event,
       count: 0,
       uniqueUsers: 0,
-      deviceData: { mobile: 0, desktop: 0, tablet: 0 }
+      deviceData: Object.fromEntries(Object.values(DEVICE_TYPES).map(device => [device, 0])),
+      estimated: false
     };
 
+    if (groupByProperty) {
+      result.breakdown = {
+        property: groupByProperty,
+        values: await Event.getPropertyBreakdown(appId, event, groupByProperty, startDate, endDate, properties, { includeBots })
+      };
+    }
+
     // Cache result for 5 minutes
     try {
       await redisClient.setEx(
@@ -308,6 +390,586 @@ router.get('/event-summary', [
   }
 });
 
+/**
+ * @swagger
+ * /api/analytics/funnel:
+ *   get:
+ *     summary: Get an ordered conversion funnel
+ *     description: >
+ *       Counts the users who performed each step after the previous one. Anonymous
+ *       activity counts towards the user it was identified as.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: steps
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "page_view,signup,purchase"
+ *         description: Comma-separated event types, 2-10 steps
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: includeBots
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include events tagged as bot traffic
+ *     responses:
+ *       200:
+ *         description: Funnel retrieved successfully
+ *       400:
+ *         description: Validation error
+ */
+router.get('/funnel', [
+  query('steps')
+    .notEmpty()
+    .withMessage('Funnel steps are required')
+    .customSanitizer(value => String(value).split(',').map(step => step.trim()).filter(Boolean))
+    .custom(steps => steps.length >= 2 && steps.length <= 10)
+    .withMessage('Funnel must have between 2 and 10 steps'),
+  query('startDate')
+    .optional()
+    .isDate()
+    .withMessage('Start date must be a valid date in YYYY-MM-DD format'),
+  query('endDate')
+    .optional()
+    .isDate()
+    .withMessage('End date must be a valid date in YYYY-MM-DD format'),
+  query('includeBots')
+    .optional()
+    .isBoolean()
+    .withMessage('includeBots must be true or false')
+    .toBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { steps, startDate, endDate, includeBots = false } = req.query;
+    const appId = req.application._id;
+
+    // Generate cache key
+    const cacheKey = `funnel:${appId}:${JSON.stringify(steps)}:${startDate || ''}:${endDate || ''}:${includeBots}`;
+    const redisClient = getRedisClient();
+
+    // Try to get from cache
+    try {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) {
+        logger.debug('Serving funnel from cache', { cacheKey });
+        return res.json(JSON.parse(cached));
+      }
+    } catch (cacheError) {
+      logger.warn('Cache read failed, proceeding without cache:', cacheError);
+    }
+
+    const funnel = await Event.getFunnel(appId, steps, startDate, endDate, { includeBots });
+    const entered = funnel[0].users;
+
+    const result = {
+      steps: funnel.map((item, index) => ({
+        ...item,
+        conversionRate: entered > 0 ? (item.users / entered) * 100 : 0,
+        dropOff: index > 0 ? funnel[index - 1].users - item.users : 0
+      })),
+      conversionRate: entered > 0 ? (funnel[funnel.length - 1].users / entered) * 100 : 0
+    };
+
+    // Cache result for 5 minutes
+    try {
+      await redisClient.setEx(
+        cacheKey,
+        parseInt(process.env.CACHE_TTL_EVENTS) || 300,
+        JSON.stringify(result)
+      );
+    } catch (cacheError) {
+      logger.warn('Cache write failed:', cacheError);
+    }
+
+    logger.info('Funnel generated', {
+      appId,
+      steps: steps.length,
+      entered
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Funnel generation failed:', error);
+    res.status(500).json({
+      error: 'Failed to get funnel',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/app-versions/adoption:
+ *   get:
+ *     summary: Get app version adoption over time
+ *     description: >
+ *       Visitors (identified users and anonymous installs) per app version for each
+ *       day or week, with each version's share. Only events with mobile.appVersion count.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *       - in: query
+ *         name: includeBots
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include events tagged as bot traffic
+ *     responses:
+ *       200:
+ *         description: Version adoption per period, most used version first
+ *       400:
+ *         description: Validation error
+ */
+router.get('/app-versions/adoption', [
+  query('startDate')
+    .optional()
+    .isDate()
+    .withMessage('Start date must be a valid date in YYYY-MM-DD format'),
+  query('endDate')
+    .optional()
+    .isDate()
+    .withMessage('End date must be a valid date in YYYY-MM-DD format'),
+  query('interval')
+    .optional()
+    .isIn(['day', 'week'])
+    .withMessage('Interval must be day or week'),
+  query('includeBots')
+    .optional()
+    .isBoolean()
+    .withMessage('includeBots must be true or false')
+    .toBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { startDate, endDate, interval = 'day', includeBots = false } = req.query;
+    const appId = req.application._id;
+
+    // Generate cache key
+    const cacheKey = `app-versions:${appId}:adoption:${startDate || ''}:${endDate || ''}:${interval}:${includeBots}`;
+    const redisClient = getRedisClient();
+
+    // Try to get from cache
+    try {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) {
+        logger.debug('Serving version adoption from cache', { cacheKey });
+        return res.json(JSON.parse(cached));
+      }
+    } catch (cacheError) {
+      logger.warn('Cache read failed, proceeding without cache:', cacheError);
+    }
+
+    const periods = await Event.getVersionAdoption(appId, startDate, endDate, { interval, includeBots });
+    const result = { interval, periods };
+
+    // Cache result for 5 minutes
+    try {
+      await redisClient.setEx(
+        cacheKey,
+        parseInt(process.env.CACHE_TTL_EVENTS) || 300,
+        JSON.stringify(result)
+      );
+    } catch (cacheError) {
+      logger.warn('Cache write failed:', cacheError);
+    }
+
+    logger.info('Version adoption generated', {
+      appId,
+      periods: periods.length
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Version adoption generation failed:', error);
+    res.status(500).json({
+      error: 'Failed to get version adoption',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/app-versions/events:
+ *   get:
+ *     summary: Get events broken down by app version
+ *     description: >
+ *       Events, visitors and events per visitor for each app version, with the top
+ *       events of each, to compare behaviour across releases.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Only count this event
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: includeBots
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include events tagged as bot traffic
+ *     responses:
+ *       200:
+ *         description: Up to 50 versions, most used first
+ *       400:
+ *         description: Validation error
+ */
+router.get('/app-versions/events', [
+  query('event')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Event type cannot exceed 100 characters')
+    .trim(),
+  query('startDate')
+    .optional()
+    .isDate()
+    .withMessage('Start date must be a valid date in YYYY-MM-DD format'),
+  query('endDate')
+    .optional()
+    .isDate()
+    .withMessage('End date must be a valid date in YYYY-MM-DD format'),
+  query('includeBots')
+    .optional()
+    .isBoolean()
+    .withMessage('includeBots must be true or false')
+    .toBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { event, startDate, endDate, includeBots = false } = req.query;
+    const appId = req.application._id;
+
+    // Generate cache key
+    const cacheKey = `app-versions:${appId}:events:${event || ''}:${startDate || ''}:${endDate || ''}:${includeBots}`;
+    const redisClient = getRedisClient();
+
+    // Try to get from cache
+    try {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) {
+        logger.debug('Serving version breakdown from cache', { cacheKey });
+        return res.json(JSON.parse(cached));
+      }
+    } catch (cacheError) {
+      logger.warn('Cache read failed, proceeding without cache:', cacheError);
+    }
+
+    const versions = await Event.getEventsByVersion(appId, startDate, endDate, { event, includeBots });
+    const result = { event: event || null, versions };
+
+    // Cache result for 5 minutes
+    try {
+      await redisClient.setEx(
+        cacheKey,
+        parseInt(process.env.CACHE_TTL_EVENTS) || 300,
+        JSON.stringify(result)
+      );
+    } catch (cacheError) {
+      logger.warn('Cache write failed:', cacheError);
+    }
+
+    logger.info('Version breakdown generated', {
+      appId,
+      versions: versions.length
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Version breakdown generation failed:', error);
+    res.status(500).json({
+      error: 'Failed to get version breakdown',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/geography:
+ *   get:
+ *     summary: Get events and visitors by location
+ *     description: >
+ *       Countries by default; regions of a country when country is given, and
+ *       cities of a region when region is also given. Each location has its
+ *       average coordinates, rounded at ingestion, for plotting on a map.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *           example: "US"
+ *         description: ISO 3166-1 alpha-2 country code to list regions of
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *           example: "CA"
+ *         description: Region code within the country to list cities of
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *         description: geojson returns a FeatureCollection of points for map libraries
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: includeBots
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include events tagged as bot traffic
+ *     responses:
+ *       200:
+ *         description: Up to 250 locations with the most events
+ *       400:
+ *         description: Validation error
+ */
+router.get('/geography', [
+  query('country')
+    .optional()
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code')
+    .toUpperCase(),
+  query('region')
+    .optional()
+    .custom((value, { req }) => Boolean(req.query.country))
+    .withMessage('Region requires a country')
+    .isAlphanumeric()
+    .withMessage('Region must be a code of at most 3 letters or digits')
+    .isLength({ max: 3 })
+    .withMessage('Region must be a code of at most 3 letters or digits')
+    .toUpperCase(),
+  query('format')
+    .optional()
+    .isIn(['json', 'geojson'])
+    .withMessage('Format must be json or geojson'),
+  query('startDate')
+    .optional()
+    .isDate()
+    .withMessage('Start date must be a valid date in YYYY-MM-DD format'),
+  query('endDate')
+    .optional()
+    .isDate()
+    .withMessage('End date must be a valid date in YYYY-MM-DD format'),
+  query('includeBots')
+    .optional()
+    .isBoolean()
+    .withMessage('includeBots must be true or false')
+    .toBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { country, region, format = 'json', startDate, endDate, includeBots = false } = req.query;
+    const appId = req.application._id;
+
+    // Generate cache key
+    const cacheKey = `geography:${appId}:${country || ''}:${region || ''}:${format}:${startDate || ''}:${endDate || ''}:${includeBots}`;
+    const redisClient = getRedisClient();
+
+    // Try to get from cache
+    try {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) {
+        logger.debug('Serving geography from cache', { cacheKey });
+        return res.json(JSON.parse(cached));
+      }
+    } catch (cacheError) {
+      logger.warn('Cache read failed, proceeding without cache:', cacheError);
+    }
+
+    const locations = await Event.getGeography(appId, startDate, endDate, { country, region, includeBots });
+    const level = region ? 'city' : country ? 'region' : 'country';
+    const result = format === 'geojson'
+      ? toFeatureCollection(locations)
+      : { level, country: country || null, region: region || null, locations };
+
+    // Cache result for 5 minutes
+    try {
+      await redisClient.setEx(
+        cacheKey,
+        parseInt(process.env.CACHE_TTL_EVENTS) || 300,
+        JSON.stringify(result)
+      );
+    } catch (cacheError) {
+      logger.warn('Cache write failed:', cacheError);
+    }
+
+    logger.info('Geography generated', {
+      appId,
+      level,
+      locations: locations.length
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Geography generation failed:', error);
+    res.status(500).json({
+      error: 'Failed to get geography',
+      message: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/acquisition:
+ *   get:
+ *     summary: Get traffic sources
+ *     description: >
+ *       Events and unique users by channel (search, social, email, paid, direct,
+ *       referral), with the top utm campaigns and referring domains.
+ *       Self-referrals count as direct.
+ *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for filtering (YYYY-MM-DD)
+ *       - in: query
+ *         name: includeBots
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include events tagged as bot traffic
+ *     responses:
+ *       200:
+ *         description: Traffic sources retrieved successfully
+ *       400:
+ *         description: Validation error
+ */
+router.get('/acquisition', [
+  query('startDate')
+    .optional()
+    .isDate()
+    .withMessage('Start date must be a valid date in YYYY-MM-DD format'),
+  query('endDate')
+    .optional()
+    .isDate()
+    .withMessage('End date must be a valid date in YYYY-MM-DD format'),
+  query('includeBots')
+    .optional()
+    .isBoolean()
+    .withMessage('includeBots must be true or false')
+    .toBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { startDate, endDate, includeBots = false } = req.query;
+    const appId = req.application._id;
+
+    // Generate cache key
+    const cacheKey = `acquisition:${appId}:${startDate || ''}:${endDate || ''}:${includeBots}`;
+    const redisClient = getRedisClient();
+
+    // Try to get from cache
+    try {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) {
+        logger.debug('Serving acquisition report from cache', { cacheKey });
+        return res.json(JSON.parse(cached));
+      }
+    } catch (cacheError) {
+      logger.warn('Cache read failed, proceeding without cache:', cacheError);
+    }
+
+    const result = await Event.getAcquisitionSummary(appId, startDate, endDate, { includeBots });
+
+    // Cache result for 5 minutes
+    try {
+      await redisClient.setEx(
+        cacheKey,
+        parseInt(process.env.CACHE_TTL_EVENTS) || 300,
+        JSON.stringify(result)
+      );
+    } catch (cacheError) {
+      logger.warn('Cache write failed:', cacheError);
+    }
+
+    logger.info('Acquisition report generated', {
+      appId,
+      channels: result.channels.length
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Acquisition report generation failed:', error);
+    res.status(500).json({
+      error: 'Failed to get acquisition report',
+      message: 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/analytics/user-stats:
@@ -322,7 +984,15 @@ router.get('/event-summary', [
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID to get stats for
+ *         description: >
+ *           User ID to get stats for; events from anonymous IDs and earlier user IDs
+ *           linked to the user are included
+ *       - in: query
+ *         name: includeBots
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include events tagged as bot traffic
  *     responses:
  *       200:
  *         description: User stats retrieved successfully
@@ -333,14 +1003,19 @@ router.get('/user-stats', [
   query('userId')
     .notEmpty()
     .withMessage('User ID is required')
-    .trim()
+    .trim(),
+  query('includeBots')
+    .optional()
+    .isBoolean()
+    .withMessage('includeBots must be true or false')
+    .toBoolean()
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { userId } = req.query;
+    const { userId, includeBots = false } = req.query;
     const appId = req.application._id;
 
     // Generate cache key
-    const cacheKey = `user-stats:${appId}:${userId}`;
+    const cacheKey = `user-stats:${appId}:${userId}:${includeBots}`;
     const redisClient = getRedisClient();
 
     // Try to get from cache
@@ -354,20 +1029,16 @@ router.get('/user-stats', [
       logger.warn('Cache read failed, proceeding without cache:', cacheError);
     }
 
-    // Get user stats
+    // Get user stats across every ID linked to the user
+    const { userId: canonicalUserId, stages } = await buildUserEventStages(req.application, userId, { includeBots });
     const userStats = await Event.aggregate([
-      {
-        $match: {
-          appId: new require('mongoose').Types.ObjectId(appId),
-          userId: userId
-        }
-      },
+      ...stages,
       {
         $sort: { timestamp: -1 }
       },
       {
         $group: {
-          _id: '$userId',
+          _id: '$canonicalUserId',
           totalEvents: { $sum: 1 },
           recentEvents: { 
             $push: {
@@ -405,7 +1076,7 @@ router.get('/user-stats', [
     ]);
 
     const result = userStats[0] || {
-      userId,
+      userId: canonicalUserId,
       totalEvents: 0,
       deviceDetails: {},
       ipAddress: null,
@@ -111,6 +111,7 @@ router.post('/register', [
         domain: application.domain,
         type: application.type,
         apiKey: application.apiKey,
+        publishableKey: application.publishableKey,
         expiresAt: application.expiresAt,
         createdAt: application.createdAt
       }
@@ -173,11 +174,17 @@ router.get('/api-key', [
       });
     }
 
+    // Applications registered before publishable keys existed get one on first lookup
+    if (!application.publishableKey) {
+      await application.save();
+    }
+
     res.json({
       application: {
         id: application.id,
         name: application.name,
         apiKey: application.apiKey,
+        publishableKey: application.publishableKey,
         expiresAt: application.expiresAt
       }
     });
@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const deadLetterController = require('../controllers/deadLetterController');
+const { authenticateApiKey } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { DEAD_LETTER_REASONS } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(authenticateApiKey);
+
+const REASONS = Object.values(DEAD_LETTER_REASONS);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeadLetter:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           enum: [validation, tracking_plan, timestamp_out_of_range, storage_error]
+ *         endpoint:
+ *           type: string
+ *           nullable: true
+ *           example: "POST /api/events/batch"
+ *           description: Where the payload was sent; null for events MongoDB refused to store
+ *         details:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *         body:
+ *           type: object
+ *           description: >
+ *             The payload as sent. Validation errors keep the whole request body,
+ *             so a rejected batch is one entry.
+ *         headers:
+ *           type: object
+ *           description: User-Agent, Content-Type, Origin, Referer and similar; never credentials
+ *         ipAddress:
+ *           type: string
+ *           description: Only kept when the application stores full IPs
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/dead-letters:
+ *   get:
+ *     summary: List rejected events
+ *     description: >
+ *       Events rejected by validation, the tracking plan or the timestamp policy,
+ *       and events MongoDB refused to store. Each application keeps its latest
+ *       1000 entries for 14 days.
+ *     tags: [Dead Letters]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [validation, tracking_plan, timestamp_out_of_range, storage_error]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Dead letters, newest first, with counts per reason
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', [
+  query('reason')
+    .optional()
+    .isIn(REASONS)
+    .withMessage(`Reason must be one of ${REASONS.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, deadLetterController.getDeadLetters);
+
+/**
+ * @swagger
+ * /api/dead-letters/replay:
+ *   post:
+ *     summary: Replay rejected events
+ *     description: >
+ *       Sends up to 100 dead letters, oldest first, through ingestion again with
+ *       their original headers and receive time, e.g. after fixing the tracking
+ *       plan. Replayed entries are removed; payloads rejected again become new
+ *       entries. Valid events of a rejected batch are ingested on their own. An
+ *       entry that fails validation again as a whole is kept, with its new errors.
+ *     tags: [Dead Letters]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [validation, tracking_plan, timestamp_out_of_range, storage_error]
+ *     responses:
+ *       200:
+ *         description: >
+ *           Counts of entries replayed and events queued, duplicate, rejected again
+ *           or dropped; hasMore is true when more entries match
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       503:
+ *         description: Ingestion queue is full, retry later
+ */
+router.post('/replay', [
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('IDs must be an array with 1-100 items'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid dead letter ID'),
+  body('reason')
+    .optional()
+    .isIn(REASONS)
+    .withMessage(`Reason must be one of ${REASONS.join(', ')}`)
+], handleValidationErrors, deadLetterController.replayDeadLetters);
+
+/**
+ * @swagger
+ * /api/dead-letters:
+ *   delete:
+ *     summary: Purge rejected events
+ *     tags: [Dead Letters]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [validation, tracking_plan, timestamp_out_of_range, storage_error]
+ *         description: Only purge entries with this reason
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only purge entries received before this time
+ *     responses:
+ *       200:
+ *         description: Number of entries deleted
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/', [
+  query('reason')
+    .optional()
+    .isIn(REASONS)
+    .withMessage(`Reason must be one of ${REASONS.join(', ')}`),
+  query('before')
+    .optional()
+    .isISO8601()
+    .withMessage('Before must be a valid ISO 8601 date')
+], handleValidationErrors, deadLetterController.purgeDeadLetters);
+
+module.exports = router;
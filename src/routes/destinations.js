@@ -0,0 +1,454 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const destinationController = require('../controllers/destinationController');
+const { authenticateApiKey } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { validateProperties } = require('../utils/properties');
+const { validateMapping, validateDestinationUrl } = require('../services/destinations');
+const { DELIVERY_STATUSES } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(authenticateApiKey);
+
+const STATUSES = Object.values(DELIVERY_STATUSES);
+
+const destinationIdRule = param('destinationId')
+  .isMongoId()
+  .withMessage('Valid destination ID is required');
+
+// Fields of a destination; creating one needs a name and URL
+const destinationRules = ({ create = false } = {}) => {
+  const field = (path) => (create ? body(path) : body(path).optional());
+  return [
+    field('name')
+      .isString()
+      .withMessage('Destination name is required')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Destination name must be 1-100 characters'),
+    field('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Destination URL must be an http or https URL')
+      .bail()
+      .custom(validateDestinationUrl),
+    body('enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Enabled must be true or false'),
+    body('filter')
+      .optional()
+      .isObject()
+      .withMessage('Filter must be an object'),
+    body('filter.events')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('Filter events must be an array of at most 100 event names'),
+    body('filter.events.*')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Filter events must be event names of at most 100 characters')
+      .trim(),
+    body('filter.properties')
+      .optional()
+      .custom(validateProperties),
+    body('filter.includeBots')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('includeBots must be true or false'),
+    body('mapping')
+      .optional()
+      .custom(validateMapping),
+    body('secret')
+      .optional()
+      .isString()
+      .isLength({ min: 16, max: 200 })
+      .withMessage('Signing secret must be 16-200 characters')
+  ];
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Destination:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "CRM"
+ *         url:
+ *           type: string
+ *           example: "https://crm.example.com/hooks/analytics"
+ *         enabled:
+ *           type: boolean
+ *         filter:
+ *           type: object
+ *           description: Events forwarded; every given condition must hold
+ *           properties:
+ *             events:
+ *               type: array
+ *               description: Event names; all events when empty
+ *               items:
+ *                 type: string
+ *             properties:
+ *               type: object
+ *               description: Property values that must be equal
+ *             includeBots:
+ *               type: boolean
+ *               default: false
+ *         mapping:
+ *           type: array
+ *           description: >
+ *             Fields of the payload sent, each read from a stored event field
+ *             path; dots in "to" nest. Without a mapping the payload is id,
+ *             messageId, event, url, referrer, campaign, acquisition, device,
+ *             mobile, userId, anonymousId, sessionId, metadata, properties,
+ *             timestamp and receivedAt. ipAddress, userAgent, isBot, botReason,
+ *             sampleRate, originalTimestamp and sentAt can also be mapped.
+ *           items:
+ *             type: object
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 example: "contact.external_id"
+ *               from:
+ *                 type: string
+ *                 example: "userId"
+ *         deliveries:
+ *           type: object
+ *           description: Delivery counts by status
+ *           example: { pending: 2, succeeded: 140, failed: 1 }
+ *     Delivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Also sent in the X-Delivery-Id header
+ *         eventId:
+ *           type: string
+ *         event:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           description: The body sent, built when the event was stored
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastStatusCode:
+ *           type: integer
+ *           description: HTTP status of the last attempt; absent when no response came back
+ *         lastError:
+ *           type: string
+ *           description: The HTTP status or connection error of the last failed attempt; response bodies are not kept
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/destinations:
+ *   get:
+ *     summary: List event destinations
+ *     tags: [Destinations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Destinations with their delivery counts
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', destinationController.getDestinations);
+
+/**
+ * @swagger
+ * /api/destinations:
+ *   post:
+ *     summary: Add an event destination
+ *     description: >
+ *       Stored events that pass the filter are POSTed to the URL as JSON, one
+ *       event per request, after they are stored; events loaded by bulk import
+ *       are not forwarded. Each request carries X-Delivery-Id,
+ *       X-Signature-Timestamp and X-Signature: "sha256=" and the hex HMAC-SHA256
+ *       of "<timestamp>.<body>" with the signing secret. Any 2xx response counts
+ *       as delivered; otherwise the delivery is retried up to 10 times, waiting
+ *       30 seconds and doubling up to an hour. The secret is generated unless
+ *       given, and is only returned here. Applications can have 10 destinations.
+ *     tags: [Destinations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, url]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *               filter:
+ *                 type: object
+ *               mapping:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *     responses:
+ *       201:
+ *         description: Destination created, with its signing secret
+ *       400:
+ *         description: Validation error, or the application has too many destinations
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A destination with this name already exists
+ */
+router.post('/', destinationRules({ create: true }), handleValidationErrors, destinationController.createDestination);
+
+/**
+ * @swagger
+ * /api/destinations/{destinationId}:
+ *   get:
+ *     summary: Get an event destination
+ *     tags: [Destinations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Destination with its delivery counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Destination'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Destination not found
+ */
+router.get('/:destinationId', [
+  destinationIdRule
+], handleValidationErrors, destinationController.getDestination);
+
+/**
+ * @swagger
+ * /api/destinations/{destinationId}:
+ *   patch:
+ *     summary: Change an event destination
+ *     description: >
+ *       Only the given fields change; pass secret to rotate the signing secret.
+ *       A new filter or mapping applies to events stored from now on. Disabling
+ *       a destination fails its pending deliveries, which can be redelivered
+ *       once it is enabled again.
+ *     tags: [Destinations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Destination'
+ *     responses:
+ *       200:
+ *         description: Destination updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Destination not found
+ *       409:
+ *         description: A destination with this name already exists
+ */
+router.patch('/:destinationId', [
+  destinationIdRule,
+  ...destinationRules()
+], handleValidationErrors, destinationController.updateDestination);
+
+/**
+ * @swagger
+ * /api/destinations/{destinationId}:
+ *   delete:
+ *     summary: Delete an event destination
+ *     description: Deletes its delivery log too; pending deliveries are not sent.
+ *     tags: [Destinations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Destination deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Destination not found
+ */
+router.delete('/:destinationId', [
+  destinationIdRule
+], handleValidationErrors, destinationController.deleteDestination);
+
+/**
+ * @swagger
+ * /api/destinations/{destinationId}/deliveries:
+ *   get:
+ *     summary: List a destination's deliveries
+ *     description: The delivery log, newest first. Entries are kept for 14 days.
+ *     tags: [Destinations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Deliveries with counts per status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Delivery'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Destination not found
+ */
+router.get('/:destinationId/deliveries', [
+  destinationIdRule,
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of ${STATUSES.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, destinationController.getDeliveries);
+
+/**
+ * @swagger
+ * /api/destinations/{destinationId}/deliveries/redeliver:
+ *   post:
+ *     summary: Redeliver events to a destination
+ *     description: >
+ *       Sends the given deliveries again, or else every delivery with the given
+ *       status (failed by default), with their original payload and a fresh
+ *       set of attempts.
+ *     tags: [Destinations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               status:
+ *                 type: string
+ *                 enum: [succeeded, failed]
+ *     responses:
+ *       200:
+ *         description: Number of deliveries queued
+ *       400:
+ *         description: Validation error, or the destination is disabled
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Destination not found
+ */
+router.post('/:destinationId/deliveries/redeliver', [
+  destinationIdRule,
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('IDs must be an array with 1-100 items'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid delivery ID'),
+  body('status')
+    .optional()
+    .isIn([DELIVERY_STATUSES.SUCCEEDED, DELIVERY_STATUSES.FAILED])
+    .withMessage('Status must be succeeded or failed')
+], handleValidationErrors, destinationController.redeliver);
+
+module.exports = router;
@@ -1,33 +1,17 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const eventController = require('../controllers/eventController');
-const { authenticateApiKey } = require('../middleware/auth');
-const { handleValidationErrors } = require('../middleware/validation');
-const rateLimit = require('express-rate-limit');
+const { authenticateApiKey, authenticatePublishableKey, allowPublishableKey } = require('../middleware/auth');
+const { handleValidationErrors, collectEventRules, mobileContextRules } = require('../middleware/validation');
+const { deadLetterInvalidEvents } = require('../middleware/deadLetter');
+const { parsePixelQuery, parseBeaconBody } = require('../middleware/tracking');
+const { eventRateLimit, batchRateLimit, importRateLimit } = require('../middleware/rateLimit');
+const { validateProperties, validatePropertyFilters } = require('../utils/properties');
+const { DEVICE_TYPES } = require('../utils/constants');
+const { isValidTimeZone } = require('../utils/geo');
 
 const router = express.Router();
 
-// Rate limiting for event collection
-const eventRateLimit = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 100, // limit each IP to 100 events per minute
-  message: {
-    error: 'Too many events',
-    message: 'Please reduce your event collection rate.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
-const batchRateLimit = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 10, // limit each IP to 10 batch requests per minute
-  message: {
-    error: 'Too many batch requests',
-    message: 'Please reduce your batch request rate.'
-  }
-});
-
 /**
  * @swagger
  * /api/events/collect:
@@ -46,6 +30,9 @@ const batchRateLimit = rateLimit({
  *               - event
  *               - url
  *             properties:
+ *               messageId:
+ *                 type: string
+ *                 description: Client-generated ID used to drop retried duplicates
  *               event:
  *                 type: string
  *                 example: "button_click"
@@ -57,8 +44,10 @@ const batchRateLimit = rateLimit({
  *                 example: "https://google.com"
  *               device:
  *                 type: string
- *                 enum: [mobile, desktop, tablet]
+ *                 enum: [mobile, desktop, tablet, tv, wearable, console]
  *                 example: "mobile"
+ *               mobile:
+ *                 $ref: '#/components/schemas/MobileContext'
  *               userId:
  *                 type: string
  *                 example: "user123"
@@ -72,51 +61,42 @@ const batchRateLimit = rateLimit({
  *                 type: string
  *               metadata:
  *                 type: object
+ *                 description: >
+ *                   Client context such as browser, os and screenSize; timezone is the
+ *                   visitor's IANA time zone and is looked up from the IP when omitted
+ *               properties:
+ *                 type: object
+ *                 description: Custom properties; values may be strings, numbers, booleans or ISO 8601 date-times
+ *                 example:
+ *                   plan: "pro"
+ *                   price: 49.99
  *               timestamp:
  *                 type: string
  *                 format: date-time
+ *               sentAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Client clock time when the request was sent, used to correct clock skew
  *     responses:
- *       201:
- *         description: Event collected successfully
+ *       202:
+ *         description: Event accepted and queued for storage
  *       400:
- *         description: Validation error
+ *         description: Validation error, tracking plan violation or timestamp out of range
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Publishable key used from an origin that is not allowed
  *       429:
- *         description: Too many requests
+ *         description: Too many requests, or the monthly event quota is exceeded (see Retry-After)
+ *       503:
+ *         description: Ingestion queue is full, retry after the Retry-After delay
  */
 router.post('/collect', [
+  allowPublishableKey,
   authenticateApiKey,
   eventRateLimit,
-  body('event')
-    .notEmpty()
-    .withMessage('Event type is required')
-    .isLength({ max: 100 })
-    .withMessage('Event type cannot exceed 100 characters')
-    .trim(),
-  body('url')
-    .isURL()
-    .withMessage('Valid URL is required')
-    .trim(),
-  body('device')
-    .optional()
-    .isIn(['mobile', 'desktop', 'tablet'])
-    .withMessage('Device must be mobile, desktop, or tablet'),
-  body('userId')
-    .optional()
-    .trim(),
-  body('sessionId')
-    .optional()
-    .trim(),
-  body('ipAddress')
-    .optional()
-    .isIP()
-    .withMessage('Valid IP address is required'),
-  body('timestamp')
-    .optional()
-    .isISO8601()
-    .withMessage('Valid ISO 8601 timestamp is required')
-], handleValidationErrors, eventController.collectEvent);
+  ...collectEventRules
+], deadLetterInvalidEvents, handleValidationErrors, eventController.collectEvent);
 
 /**
  * @swagger
@@ -144,6 +124,9 @@ router.post('/collect', [
  *                     - event
  *                     - url
  *                   properties:
+ *                     messageId:
+ *                       type: string
+ *                       description: Client-generated ID used to drop retried duplicates
  *                     event:
  *                       type: string
  *                     url:
@@ -152,7 +135,9 @@ router.post('/collect', [
  *                       type: string
  *                     device:
  *                       type: string
- *                       enum: [mobile, desktop, tablet]
+ *                       enum: [mobile, desktop, tablet, tv, wearable, console]
+ *                     mobile:
+ *                       $ref: '#/components/schemas/MobileContext'
  *                     userId:
  *                       type: string
  *                     sessionId:
@@ -163,20 +148,41 @@ router.post('/collect', [
  *                       type: string
  *                     metadata:
  *                       type: object
+ *                     properties:
+ *                       type: object
  *                     timestamp:
  *                       type: string
  *                       format: date-time
+ *                     sentAt:
+ *                       type: string
+ *                       format: date-time
+ *               sentAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Client clock time when the batch was sent, used to correct clock skew
  *     responses:
- *       201:
- *         description: Batch events processed successfully
+ *       202:
+ *         description: >
+ *           Batch accepted; duplicates are reported with status "duplicate",
+ *           tracking plan violations with status "rejected", bot traffic
+ *           with status "dropped" when the application drops bots, events a
+ *           transformation rule drops with status "dropped" and reason
+ *           "transformation", events left out by the application's sampling
+ *           policy with status "sampled", and events past the monthly quota
+ *           with status "rejected" and reason "quota_exceeded"
  *       400:
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Publishable key used from an origin that is not allowed
  *       429:
- *         description: Too many requests
+ *         description: Too many requests, or the monthly event quota is exceeded (see Retry-After)
+ *       503:
+ *         description: Ingestion queue is full, retry after the Retry-After delay
  */
 router.post('/batch', [
+  allowPublishableKey,
   authenticateApiKey,
   batchRateLimit,
   body('events')
@@ -191,8 +197,220 @@ router.post('/batch', [
   body('events.*.url')
     .isURL()
     .withMessage('Valid URL is required for all events')
-    .trim()
-], handleValidationErrors, eventController.collectBatchEvents);
+    .trim(),
+  body('events.*.messageId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Message ID must be a string of at most 100 characters')
+    .trim(),
+  body('events.*.device')
+    .optional()
+    .isIn(Object.values(DEVICE_TYPES))
+    .withMessage('Device must be mobile, desktop, tablet, tv, wearable, or console'),
+  ...mobileContextRules('events.*.mobile'),
+  body('events.*.metadata.timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA time zone such as Europe/Berlin'),
+  body('events.*.properties')
+    .optional()
+    .custom(validateProperties),
+  body('events.*.timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid ISO 8601 timestamp is required for all events'),
+  body('events.*.sentAt')
+    .optional()
+    .isISO8601()
+    .withMessage('sentAt must be a valid ISO 8601 timestamp'),
+  body('sentAt')
+    .optional()
+    .isISO8601()
+    .withMessage('sentAt must be a valid ISO 8601 timestamp')
+], deadLetterInvalidEvents, handleValidationErrors, eventController.collectBatchEvents);
+
+/**
+ * @swagger
+ * /api/events/pixel.gif:
+ *   get:
+ *     summary: Collect an event through a 1x1 tracking pixel
+ *     description: >
+ *       For email opens, AMP pages and other places that cannot send a JSON POST.
+ *       Event fields are passed as query parameters and the request is authenticated
+ *       with the application's publishable key. When url is omitted the Referer header is used.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Publishable key of the application
+ *       - in: query
+ *         name: event
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "email_open"
+ *       - in: query
+ *         name: url
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: messageId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: referrer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: device
+ *         schema:
+ *           type: string
+ *           enum: [mobile, desktop, tablet, tv, wearable, console]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timestamp
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Event accepted; body is a transparent 1x1 GIF
+ *         content:
+ *           image/gif:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid publishable key
+ *       403:
+ *         description: Request came from an origin that is not allowed
+ *       429:
+ *         description: Too many events
+ */
+router.get('/pixel.gif', [
+  authenticatePublishableKey,
+  eventRateLimit,
+  parsePixelQuery,
+  ...collectEventRules
+], deadLetterInvalidEvents, handleValidationErrors, eventController.trackPixel);
+
+/**
+ * @swagger
+ * /api/events/beacon:
+ *   post:
+ *     summary: Collect an event sent with navigator.sendBeacon
+ *     description: >
+ *       Accepts the text/plain JSON bodies produced by navigator.sendBeacon, so
+ *       page-unload events are not lost. Authenticate with the publishable key in the
+ *       key query parameter or a key field in the body.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: key
+ *         schema:
+ *           type: string
+ *         description: Publishable key of the application
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *             example: '{"event":"page_exit","url":"https://example.com/page"}'
+ *     responses:
+ *       204:
+ *         description: Event accepted
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid publishable key
+ *       403:
+ *         description: Request came from an origin that is not allowed
+ *       429:
+ *         description: Too many events
+ */
+router.post('/beacon', [
+  express.text({ type: 'text/plain', limit: '64kb' }),
+  parseBeaconBody,
+  authenticatePublishableKey,
+  eventRateLimit,
+  ...collectEventRules
+], deadLetterInvalidEvents, handleValidationErrors, eventController.collectBeacon);
+
+/**
+ * @swagger
+ * /api/events/import:
+ *   post:
+ *     summary: Bulk import events from an NDJSON upload
+ *     description: >
+ *       Streams newline-delimited JSON, one event per line, optionally gzip-compressed
+ *       (Content-Encoding gzip or Content-Type application/gzip). Each line is validated
+ *       with the same rules as /collect. Invalid lines are reported and skipped; the
+ *       rest are stored, forwarded to destinations and added to the raw event archive.
+ *     tags: [Events]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *         application/gzip:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalLines:
+ *                   type: integer
+ *                 imported:
+ *                   type: integer
+ *                 duplicates:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: integer
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *                 errorsTruncated:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many requests, or the monthly event quota is exceeded (see Retry-After)
+ */
+router.post('/import', [
+  authenticateApiKey,
+  importRateLimit
+], eventController.importEvents);
 
 /**
  * @swagger
@@ -219,6 +437,20 @@ router.post('/batch', [
  *           type: string
  *         description: Filter by session ID
  *       - in: query
+ *         name: properties
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         description: Filter by custom properties, e.g. properties[plan]=pro
+ *       - in: query
+ *         name: isBot
+ *         schema:
+ *           type: boolean
+ *         description: Only bot traffic (true) or only human traffic (false)
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -290,9 +522,52 @@ router.get('/', [
   query('endDate')
     .optional()
     .isDate()
-    .withMessage('End date must be a valid date')
+    .withMessage('End date must be a valid date'),
+  query('properties')
+    .optional()
+    .custom(validatePropertyFilters),
+  query('isBot')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isBot must be true or false')
 ], handleValidationErrors, eventController.getEvents);
 
+/**
+ * @swagger
+ * /api/events/diagnostics:
+ *   get:
+ *     summary: Get daily ingestion counters
+ *     description: >
+ *       Counts of received, queued and duplicate events, events dropped as bots
+ *       or by transformation rules, sampled out or rejected by the tracking plan, and timestamps corrected for clock skew,
+ *       clamped or rejected for being too far in the future or past.
+ *     tags: [Events]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           default: 7
+ *         description: Number of days to report, including today (UTC)
+ *     responses:
+ *       200:
+ *         description: Ingestion diagnostics retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/diagnostics', [
+  authenticateApiKey,
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Days must be between 1 and 30')
+    .toInt()
+], handleValidationErrors, eventController.getDiagnostics);
+
 /**
  * @swagger
  * /api/events/{eventId}:
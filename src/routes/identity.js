@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const identityController = require('../controllers/identityController');
+const { authenticateApiKey } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateApiKey);
+
+const idRule = (field, label) => body(field)
+  .isString()
+  .withMessage(`${label} must be a string`)
+  .trim()
+  .notEmpty()
+  .withMessage(`${label} is required`)
+  .isLength({ max: 100 })
+  .withMessage(`${label} cannot exceed 100 characters`);
+
+/**
+ * @swagger
+ * /api/identity/identify:
+ *   post:
+ *     summary: Link an anonymous visitor to a user
+ *     description: >
+ *       Links the anonymousId and/or sessionId the visitor used before signing in
+ *       to the user, so reports attribute their earlier activity to them. An
+ *       anonymous ID stays linked to the first user it was identified as.
+ *     tags: [Identity]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 example: "user123"
+ *               anonymousId:
+ *                 type: string
+ *                 example: "anon-5f2b9c"
+ *               sessionId:
+ *                 type: string
+ *                 example: "session456"
+ *     responses:
+ *       200:
+ *         description: User identified; returns the canonical user ID and the links made
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/identify', [
+  idRule('userId', 'User ID'),
+  idRule('anonymousId', 'Anonymous ID').optional(),
+  idRule('sessionId', 'Session ID').optional(),
+  body()
+    .custom(value => Boolean(value.anonymousId || value.sessionId))
+    .withMessage('Either anonymousId or sessionId is required')
+], handleValidationErrors, identityController.identify);
+
+/**
+ * @swagger
+ * /api/identity/alias:
+ *   post:
+ *     summary: Merge a previous ID into a user
+ *     description: >
+ *       previousId may be an anonymous ID or an earlier user ID. Every ID already
+ *       linked to it is moved to the user.
+ *     tags: [Identity]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - previousId
+ *               - userId
+ *             properties:
+ *               previousId:
+ *                 type: string
+ *                 example: "anon-5f2b9c"
+ *               userId:
+ *                 type: string
+ *                 example: "user123"
+ *     responses:
+ *       200:
+ *         description: Identities merged
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/alias', [
+  idRule('previousId', 'Previous ID'),
+  idRule('userId', 'User ID')
+], handleValidationErrors, identityController.alias);
+
+/**
+ * @swagger
+ * /api/identity/{userId}:
+ *   get:
+ *     summary: Get every ID linked to a user
+ *     tags: [Identity]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Canonical user ID with linked previous user IDs, anonymous IDs and sessions
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:userId', [
+  param('userId')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('User ID cannot exceed 100 characters')
+], handleValidationErrors, identityController.getIdentityGraph);
+
+module.exports = router;
@@ -3,6 +3,13 @@ const authRoutes = require('./auth');
 const analyticsRoutes = require('./analytics');
 const eventRoutes = require('./events');
 const userRoutes = require('./users');
+const trackingPlanRoutes = require('./trackingPlan');
+const identityRoutes = require('./identity');
+const settingsRoutes = require('./settings');
+const deadLetterRoutes = require('./deadLetters');
+const transformationRoutes = require('./transformations');
+const destinationRoutes = require('./destinations');
+const adminRoutes = require('./admin');
 
 const router = express.Router();
 
@@ -17,6 +24,24 @@ const router = express.Router();
  *     description: Event collection and management
  *   - name: Users
  *     description: User management and profiles
+ *   - name: Tracking Plan
+ *     description: Per-application event schemas and violation reports
+ *   - name: Identity
+ *     description: Linking anonymous visitors to known users
+ *   - name: Settings
+ *     description: Per-application ingestion, privacy, bot filtering and enrichment settings
+ *   - name: Dead Letters
+ *     description: Rejected events kept for inspection and replay
+ *   - name: Transformations
+ *     description: Per-application rules that rename, drop or rewrite events at ingestion
+ *   - name: Destinations
+ *     description: HTTP endpoints stored events are forwarded to, with delivery logs
+ *   - name: Admin
+ *     description: Operator endpoints, authenticated with ADMIN_API_KEY
+ *   - name: Segment
+ *     description: Segment HTTP Tracking API, for pointing existing Segment SDKs at this engine
+ *   - name: Measurement Protocol
+ *     description: GA4 Measurement Protocol, for moving server-side GA hits to this engine
  */
 
 /**
@@ -109,7 +134,16 @@ router.get('/', (req, res) => {
       auth: '/api/auth',
       analytics: '/api/analytics',
       events: '/api/events',
-      users: '/api/users'
+      users: '/api/users',
+      trackingPlan: '/api/tracking-plan',
+      identity: '/api/identity',
+      settings: '/api/settings',
+      deadLetters: '/api/dead-letters',
+      transformations: '/api/transformations',
+      destinations: '/api/destinations',
+      admin: '/api/admin',
+      segment: '/v1',
+      measurementProtocol: '/mp/collect'
     },
     timestamp: new Date().toISOString()
   });
@@ -120,6 +154,13 @@ router.use('/auth', authRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/events', eventRoutes);
 router.use('/users', userRoutes);
+router.use('/tracking-plan', trackingPlanRoutes);
+router.use('/identity', identityRoutes);
+router.use('/settings', settingsRoutes);
+router.use('/dead-letters', deadLetterRoutes);
+router.use('/transformations', transformationRoutes);
+router.use('/destinations', destinationRoutes);
+router.use('/admin', adminRoutes);
 
 // 404 handler for API routes
 router.use('*', (req, res) => {
@@ -137,14 +178,63 @@ router.use('*', (req, res) => {
       analytics: [
         'GET /api/analytics/event-summary',
         'GET /api/analytics/user-stats',
+        'GET /api/analytics/funnel',
+        'GET /api/analytics/acquisition',
+        'GET /api/analytics/app-versions/adoption',
+        'GET /api/analytics/app-versions/events',
+        'GET /api/analytics/geography',
         'GET /api/analytics/app-analytics',
         'GET /api/analytics/real-time'
       ],
       events: [
         'POST /api/events/collect',
         'POST /api/events/batch',
+        'POST /api/events/import',
+        'GET /api/events/pixel.gif',
+        'POST /api/events/beacon',
         'GET /api/events',
+        'GET /api/events/diagnostics',
         'GET /api/events/:eventId'
+      ],
+      trackingPlan: [
+        'GET /api/tracking-plan',
+        'PUT /api/tracking-plan',
+        'GET /api/tracking-plan/violations',
+        'DELETE /api/tracking-plan/violations'
+      ],
+      identity: [
+        'POST /api/identity/identify',
+        'POST /api/identity/alias',
+        'GET /api/identity/:userId'
+      ],
+      settings: [
+        'GET /api/settings',
+        'GET /api/settings/enrichers',
+        'PATCH /api/settings'
+      ],
+      deadLetters: [
+        'GET /api/dead-letters',
+        'POST /api/dead-letters/replay',
+        'DELETE /api/dead-letters'
+      ],
+      transformations: [
+        'GET /api/transformations',
+        'PUT /api/transformations',
+        'POST /api/transformations/preview'
+      ],
+      destinations: [
+        'GET /api/destinations',
+        'POST /api/destinations',
+        'GET /api/destinations/:destinationId',
+        'PATCH /api/destinations/:destinationId',
+        'DELETE /api/destinations/:destinationId',
+        'GET /api/destinations/:destinationId/deliveries',
+        'POST /api/destinations/:destinationId/deliveries/redeliver'
+      ],
+      admin: [
+        'GET /api/admin/applications/:appId/rate-limits',
+        'PUT /api/admin/applications/:appId/rate-limits',
+        'DELETE /api/admin/applications/:appId/rate-limits'
       ]
     }
   });
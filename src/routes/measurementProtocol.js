@@ -0,0 +1,156 @@
+const express = require('express');
+const measurementProtocolController = require('../controllers/measurementProtocolController');
+const { authenticateApiKey, readMeasurementProtocolSecret } = require('../middleware/auth');
+const { eventRateLimit } = require('../middleware/rateLimit');
+const { parseMeasurementProtocolBody } = require('../middleware/tracking');
+
+const router = express.Router();
+
+// Mounted at the root, so these run per route rather than through router.use.
+// Server-side senders often post JSON as text/plain.
+const readHit = [
+  express.text({ type: 'text/plain', limit: '100kb' }),
+  parseMeasurementProtocolBody,
+  readMeasurementProtocolSecret,
+  authenticateApiKey,
+  eventRateLimit
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MeasurementProtocolHit:
+ *       type: object
+ *       description: >
+ *         A GA4 Measurement Protocol request. Each event is stored with
+ *         client_id as its anonymousId and user_id as its userId.
+ *         page_location, page_referrer and session_id params become the event's
+ *         url, referrer and sessionId (events without page_location are recorded
+ *         against the application's domain); other params and the user
+ *         properties, as user_<name>, become its properties, with items stored
+ *         as a JSON string. The sending server's IP and user agent are not
+ *         used; pass ip_override and device to locate the visitor.
+ *       required: [events]
+ *       properties:
+ *         client_id:
+ *           type: string
+ *           example: "123456.7654321"
+ *         app_instance_id:
+ *           type: string
+ *           description: Firebase apps, in place of client_id
+ *         user_id:
+ *           type: string
+ *         timestamp_micros:
+ *           type: integer
+ *           description: When the events happened, in microseconds since the epoch
+ *         user_properties:
+ *           type: object
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               value: {}
+ *         ip_override:
+ *           type: string
+ *         device:
+ *           type: object
+ *           description: >
+ *             category, screen_resolution, operating_system,
+ *             operating_system_version, model, brand and browser are used
+ *         events:
+ *           type: array
+ *           maxItems: 25
+ *           items:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "purchase"
+ *               params:
+ *                 type: object
+ *                 example:
+ *                   page_location: "https://example.com/checkout"
+ *                   session_id: "1712345678"
+ *                   currency: "USD"
+ *                   value: 42.5
+ */
+
+/**
+ * @swagger
+ * /mp/collect:
+ *   post:
+ *     summary: GA4 Measurement Protocol collect
+ *     description: >
+ *       Accepts GA4 Measurement Protocol hits with the API key as api_secret;
+ *       measurement_id is ignored. As GA does, answers 204 even when the hit is
+ *       invalid: invalid hits are kept as dead letters and /debug/mp/collect
+ *       reports why.
+ *     tags: [Measurement Protocol]
+ *     security:
+ *       - MeasurementProtocolSecret: []
+ *     parameters:
+ *       - in: query
+ *         name: measurement_id
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MeasurementProtocolHit'
+ *     responses:
+ *       204:
+ *         description: Hit received
+ *       401:
+ *         description: Missing or invalid API secret
+ *       429:
+ *         description: Too many events, or the monthly event quota is exceeded (see Retry-After)
+ */
+router.post('/mp/collect', readHit, measurementProtocolController.collect);
+
+/**
+ * @swagger
+ * /debug/mp/collect:
+ *   post:
+ *     summary: Validate a GA4 Measurement Protocol hit
+ *     description: >
+ *       Checks a hit against GA's rules and this engine's event validation
+ *       without storing it, answering in GA's validation server format.
+ *     tags: [Measurement Protocol]
+ *     security:
+ *       - MeasurementProtocolSecret: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MeasurementProtocolHit'
+ *     responses:
+ *       200:
+ *         description: Validation result; an empty list means the hit is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 validationMessages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fieldPath:
+ *                         type: string
+ *                         example: "events[0].name"
+ *                       description:
+ *                         type: string
+ *                       validationCode:
+ *                         type: string
+ *                         enum: [VALUE_INVALID, VALUE_REQUIRED, NAME_INVALID, NAME_RESERVED, VALUE_OUT_OF_BOUNDS, EXCEEDED_MAX_ENTITIES]
+ *       401:
+ *         description: Missing or invalid API secret
+ */
+router.post('/debug/mp/collect', readHit, measurementProtocolController.debugCollect);
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require('express');
+const { body } = require('express-validator');
+const segmentController = require('../controllers/segmentController');
+const { authenticateApiKey, allowPublishableKey, readSegmentWriteKey } = require('../middleware/auth');
+const { eventRateLimit, batchRateLimit } = require('../middleware/rateLimit');
+const { handleValidationErrors } = require('../middleware/validation');
+const { parseSegmentBody } = require('../middleware/tracking');
+const { checkSegmentMessage } = require('../services/segment');
+const { SEGMENT, SEGMENT_MESSAGE_TYPES } = require('../utils/constants');
+
+const router = express.Router();
+
+// Browser SDKs send text/plain to skip the CORS preflight
+router.use(
+  express.text({ type: 'text/plain', limit: '1mb' }),
+  parseSegmentBody,
+  readSegmentWriteKey,
+  allowPublishableKey,
+  authenticateApiKey
+);
+
+const messageRule = (path, type) => body(path).custom((message) => {
+  const problem = checkSegmentMessage(message, type || message?.type);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SegmentMessage:
+ *       type: object
+ *       description: >
+ *         A Segment HTTP Tracking API call. Nested properties and traits are
+ *         flattened into parent_child names and arrays stored as JSON strings.
+ *         Calls without context.page.url are recorded against the application's
+ *         domain. Server-side calls should pass the visitor's context.ip and
+ *         context.userAgent.
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [track, page, screen, identify, group, alias]
+ *           description: Only needed in batches
+ *         userId:
+ *           type: string
+ *         anonymousId:
+ *           type: string
+ *         messageId:
+ *           type: string
+ *           description: Retried calls with the same messageId are stored once
+ *         event:
+ *           type: string
+ *           description: track only
+ *           example: "Order Completed"
+ *         name:
+ *           type: string
+ *           description: page and screen only
+ *         properties:
+ *           type: object
+ *         traits:
+ *           type: object
+ *           description: identify and group only, stored as the event's properties
+ *         groupId:
+ *           type: string
+ *           description: group only
+ *         previousId:
+ *           type: string
+ *           description: alias only
+ *         context:
+ *           type: object
+ *           description: >
+ *             ip, userAgent, page (url, referrer), app (version, build), os
+ *             (name, version), device (manufacturer, model), network (carrier),
+ *             screen (width, height) and timezone are used
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /v1/track:
+ *   post:
+ *     summary: Segment track call
+ *     description: >
+ *       Stored as an event named after the call's event. Also served at /v1/t.
+ *       Page, screen, identify and group calls are stored as page_view,
+ *       screen_view, identify and group events.
+ *     tags: [Segment]
+ *     security:
+ *       - SegmentWriteKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SegmentMessage'
+ *     responses:
+ *       200:
+ *         description: Message accepted for processing
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid write key
+ *       429:
+ *         description: Too many events, or the monthly event quota is exceeded (see Retry-After)
+ */
+router.post(['/track', '/t'], [
+  eventRateLimit,
+  messageRule('', SEGMENT_MESSAGE_TYPES.TRACK)
+], handleValidationErrors, segmentController.track);
+
+/**
+ * @swagger
+ * /v1/page:
+ *   post:
+ *     summary: Segment page call
+ *     description: Also served at /v1/p.
+ *     tags: [Segment]
+ *     security:
+ *       - SegmentWriteKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SegmentMessage'
+ *     responses:
+ *       200:
+ *         description: Message accepted for processing
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid write key
+ *       429:
+ *         description: Too many events, or the monthly event quota is exceeded (see Retry-After)
+ */
+router.post(['/page', '/p'], [
+  eventRateLimit,
+  messageRule('', SEGMENT_MESSAGE_TYPES.PAGE)
+], handleValidationErrors, segmentController.page);
+
+/**
+ * @swagger
+ * /v1/screen:
+ *   post:
+ *     summary: Segment screen call
+ *     description: Also served at /v1/s.
+ *     tags: [Segment]
+ *     security:
+ *       - SegmentWriteKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SegmentMessage'
+ *     responses:
+ *       200:
+ *         description: Message accepted for processing
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid write key
+ *       429:
+ *         description: Too many events, or the monthly event quota is exceeded (see Retry-After)
+ */
+router.post(['/screen', '/s'], [
+  eventRateLimit,
+  messageRule('', SEGMENT_MESSAGE_TYPES.SCREEN)
+], handleValidationErrors, segmentController.screen);
+
+/**
+ * @swagger
+ * /v1/identify:
+ *   post:
+ *     summary: Segment identify call
+ *     description: >
+ *       Stores the traits as an identify event and, when both IDs are given,
+ *       links the anonymousId to the userId as POST /api/identity/identify does.
+ *       Also served at /v1/i.
+ *     tags: [Segment]
+ *     security:
+ *       - SegmentWriteKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SegmentMessage'
+ *     responses:
+ *       200:
+ *         description: Message accepted for processing
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid write key
+ *       429:
+ *         description: Too many events, or the monthly event quota is exceeded (see Retry-After)
+ */
+router.post(['/identify', '/i'], [
+  eventRateLimit,
+  messageRule('', SEGMENT_MESSAGE_TYPES.IDENTIFY)
+], handleValidationErrors, segmentController.identify);
+
+/**
+ * @swagger
+ * /v1/group:
+ *   post:
+ *     summary: Segment group call
+ *     description: Stores a group event with the groupId and traits. Also served at /v1/g.
+ *     tags: [Segment]
+ *     security:
+ *       - SegmentWriteKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SegmentMessage'
+ *     responses:
+ *       200:
+ *         description: Message accepted for processing
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid write key
+ *       429:
+ *         description: Too many events, or the monthly event quota is exceeded (see Retry-After)
+ */
+router.post(['/group', '/g'], [
+  eventRateLimit,
+  messageRule('', SEGMENT_MESSAGE_TYPES.GROUP)
+], handleValidationErrors, segmentController.group);
+
+/**
+ * @swagger
+ * /v1/alias:
+ *   post:
+ *     summary: Segment alias call
+ *     description: >
+ *       Merges previousId into userId as POST /api/identity/alias does; no event
+ *       is stored. Also served at /v1/a.
+ *     tags: [Segment]
+ *     security:
+ *       - SegmentWriteKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SegmentMessage'
+ *     responses:
+ *       200:
+ *         description: Identities merged
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid write key
+ */
+router.post(['/alias', '/a'], [
+  eventRateLimit,
+  messageRule('', SEGMENT_MESSAGE_TYPES.ALIAS)
+], handleValidationErrors, segmentController.alias);
+
+/**
+ * @swagger
+ * /v1/batch:
+ *   post:
+ *     summary: Segment batch call
+ *     description: >
+ *       Up to 100 calls of any type. context and sentAt at the top level apply
+ *       to every call without its own. Also served at /v1/b and /v1/import.
+ *     tags: [Segment]
+ *     security:
+ *       - SegmentWriteKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [batch]
+ *             properties:
+ *               batch:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   $ref: '#/components/schemas/SegmentMessage'
+ *               context:
+ *                 type: object
+ *               sentAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Batch accepted; each call's outcome is listed in order
+ *       400:
+ *         description: Validation error; no call in the batch is stored
+ *       401:
+ *         description: Missing or invalid write key
+ *       429:
+ *         description: Too many requests, or the monthly event quota is exceeded (see Retry-After)
+ */
+router.post(['/batch', '/b', '/import'], [
+  batchRateLimit,
+  body('batch')
+    .isArray({ min: 1, max: SEGMENT.MAX_BATCH_SIZE })
+    .withMessage(`Batch must be an array with 1-${SEGMENT.MAX_BATCH_SIZE} calls`),
+  messageRule('batch.*'),
+  body('context')
+    .optional()
+    .isObject()
+    .withMessage('Context must be an object'),
+  body('sentAt')
+    .optional()
+    .isISO8601()
+    .withMessage('sentAt must be a valid ISO 8601 timestamp')
+], handleValidationErrors, segmentController.batch);
+
+module.exports = router;
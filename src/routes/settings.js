@@ -0,0 +1,280 @@
+const express = require('express');
+const { body } = require('express-validator');
+const settingsController = require('../controllers/settingsController');
+const { authenticateApiKey } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { validateEnricherSettings } = require('../services/enrichment');
+
+const router = express.Router();
+
+router.use(authenticateApiKey);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApplicationSettings:
+ *       type: object
+ *       properties:
+ *         ingestion:
+ *           type: object
+ *           properties:
+ *             dedupeWindowSeconds:
+ *               type: integer
+ *               minimum: 60
+ *               description: How long a messageId is remembered for deduplication
+ *             sessionTimeoutMinutes:
+ *               type: integer
+ *               minimum: 1
+ *               description: Inactivity after which a server-assigned session ends
+ *             timestampPolicy:
+ *               type: string
+ *               enum: [clamp, reject]
+ *               default: clamp
+ *               description: >
+ *                 What happens to events whose skew-corrected timestamp is out of
+ *                 range; clamp moves them to the time they were received
+ *             maxFutureMinutes:
+ *               type: integer
+ *               minimum: 0
+ *               default: 10
+ *             maxPastDays:
+ *               type: integer
+ *               minimum: 1
+ *               default: 30
+ *               description: Not applied to bulk imports
+ *         privacy:
+ *           type: object
+ *           properties:
+ *             ipMode:
+ *               type: string
+ *               enum: [full, truncate, hash, drop]
+ *               default: full
+ *               description: >
+ *                 How event IP addresses are stored: truncate zeroes the last IPv4
+ *                 octet (IPv6 keeps the first 48 bits), hash replaces the IP with an
+ *                 HMAC under a salt that rotates daily, drop removes it after geo lookup
+ *         botFiltering:
+ *           type: object
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: [drop, exclude]
+ *               default: exclude
+ *               description: >
+ *                 drop discards bot events; exclude stores them tagged isBot and leaves
+ *                 them out of analytics unless includeBots=true
+ *         security:
+ *           type: object
+ *           properties:
+ *             allowedOrigins:
+ *               type: array
+ *               maxItems: 50
+ *               items:
+ *                 type: string
+ *                 example: "https://*.example.com"
+ *               description: >
+ *                 Origins the publishable key may send events from. A "*." host
+ *                 prefix matches any subdomain. When empty, the application domain
+ *                 and its subdomains are allowed.
+ *         sampling:
+ *           type: object
+ *           description: >
+ *             Keep only a share of users' events. Users are kept or left out whole,
+ *             by anonymousId, userId or sessionId, so their sessions stay complete.
+ *             Kept events store their sampleRate and summaries scale counts back up,
+ *             marking them as estimated.
+ *           properties:
+ *             defaultRate:
+ *               type: number
+ *               minimum: 0
+ *               maximum: 1
+ *               default: 1
+ *             events:
+ *               type: array
+ *               maxItems: 100
+ *               description: Per-event rates, replacing the whole list
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   event:
+ *                     type: string
+ *                     example: "scroll"
+ *                   rate:
+ *                     type: number
+ *                     minimum: 0
+ *                     maximum: 1
+ *                     example: 0.1
+ *         enrichment:
+ *           type: object
+ *           properties:
+ *             enrichers:
+ *               type: array
+ *               maxItems: 50
+ *               description: >
+ *                 Overrides of the enrichment pipeline by enricher name, replacing the
+ *                 whole list; enrichers not listed run with their defaults. Built-in
+ *                 enrichers run in the order userAgent, geo, campaign, referrer, bot,
+ *                 then registered ones, then privacy, which cannot be disabled. geo
+ *                 takes a coordinates option and bot a rateCheck option.
+ *               items:
+ *                 type: object
+ *                 required: [name]
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: "geo"
+ *                   enabled:
+ *                     type: boolean
+ *                     default: true
+ *                   options:
+ *                     type: object
+ *                     example:
+ *                       coordinates: false
+ */
+
+/**
+ * @swagger
+ * /api/settings:
+ *   get:
+ *     summary: Get the application's settings
+ *     tags: [Settings]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', settingsController.getSettings);
+
+/**
+ * @swagger
+ * /api/settings/enrichers:
+ *   get:
+ *     summary: List the enrichment pipeline
+ *     description: >
+ *       Every registered enricher in the order it runs, with its phase (build
+ *       runs as events are built, store just before accepted events are queued),
+ *       whether it runs for this application and the options it runs with.
+ *     tags: [Settings]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrichers retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/enrichers', settingsController.getEnrichers);
+
+/**
+ * @swagger
+ * /api/settings:
+ *   patch:
+ *     summary: Update the application's settings
+ *     description: Only the fields given are changed.
+ *     tags: [Settings]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApplicationSettings'
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/', [
+  body('ingestion.dedupeWindowSeconds')
+    .optional()
+    .isInt({ min: 60 })
+    .withMessage('Dedupe window must be at least 60 seconds')
+    .toInt(),
+  body('ingestion.sessionTimeoutMinutes')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Session timeout must be at least 1 minute')
+    .toInt(),
+  body('ingestion.timestampPolicy')
+    .optional()
+    .isIn(['clamp', 'reject'])
+    .withMessage('Timestamp policy must be clamp or reject'),
+  body('ingestion.maxFutureMinutes')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Max future minutes cannot be negative')
+    .toInt(),
+  body('ingestion.maxPastDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max past days must be at least 1')
+    .toInt(),
+  body('privacy.ipMode')
+    .optional()
+    .isIn(['full', 'truncate', 'hash', 'drop'])
+    .withMessage('IP mode must be full, truncate, hash, or drop'),
+  body('botFiltering.mode')
+    .optional()
+    .isIn(['drop', 'exclude'])
+    .withMessage('Bot filtering mode must be drop or exclude'),
+  body('security.allowedOrigins')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Allowed origins must be an array of at most 50 origins'),
+  body('security.allowedOrigins.*')
+    .matches(/^https?:\/\/(\*\.)?[a-z0-9.-]+(:\d+)?$/i)
+    .withMessage('Allowed origins must be http(s) origins without a path, e.g. https://*.example.com'),
+  body('sampling.defaultRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Default sample rate must be between 0 and 1')
+    .toFloat(),
+  body('sampling.events')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Sampling events must be an array of at most 100 rules')
+    .custom(rules => new Set(rules.map(rule => rule?.event)).size === rules.length)
+    .withMessage('Each event can only have one sampling rule'),
+  body('sampling.events.*.event')
+    .notEmpty()
+    .withMessage('Event name is required')
+    .isLength({ max: 100 })
+    .withMessage('Event name cannot exceed 100 characters')
+    .trim(),
+  body('sampling.events.*.rate')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Sample rate must be between 0 and 1')
+    .toFloat(),
+  body('enrichment.enrichers')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Enrichers must be an array of at most 50 settings')
+    .custom(rules => new Set(rules.map(rule => rule?.name)).size === rules.length)
+    .withMessage('Each enricher can only be configured once'),
+  body('enrichment.enrichers.*.enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Enabled must be true or false'),
+  body('enrichment.enrichers.*.options')
+    .optional()
+    .isObject()
+    .withMessage('Options must be an object'),
+  body('enrichment.enrichers.*')
+    .custom(rule => {
+      const error = validateEnricherSettings(rule);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+], handleValidationErrors, settingsController.updateSettings);
+
+module.exports = router;
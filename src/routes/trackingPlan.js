@@ -0,0 +1,141 @@
+const express = require('express');
+const { body } = require('express-validator');
+const trackingPlanController = require('../controllers/trackingPlanController');
+const { authenticateApiKey } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateApiKey);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrackingPlan:
+ *       type: object
+ *       required:
+ *         - mode
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [off, warn, reject]
+ *           description: >
+ *             warn accepts events that break the plan and counts the violation;
+ *             reject also drops them
+ *         events:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "purchase"
+ *               description:
+ *                 type: string
+ *               schema:
+ *                 type: object
+ *                 description: JSON Schema for the event properties
+ *                 example:
+ *                   type: object
+ *                   required: [sku, price]
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     price:
+ *                       type: number
+ */
+
+/**
+ * @swagger
+ * /api/tracking-plan:
+ *   get:
+ *     summary: Get the application's tracking plan
+ *     tags: [Tracking Plan]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Tracking plan retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', trackingPlanController.getTrackingPlan);
+
+/**
+ * @swagger
+ * /api/tracking-plan:
+ *   put:
+ *     summary: Replace the application's tracking plan
+ *     tags: [Tracking Plan]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TrackingPlan'
+ *     responses:
+ *       200:
+ *         description: Tracking plan updated successfully
+ *       400:
+ *         description: Validation error or invalid JSON Schema
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/', [
+  body('mode')
+    .isIn(['off', 'warn', 'reject'])
+    .withMessage('Mode must be off, warn, or reject'),
+  body('events')
+    .optional()
+    .isArray()
+    .withMessage('Events must be an array'),
+  body('events.*.name')
+    .notEmpty()
+    .withMessage('Event name is required')
+    .isLength({ max: 100 })
+    .withMessage('Event name cannot exceed 100 characters')
+    .trim(),
+  body('events.*.schema')
+    .optional()
+    .isObject()
+    .withMessage('Event schema must be a JSON Schema object')
+], handleValidationErrors, trackingPlanController.updateTrackingPlan);
+
+/**
+ * @swagger
+ * /api/tracking-plan/violations:
+ *   get:
+ *     summary: List tracking plan violation counts per event name
+ *     tags: [Tracking Plan]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Violation counts, most frequent first, with the latest violation details
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/violations', trackingPlanController.getViolations);
+
+/**
+ * @swagger
+ * /api/tracking-plan/violations:
+ *   delete:
+ *     summary: Reset tracking plan violation counts
+ *     tags: [Tracking Plan]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Violation counts reset
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/violations', trackingPlanController.resetViolations);
+
+module.exports = router;
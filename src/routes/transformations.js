@@ -0,0 +1,235 @@
+const express = require('express');
+const { body } = require('express-validator');
+const transformationController = require('../controllers/transformationController');
+const { authenticateApiKey } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { PROPERTY_NAME_PATTERN, validateProperties } = require('../utils/properties');
+const { TRANSFORMATION_TYPES, TRANSFORMATIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(authenticateApiKey);
+
+const TYPES = Object.values(TRANSFORMATION_TYPES);
+
+// Shape of a rules array, given the chain for the array itself; what each
+// rule type needs is checked by the controller
+const ruleRules = (rules) => [
+  rules
+    .isArray({ max: TRANSFORMATIONS.MAX_RULES })
+    .withMessage(`Rules must be an array of at most ${TRANSFORMATIONS.MAX_RULES} rules`)
+    .bail()
+    .custom(list => new Set(list.map(rule => rule?.name)).size === list.length)
+    .withMessage('Rule names must be unique'),
+  body('rules.*.name')
+    .isString()
+    .withMessage('Rule name is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Rule name is required')
+    .isLength({ max: 100 })
+    .withMessage('Rule name cannot exceed 100 characters'),
+  body('rules.*.type')
+    .isIn(TYPES)
+    .withMessage(`Rule type must be one of ${TYPES.join(', ')}`),
+  body('rules.*.enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Enabled must be true or false'),
+  body('rules.*.match')
+    .optional()
+    .isObject()
+    .withMessage('Match must be an object'),
+  body('rules.*.match.event')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Match event must be an event name of at most 100 characters')
+    .trim(),
+  body('rules.*.match.urlPattern')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: TRANSFORMATIONS.MAX_PATTERN_LENGTH })
+    .withMessage(`URL pattern must be a regular expression of at most ${TRANSFORMATIONS.MAX_PATTERN_LENGTH} characters`),
+  body('rules.*.match.properties')
+    .optional()
+    .custom(validateProperties),
+  body('rules.*.to')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('New event name must be at most 100 characters')
+    .trim(),
+  body('rules.*.properties')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Properties must be an array of 1-50 property names'),
+  body('rules.*.properties.*')
+    .matches(PROPERTY_NAME_PATTERN)
+    .withMessage('Properties must be valid property names'),
+  body('rules.*.pattern')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: TRANSFORMATIONS.MAX_PATTERN_LENGTH })
+    .withMessage(`Pattern must be a regular expression of at most ${TRANSFORMATIONS.MAX_PATTERN_LENGTH} characters`)
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TransformationRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "fix-checkout-name"
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         type:
+ *           type: string
+ *           enum: [rename, drop, mask, delete, derive]
+ *           description: >
+ *             rename sets the event name to "to"; drop discards the event; mask
+ *             replaces the values of "properties" with "[masked]"; delete removes
+ *             them; derive adds the named groups of "pattern", matched against the
+ *             URL path, as properties the client did not send
+ *         match:
+ *           type: object
+ *           description: Events the rule applies to; every given condition must hold
+ *           properties:
+ *             event:
+ *               type: string
+ *               example: "chekout_completed"
+ *             urlPattern:
+ *               type: string
+ *               description: Regular expression tested against the URL path; patterns that could backtrack exponentially, such as (a+)+, are refused
+ *               example: "^/admin/"
+ *             properties:
+ *               type: object
+ *               description: Property values that must be equal
+ *         to:
+ *           type: string
+ *           example: "checkout_completed"
+ *         properties:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["email"]
+ *         pattern:
+ *           type: string
+ *           example: "^/products/(?<productId>[^/]+)"
+ */
+
+/**
+ * @swagger
+ * /api/transformations:
+ *   get:
+ *     summary: Get the application's transformation rules
+ *     tags: [Transformations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Transformation rules retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', transformationController.getTransformations);
+
+/**
+ * @swagger
+ * /api/transformations:
+ *   put:
+ *     summary: Replace the application's transformation rules
+ *     description: >
+ *       Rules run in order on every collected or imported event, before the
+ *       tracking plan, bot filtering and sampling; each rule sees the result of
+ *       the ones before it and a drop rule ends the run. Dead letters keep events
+ *       as they were sent.
+ *     tags: [Transformations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rules]
+ *             properties:
+ *               rules:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   $ref: '#/components/schemas/TransformationRule'
+ *     responses:
+ *       200:
+ *         description: Transformation rules updated successfully
+ *       400:
+ *         description: Validation error or a rule missing what its type needs
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/', ruleRules(body('rules')), handleValidationErrors, transformationController.updateTransformations);
+
+/**
+ * @swagger
+ * /api/transformations/preview:
+ *   post:
+ *     summary: Dry-run transformation rules
+ *     description: >
+ *       Applies rules to the most recently stored events without changing
+ *       anything, and lists the events a rule applied to with their name and
+ *       properties before and after. Uses the saved rules when none are given.
+ *     tags: [Transformations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rules:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   $ref: '#/components/schemas/TransformationRule'
+ *               event:
+ *                 type: string
+ *                 description: Only try events with this name
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 500
+ *                 default: 50
+ *                 description: How many recent events to try
+ *     responses:
+ *       200:
+ *         description: Counts of events tested, matched, changed and dropped, with the matched events
+ *       400:
+ *         description: Validation error or a rule missing what its type needs
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/preview', [
+  ...ruleRules(body('rules').optional()),
+  body('event')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Event type cannot exceed 100 characters')
+    .trim(),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+    .toInt()
+], handleValidationErrors, transformationController.previewTransformations);
+
+module.exports = router;
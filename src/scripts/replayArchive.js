@@ -0,0 +1,215 @@
+/**
+ * Replay an application's archived payloads through the current ingestion
+ * pipeline, e.g. after fixing an enrichment bug:
+ *
+ *   npm run archive:replay -- --app <appId> [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *     [--collection <name>] [--replace] [--dry-run]
+ *
+ * Events are stored in the events collection unless --collection names
+ * another, such as a fresh one to compare against. --replace deletes the
+ * events originally stored from the replayed payloads first; without it,
+ * replaying into a collection that holds them stores them again, apart from
+ * those whose messageId is already there. --dry-run runs the pipeline without
+ * storing or deleting anything. Replayed events are not forwarded to
+ * destinations and do not count towards quotas.
+ */
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Event = require('../models/Event');
+const { connectDB } = require('../config/database');
+const { connectRedis, getRedisClient } = require('../config/redis');
+const { loadEnricherModules } = require('../services/enrichment');
+const { ingestEvents } = require('../services/ingestion');
+const { buildReplayRequest } = require('../services/replay');
+const { readArchive, listArchiveDays } = require('../services/archive');
+const { invalidateAnalyticsCache } = require('../services/eventQueue');
+const logger = require('../utils/logger');
+const { ARCHIVE } = require('../utils/constants');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const USAGE = 'Usage: npm run archive:replay -- --app <appId> [--from YYYY-MM-DD] [--to YYYY-MM-DD] ' +
+  '[--collection <name>] [--replace] [--dry-run]';
+
+const readOptions = () => {
+  const { values } = parseArgs({
+    options: {
+      app: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      collection: { type: 'string' },
+      replace: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  if (!mongoose.isValidObjectId(values.app)) {
+    throw new Error('--app must be an application ID');
+  }
+  ['from', 'to'].forEach(name => {
+    if (values[name] && !DAY_PATTERN.test(values[name])) {
+      throw new Error(`--${name} must be a day as YYYY-MM-DD`);
+    }
+  });
+
+  return {
+    appId: values.app,
+    from: values.from,
+    to: values.to,
+    collection: values.collection,
+    replace: values.replace,
+    dryRun: values['dry-run']
+  };
+};
+
+// The model replayed events are stored with, with the events indexes built
+const targetModel = async (collection) => {
+  if (!collection || collection === Event.collection.collectionName) {
+    return Event;
+  }
+
+  const model = mongoose.model(`ArchiveReplay_${collection}`, Event.schema, collection);
+  await model.init();
+  return model;
+};
+
+// Consecutive lines from the same request are ingested together
+const sameRequest = (a, b) =>
+  a.endpoint === b.endpoint &&
+  a.receivedAt === b.receivedAt &&
+  a.ipAddress === b.ipAddress &&
+  JSON.stringify(a.headers) === JSON.stringify(b.headers);
+
+async function* requestBatches(lines) {
+  let batch = [];
+  for await (const line of lines) {
+    if (batch.length > 0 && (batch.length >= ARCHIVE.REPLAY_BATCH_SIZE || !sameRequest(batch[0], line))) {
+      yield batch;
+      batch = [];
+    }
+    batch.push(line);
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+const replayArchive = async ({ appId, from, to, collection, replace, dryRun }) => {
+  const application = await Application.findById(appId);
+  if (!application) {
+    throw new Error(`Application ${appId} not found`);
+  }
+
+  const days = await listArchiveDays(appId, { from, to });
+  if (days.length === 0) {
+    throw new Error(`No archived payloads for application ${appId} in that range`);
+  }
+
+  const Target = await targetModel(collection);
+  const summary = {
+    payloads: 0,
+    stored: 0,
+    replaced: 0,
+    duplicates: 0,
+    dropped: 0,
+    sampled: 0,
+    rejected: 0,
+    failed: 0
+  };
+
+  const store = async (events) => {
+    if (dryRun) {
+      summary.stored += events.length;
+      return;
+    }
+
+    try {
+      await Target.insertMany(events, { ordered: false });
+      summary.stored += events.length;
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+      summary.stored += events.length - writeErrors.length;
+      summary.duplicates += writeErrors.length;
+    }
+  };
+
+  for await (const batch of requestBatches(readArchive(appId, { from, to }))) {
+    summary.payloads += batch.length;
+
+    if (replace && !dryRun) {
+      const eventIds = batch.map(line => line.eventId).filter(Boolean);
+      if (eventIds.length > 0) {
+        const { deletedCount } = await Target.deleteMany({ _id: { $in: eventIds }, appId: application._id });
+        summary.replaced += deletedCount;
+      }
+    }
+
+    try {
+      const req = buildReplayRequest(application, {
+        ...batch[0],
+        receivedAt: new Date(batch[0].receivedAt),
+        body: null
+      });
+      const results = await ingestEvents(req, batch.map(line => line.body), { store });
+      results.forEach(({ status }) => {
+        if (status in summary) {
+          summary[status]++;
+        }
+      });
+    } catch (error) {
+      summary.failed += batch.length;
+      logger.error('Archived payloads could not be replayed:', error);
+    }
+  }
+
+  if (!dryRun && Target === Event) {
+    await invalidateAnalyticsCache([{ appId: application._id }]);
+  }
+
+  const report = {
+    from: days[0],
+    to: days.at(-1),
+    collection: Target.collection.collectionName,
+    dryRun,
+    ...summary
+  };
+  logger.info('Archive replay completed', { appId, ...report });
+
+  return report;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = readOptions();
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  await connectDB();
+  await connectRedis();
+  loadEnricherModules();
+
+  let exitCode = 0;
+  try {
+    console.log(JSON.stringify(await replayArchive(options), null, 2));
+  } catch (error) {
+    console.error(`❌ Archive replay failed: ${error.message}`);
+    exitCode = 1;
+  }
+
+  await getRedisClient().quit();
+  await mongoose.connection.close();
+  process.exit(exitCode);
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { replayArchive };
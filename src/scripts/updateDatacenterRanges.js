@@ -0,0 +1,105 @@
+/**
+ * Download the IP ranges cloud providers publish for their services and
+ * write them to a file for DATACENTER_IP_RANGES_FILE, one CIDR range per line:
+ *
+ *   npm run datacenter-ranges:update -- <file>
+ *
+ * The file is only replaced once every feed has been read, so a failed run
+ * leaves the previous list in place. Run it on a schedule; the server reads
+ * the file when it starts.
+ */
+const fs = require('fs/promises');
+const { parseCidr } = require('../utils/ip');
+
+const FETCH_TIMEOUT_MS = 30000;
+
+const USAGE = 'Usage: npm run datacenter-ranges:update -- <file>';
+
+// First column of a CSV feed, skipping # comments
+const csvRanges = (text) => text
+  .split('\n')
+  .filter(line => line.trim() && !line.startsWith('#'))
+  .map(line => line.split(',')[0].trim());
+
+const FEEDS = [
+  {
+    provider: 'aws',
+    url: 'https://ip-ranges.amazonaws.com/ip-ranges.json',
+    parse: (text) => {
+      const { prefixes = [], ipv6_prefixes: ipv6Prefixes = [] } = JSON.parse(text);
+      return [
+        ...prefixes.map(prefix => prefix.ip_prefix),
+        ...ipv6Prefixes.map(prefix => prefix.ipv6_prefix)
+      ];
+    }
+  },
+  {
+    provider: 'gcp',
+    url: 'https://www.gstatic.com/ipranges/cloud.json',
+    parse: (text) => JSON.parse(text).prefixes.map(prefix => prefix.ipv4Prefix || prefix.ipv6Prefix)
+  },
+  {
+    provider: 'oracle',
+    url: 'https://docs.oracle.com/en-us/iaas/tools/public_ip_ranges.json',
+    parse: (text) => JSON.parse(text).regions.flatMap(region => region.cidrs.map(cidr => cidr.cidr))
+  },
+  {
+    provider: 'digitalocean',
+    url: 'https://digitalocean.com/geo/google.csv',
+    parse: csvRanges
+  },
+  {
+    provider: 'linode',
+    url: 'https://geoip.linode.com/',
+    parse: csvRanges
+  }
+];
+
+const fetchFeed = async ({ provider, url, parse }) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`${provider}: ${url} answered HTTP ${response.status}`);
+  }
+
+  const ranges = [...new Set(parse(await response.text()))].filter(range => parseCidr(range));
+  if (ranges.length === 0) {
+    throw new Error(`${provider}: ${url} listed no ranges`);
+  }
+  return { provider, ranges };
+};
+
+const updateDatacenterRanges = async (file) => {
+  const feeds = await Promise.all(FEEDS.map(fetchFeed));
+
+  const lines = [`# Written by npm run datacenter-ranges:update on ${new Date().toISOString()}`];
+  feeds.forEach(({ provider, ranges }) => {
+    lines.push(`# ${provider}`, ...ranges);
+  });
+
+  const partial = `${file}.partial`;
+  await fs.writeFile(partial, `${lines.join('\n')}\n`);
+  await fs.rename(partial, file);
+
+  return Object.fromEntries(feeds.map(({ provider, ranges }) => [provider, ranges.length]));
+};
+
+const main = async () => {
+  const [file] = process.argv.slice(2);
+  if (!file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    console.log(JSON.stringify(await updateDatacenterRanges(file), null, 2));
+  } catch (error) {
+    console.error(`❌ Datacenter range update failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { updateDatacenterRanges };
@@ -0,0 +1,109 @@
+const referrerDomains = require('../utils/referrerDomains');
+
+const CAMPAIGN_PARAMS = {
+  utm_source: 'source',
+  utm_medium: 'medium',
+  utm_campaign: 'name',
+  utm_term: 'term',
+  utm_content: 'content',
+  gclid: 'gclid',
+  fbclid: 'fbclid'
+};
+
+const PAID_MEDIUMS = new Set(['cpc', 'ppc', 'cpm', 'cpv', 'cpa', 'paid', 'paidsearch', 'paid_search', 'paid-search', 'paidsocial', 'paid_social', 'paid-social', 'display', 'banner', 'retargeting', 'affiliate']);
+const EMAIL_MEDIUMS = new Set(['email', 'e-mail', 'newsletter']);
+const SOCIAL_MEDIUMS = new Set(['social', 'social-network', 'social_network', 'social-media', 'sm']);
+const SEARCH_MEDIUMS = new Set(['organic', 'search']);
+
+// Compile list entries once: "google.*" matches google.com and google.co.uk
+const compileDomains = (domains) => domains.map(domain => {
+  const escaped = domain.replace(/\.\*$/, '').replace(/\./g, '\\.');
+  const tld = domain.endsWith('.*') ? '\\.[a-z]{2,3}(\\.[a-z]{2})?' : '';
+  return new RegExp(`(^|\\.)${escaped}${tld}$`);
+});
+
+const CHANNEL_DOMAINS = ['email', 'search', 'social'].map(channel => ({
+  channel,
+  patterns: compileDomains(referrerDomains[channel])
+}));
+
+const parseUrl = (value) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    return new URL(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const hostOf = (value) => {
+  const parsed = parseUrl(value);
+  return parsed ? parsed.hostname.toLowerCase().replace(/^www\./, '') : null;
+};
+
+const isSameSite = (host, siteHost) =>
+  Boolean(host && siteHost) && (host === siteHost || host.endsWith(`.${siteHost}`));
+
+const channelForDomain = (host) =>
+  CHANNEL_DOMAINS.find(({ patterns }) => patterns.some(pattern => pattern.test(host)))?.channel;
+
+/**
+ * Extract utm_* parameters and ad click IDs from a page URL
+ */
+const parseCampaign = (url) => {
+  const parsed = parseUrl(url);
+  if (!parsed) {
+    return undefined;
+  }
+
+  const campaign = {};
+  Object.entries(CAMPAIGN_PARAMS).forEach(([param, field]) => {
+    const value = parsed.searchParams.get(param);
+    if (value) {
+      campaign[field] = value.trim().substring(0, 200);
+    }
+  });
+
+  return Object.keys(campaign).length > 0 ? campaign : undefined;
+};
+
+/**
+ * Classify how a visitor arrived as search, social, email, paid, direct or
+ * referral. Campaign tags win over the referrer; a referrer on the
+ * application's own domain (or the page's) is a self-referral and counts as direct.
+ */
+const classifyTraffic = (application, { url, referrer }, campaign) => {
+  const referrerDomain = hostOf(referrer) || undefined;
+  const selfReferral = isSameSite(referrerDomain, hostOf(application.domain)) ||
+    isSameSite(referrerDomain, hostOf(url));
+  const medium = campaign?.medium?.toLowerCase();
+
+  let channel;
+  if (campaign?.gclid || campaign?.fbclid || PAID_MEDIUMS.has(medium)) {
+    channel = 'paid';
+  } else if (EMAIL_MEDIUMS.has(medium)) {
+    channel = 'email';
+  } else if (SOCIAL_MEDIUMS.has(medium)) {
+    channel = 'social';
+  } else if (SEARCH_MEDIUMS.has(medium)) {
+    channel = 'search';
+  } else if (campaign?.source) {
+    channel = channelForDomain(campaign.source.toLowerCase()) ||
+      channelForDomain(`${campaign.source.toLowerCase()}.com`) ||
+      'referral';
+  } else if (!referrerDomain || selfReferral) {
+    channel = 'direct';
+  } else {
+    channel = channelForDomain(referrerDomain) || 'referral';
+  }
+
+  return {
+    channel,
+    referrerDomain,
+    selfReferral
+  };
+};
+
+module.exports = { parseCampaign, classifyTraffic };
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { requestContext, withBatchSentAt } = require('./deadLetter');
+const { applyPayloadIpPrivacy } = require('./privacy');
+const logger = require('../utils/logger');
+const { ARCHIVE } = require('../utils/constants');
+
+const gzip = promisify(zlib.gzip);
+
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '../../archive');
+const ARCHIVE_ENABLED = process.env.ARCHIVE_ENABLED !== 'false';
+const RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS) || ARCHIVE.RETENTION_DAYS;
+const FLUSH_INTERVAL_MS = parseInt(process.env.ARCHIVE_FLUSH_INTERVAL_MS) || ARCHIVE.FLUSH_INTERVAL_MS;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PART_SUFFIX = '.ndjson.gz';
+
+// Lines waiting to be written, by partition (<appId>/<day>)
+let buffered = new Map();
+let bufferedLines = 0;
+// The part file each partition appends to
+const parts = new Map();
+let flushTimer = null;
+let pruneTimer = null;
+let flushChain = Promise.resolve();
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+const listDirectories = async (dir) => {
+  try {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Buffer payloads accepted from a request for the archive, each as a line
+ * with the request context a dead letter keeps, so it replays the same way,
+ * and the ID of the event stored from it. Client-supplied IPs are anonymized
+ * like stored events'. Lines are partitioned by application and the UTC day
+ * the request was received. Nothing is kept unless the archiver is running.
+ */
+const archivePayloads = async (req, entries, receivedAt = new Date()) => {
+  if (!flushTimer || entries.length === 0) {
+    return;
+  }
+
+  const appId = String(req.application._id);
+  let bodies;
+  try {
+    bodies = await applyPayloadIpPrivacy(
+      req.application,
+      entries.map(({ payload }) => withBatchSentAt(req, payload))
+    );
+  } catch (error) {
+    logger.error('Archive IP anonymization failed, payloads not archived:', { appId, error: error.message });
+    return;
+  }
+
+  if (bufferedLines + entries.length > ARCHIVE.MAX_BUFFERED_LINES) {
+    logger.warn('Archive buffer full, payloads not archived', { appId, count: entries.length });
+    return;
+  }
+
+  const context = { ...requestContext(req), receivedAt };
+  const key = `${appId}/${dayOf(receivedAt)}`;
+  const lines = buffered.get(key) || [];
+  entries.forEach(({ eventId }, index) => {
+    lines.push(JSON.stringify({
+      ...context,
+      ...(eventId && { eventId }),
+      body: bodies[index]
+    }));
+  });
+  buffered.set(key, lines);
+  bufferedLines += entries.length;
+};
+
+// The part file to append to, starting a new one once the current one is
+// big or old enough
+const currentPart = async (key) => {
+  const part = parts.get(key);
+  if (part && part.bytes < ARCHIVE.ROTATE_BYTES && Date.now() - part.openedAt < ARCHIVE.ROTATE_INTERVAL_MS) {
+    return part;
+  }
+
+  const dir = path.join(ARCHIVE_DIR, key);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const openedAt = Date.now();
+  const next = {
+    file: path.join(dir, `${openedAt}-${os.hostname()}-${process.pid}${PART_SUFFIX}`),
+    bytes: 0,
+    openedAt
+  };
+  parts.set(key, next);
+  return next;
+};
+
+/**
+ * Append each partition's buffered lines to its part file as one gzip
+ * member. Lines that fail to write are buffered again, and the partition
+ * moves on to a new file so nothing is appended after a damaged member.
+ */
+const writeBuffered = async () => {
+  const pending = buffered;
+  buffered = new Map();
+  bufferedLines = 0;
+
+  // Partitions of past days or hours are not written to again
+  for (const [key, part] of parts) {
+    if (!pending.has(key) && Date.now() - part.openedAt >= ARCHIVE.ROTATE_INTERVAL_MS) {
+      parts.delete(key);
+    }
+  }
+
+  for (const [key, lines] of pending) {
+    try {
+      const part = await currentPart(key);
+      const member = await gzip(`${lines.join('\n')}\n`);
+      await fs.promises.appendFile(part.file, member);
+      part.bytes += member.length;
+    } catch (error) {
+      parts.delete(key);
+      logger.error('Archive write failed:', error);
+
+      if (bufferedLines + lines.length <= ARCHIVE.MAX_BUFFERED_LINES) {
+        buffered.set(key, lines.concat(buffered.get(key) || []));
+        bufferedLines += lines.length;
+      } else {
+        logger.warn('Archive buffer full, payloads not archived', { partition: key, count: lines.length });
+      }
+    }
+  }
+};
+
+/**
+ * Write out buffered lines; flushes run one at a time. A failed flush
+ * rejects for its caller without holding up the ones queued after it.
+ */
+const flushArchive = () => {
+  const flush = flushChain.then(writeBuffered);
+  flushChain = flush.catch(() => {});
+  return flush;
+};
+
+/**
+ * Delete day partitions older than the retention period
+ */
+const pruneArchive = async (now = new Date()) => {
+  const cutoff = dayOf(now.getTime() - RETENTION_DAYS * DAY_MS);
+  let removed = 0;
+
+  for (const appId of await listDirectories(ARCHIVE_DIR)) {
+    for (const day of await listDirectories(path.join(ARCHIVE_DIR, appId))) {
+      if (DAY_PATTERN.test(day) && day < cutoff) {
+        await fs.promises.rm(path.join(ARCHIVE_DIR, appId, day), { recursive: true, force: true });
+        removed++;
+      }
+    }
+  }
+
+  if (removed > 0) {
+    logger.info('Archive partitions pruned', { removed, before: cutoff });
+  }
+  return removed;
+};
+
+/**
+ * The days an application has archived payloads for, oldest first,
+ * optionally only those from/to the given days (YYYY-MM-DD, inclusive)
+ */
+const listArchiveDays = async (appId, { from, to } = {}) => {
+  const days = await listDirectories(path.join(ARCHIVE_DIR, String(appId)));
+  return days
+    .filter(day => DAY_PATTERN.test(day) && (!from || day >= from) && (!to || day <= to))
+    .sort();
+};
+
+// Lines of one part file. A file cut short, e.g. by a crash mid-write,
+// yields the lines before the damage.
+async function* readPart(file) {
+  const input = fs.createReadStream(file).pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let streamError = null;
+  let skipped = 0;
+  try {
+    for await (const line of lines) {
+      if (!line) {
+        continue;
+      }
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        skipped++;
+      }
+    }
+  } catch (error) {
+    streamError = error;
+  }
+
+  if (streamError || skipped > 0) {
+    logger.warn('Archive file damaged, unreadable lines skipped', {
+      file,
+      skipped,
+      error: streamError?.message
+    });
+  }
+}
+
+/**
+ * Archived lines of an application, day by day and file by file in the
+ * order they were started. Each line is { endpoint, headers, ipAddress,
+ * receivedAt, eventId, body }.
+ */
+async function* readArchive(appId, { from, to } = {}) {
+  for (const day of await listArchiveDays(appId, { from, to })) {
+    const dir = path.join(ARCHIVE_DIR, String(appId), day);
+    const files = (await fs.promises.readdir(dir))
+      .filter(name => name.endsWith(PART_SUFFIX))
+      .sort();
+
+    for (const file of files) {
+      yield* readPart(path.join(dir, file));
+    }
+  }
+}
+
+/**
+ * Start writing buffered payloads and pruning old partitions in the
+ * background, unless ARCHIVE_ENABLED is false
+ */
+const startArchiver = () => {
+  if (flushTimer || !ARCHIVE_ENABLED) {
+    return;
+  }
+
+  flushTimer = setInterval(() => {
+    flushArchive().catch(error => logger.error('Archive flush failed:', error));
+  }, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+
+  pruneTimer = setInterval(() => {
+    pruneArchive().catch(error => logger.error('Archive prune failed:', error));
+  }, ARCHIVE.PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+
+  logger.info('✅ Event archiver started', { dir: ARCHIVE_DIR, retentionDays: RETENTION_DAYS });
+};
+
+/**
+ * Stop archiving, writing out what is buffered
+ */
+const stopArchiver = async () => {
+  if (!flushTimer) {
+    return;
+  }
+
+  clearInterval(flushTimer);
+  clearInterval(pruneTimer);
+  flushTimer = null;
+  pruneTimer = null;
+  await flushArchive();
+};
+
+module.exports = {
+  archivePayloads,
+  flushArchive,
+  pruneArchive,
+  listArchiveDays,
+  readArchive,
+  startArchiver,
+  stopArchiver
+};
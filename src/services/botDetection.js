@@ -0,0 +1,134 @@
+const fs = require('fs');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+const { digestIp, parseCidr, createRangeSet } = require('../utils/ip');
+const DATACENTER_RANGES = require('../utils/datacenterRanges');
+const { BOT_DETECTION, BOT_FILTERING_MODES } = require('../utils/constants');
+
+const RATE_WINDOW_SECONDS = parseInt(process.env.BOT_RATE_WINDOW_SECONDS) || BOT_DETECTION.RATE_WINDOW_SECONDS;
+const RATE_THRESHOLD = parseInt(process.env.BOT_RATE_THRESHOLD) || BOT_DETECTION.RATE_THRESHOLD;
+
+// Search engines, social previews, SEO tools, uptime monitors and HTTP libraries
+const CRAWLER_PATTERN = new RegExp([
+  'bot\\b', 'crawler', 'spider', 'crawling', 'slurp', 'mediapartners-google',
+  'facebookexternalhit', 'embedly', 'quora link preview', 'whatsapp', 'skypeuripreview',
+  'pingdom', 'uptimerobot', 'statuscake', 'site24x7', 'newrelicpinger', 'datadogsynthetics',
+  'checkly', 'monitis', 'gtmetrix', 'lighthouse', 'pagespeed',
+  '^curl/', '^wget/', 'python-requests', 'python-urllib', 'aiohttp', 'go-http-client',
+  '^java/', 'apache-httpclient', 'node-fetch', '^axios/', 'postmanruntime', 'httpie'
+].join('|'), 'i');
+
+// Automation frameworks and headless browsers announce themselves in the UA
+const HEADLESS_PATTERN = /headlesschrome|phantomjs|puppeteer|playwright|selenium|webdriver|slimerjs/i;
+
+// One CIDR range per line; blank lines and # comments are skipped
+const readRangesFile = (path) => {
+  try {
+    return fs.readFileSync(path, 'utf8')
+      .split('\n')
+      .map(line => line.replace(/#.*/, '').trim())
+      .filter(Boolean);
+  } catch (error) {
+    logger.error('Could not read DATACENTER_IP_RANGES_FILE, skipping it:', error);
+    return [];
+  }
+};
+
+const loadDatacenterRanges = () => {
+  const ranges = [
+    ...Object.values(DATACENTER_RANGES).flat(),
+    ...(process.env.DATACENTER_IP_RANGES || '').split(',').map(range => range.trim()).filter(Boolean),
+    ...(process.env.DATACENTER_IP_RANGES_FILE ? readRangesFile(process.env.DATACENTER_IP_RANGES_FILE) : [])
+  ];
+
+  return createRangeSet(ranges.flatMap(range => {
+    const parsed = parseCidr(range);
+    if (!parsed) {
+      logger.warn('Ignoring invalid datacenter IP range', { range });
+      return [];
+    }
+    return [parsed];
+  }));
+};
+
+// Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d,
+// which the range set matches against the IPv4 ranges
+const isDatacenterIp = loadDatacenterRanges();
+
+/**
+ * Why an event looks automated from its user agent and IP alone, or null
+ */
+const getBotReason = (event) => {
+  const userAgent = event.userAgent || '';
+
+  if (CRAWLER_PATTERN.test(userAgent)) {
+    return 'crawler_user_agent';
+  }
+  if (HEADLESS_PATTERN.test(userAgent)) {
+    return 'headless_browser';
+  }
+  if (isDatacenterIp(event.ipAddress)) {
+    return 'datacenter_ip';
+  }
+  return null;
+};
+
+/**
+ * Count events per IP over the rate window and return the IPs over the threshold
+ */
+const getHighRateIps = async (application, events) => {
+  const counts = new Map();
+  events.filter(event => event.ipAddress).forEach(event => {
+    counts.set(event.ipAddress, (counts.get(event.ipAddress) || 0) + 1);
+  });
+
+  try {
+    const redisClient = getRedisClient();
+    const multi = redisClient.multi();
+    const ips = [...counts.keys()];
+    const window = Math.floor(Date.now() / (RATE_WINDOW_SECONDS * 1000));
+    ips.forEach(ip => {
+      // Counters are keyed by a digest so raw IPs never reach Redis
+      const key = `bot-rate:${application._id}:${digestIp(ip)}:${window}`;
+      multi.incrBy(key, counts.get(ip));
+      multi.expire(key, RATE_WINDOW_SECONDS);
+    });
+    const replies = await multi.exec();
+
+    return new Set(ips.filter((ip, index) => replies[index * 2] > RATE_THRESHOLD));
+  } catch (error) {
+    logger.warn('Bot rate check failed, skipping rate heuristic:', error);
+    return new Set();
+  }
+};
+
+/**
+ * Tag events from crawlers, headless browsers, datacenter IPs and IPs
+ * sending at an inhuman rate with isBot and botReason. rateCheck: false
+ * skips the per-IP rate heuristic, e.g. for uploads from a single backend.
+ */
+const detectBots = async (application, events, { rateCheck = true } = {}) => {
+  const highRateIps = rateCheck ? await getHighRateIps(application, events) : new Set();
+
+  events.forEach(event => {
+    const reason = getBotReason(event) || (highRateIps.has(event.ipAddress) ? 'request_rate' : null);
+    event.isBot = Boolean(reason);
+    if (reason) {
+      event.botReason = reason;
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Whether bot events should be dropped rather than stored and excluded
+ */
+const isDroppingBots = (application) =>
+  application.botFiltering?.mode === BOT_FILTERING_MODES.DROP;
+
+module.exports = {
+  getBotReason,
+  detectBots,
+  isDroppingBots
+};
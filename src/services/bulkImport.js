@@ -0,0 +1,281 @@
+const readline = require('readline');
+const { PassThrough } = require('stream');
+const zlib = require('zlib');
+const Event = require('../models/Event');
+const { validateEventPayload } = require('../middleware/validation');
+const { prepareEvents } = require('./ingestion');
+const { assignSessions } = require('./sessionization');
+const { checkTrackingPlan, isRejecting, recordViolation } = require('./trackingPlan');
+const { invalidateAnalyticsCache } = require('./eventQueue');
+const { scheduleDeliveries } = require('./destinations');
+const { archivePayloads } = require('./archive');
+const { isDroppingBots } = require('./botDetection');
+const { runEnrichers } = require('./enrichment');
+const { resolveEventTime, isTimeRejected } = require('./clockSkew');
+const { isSampledOut } = require('./sampling');
+const { transformPayload } = require('./transformations');
+const { checkQuota, quotaExceededError, reserveUsage, releaseUsage } = require('./quota');
+const logger = require('../utils/logger');
+const { BULK_IMPORT, ENRICHMENT_PHASES } = require('../utils/constants');
+
+const CHUNK_SIZE = parseInt(process.env.IMPORT_CHUNK_SIZE) || BULK_IMPORT.CHUNK_SIZE;
+
+const isGzipped = (req) =>
+  req.get('Content-Encoding') === 'gzip' ||
+  /^application\/(x-)?gzip/.test(req.get('Content-Type') || '');
+
+class ImportReport {
+  constructor() {
+    this.totalLines = 0;
+    this.imported = 0;
+    this.duplicates = 0;
+    this.botsDropped = 0;
+    this.transformDropped = 0;
+    this.sampledOut = 0;
+    this.failed = 0;
+    this.errors = [];
+    this.errorsTruncated = false;
+  }
+
+  addErrors(line, errors) {
+    this.failed++;
+    for (const { field, message } of errors) {
+      if (this.errors.length >= BULK_IMPORT.MAX_REPORTED_ERRORS) {
+        this.errorsTruncated = true;
+        return;
+      }
+      this.errors.push({ line, field, message });
+    }
+  }
+
+  toJSON() {
+    return {
+      totalLines: this.totalLines,
+      imported: this.imported,
+      duplicates: this.duplicates,
+      botsDropped: this.botsDropped,
+      transformDropped: this.transformDropped,
+      sampledOut: this.sampledOut,
+      failed: this.failed,
+      errors: this.errors,
+      errorsTruncated: this.errorsTruncated
+    };
+  }
+}
+
+// Stores a chunk and returns the items whose documents MongoDB accepted
+const storeChunk = async (req, chunk, report) => {
+  const docs = chunk.map(item => item.doc);
+
+  try {
+    await assignSessions(req.application, docs);
+    await runEnrichers(req, docs, { phase: ENRICHMENT_PHASES.STORE, source: 'import' });
+    await Event.insertMany(docs, { ordered: false });
+    return chunk;
+  } catch (error) {
+    if (!Array.isArray(error.writeErrors)) {
+      logger.error('Bulk import chunk failed:', error);
+      chunk.forEach(item => report.addErrors(item.line, [{
+        field: null,
+        message: 'Event could not be stored'
+      }]));
+      return [];
+    }
+
+    for (const writeError of error.writeErrors) {
+      const { line } = chunk[writeError.index];
+      if (writeError.code === 11000) {
+        report.duplicates++;
+      } else {
+        report.addErrors(line, [{ field: null, message: writeError.errmsg }]);
+      }
+    }
+    const refusedIndexes = new Set(error.writeErrors.map(writeError => writeError.index));
+    return chunk.filter((item, index) => !refusedIndexes.has(index));
+  }
+};
+
+const invalidateImported = async (req, report) => {
+  if (report.imported === 0) {
+    return;
+  }
+  try {
+    await invalidateAnalyticsCache([{ appId: req.application._id }]);
+  } catch (cacheError) {
+    logger.warn('Cache invalidation failed:', cacheError);
+  }
+};
+
+const stopForQuota = async (req, report, quota) => {
+  await invalidateImported(req, report);
+  logger.warn('Bulk import stopped by quota', {
+    appId: req.application._id,
+    totalLines: report.totalLines,
+    imported: report.imported
+  });
+  const error = quotaExceededError(quota);
+  error.report = report.toJSON();
+  throw error;
+};
+
+// Usage is reserved before every chunk is stored, so an upload stops at the
+// owner's limit rather than running past it by up to a chunk
+const insertChunk = async (req, chunk, report) => {
+  const quota = await checkQuota(req.application);
+  if (quota.blocked) {
+    await stopForQuota(req, report, quota);
+  }
+
+  const allowed = await reserveUsage(req.application, chunk.length, quota);
+  const stored = await storeChunk(req, chunk.slice(0, allowed), report);
+  await releaseUsage(req.application, allowed - stored.length);
+  report.imported += stored.length;
+
+  try {
+    await scheduleDeliveries(stored.map(item => item.doc));
+  } catch (error) {
+    logger.error('Scheduling destination deliveries for imported events failed:', error);
+  }
+
+  await archivePayloads(req, stored.map(({ payload, doc }) => ({ payload, eventId: doc._id })));
+
+  if (allowed < chunk.length) {
+    await stopForQuota(req, report, await checkQuota(req.application));
+  }
+};
+
+/**
+ * Stream an NDJSON (optionally gzip-compressed) request body into the Event
+ * collection. Every line is validated like a /collect payload; invalid lines
+ * are reported by line number instead of aborting the upload. Imported
+ * events count towards the owner's monthly quota; an upload is refused with
+ * a QUOTA_EXCEEDED error when the quota blocks ingestion, and stopped with
+ * one carrying the report so far when it does part way through. Stored
+ * events are forwarded to the application's destinations, and their lines
+ * archived as sent.
+ */
+const importNdjson = async (req) => {
+  const quota = await checkQuota(req.application);
+  if (quota.blocked) {
+    throw quotaExceededError(quota);
+  }
+
+  const input = isGzipped(req) ? req.pipe(zlib.createGunzip()) : req;
+  // Lines are read through a PassThrough, which does not forward the input's
+  // errors, so a stream error closes the reader instead of throwing from it
+  const lines = readline.createInterface({ input: input.pipe(new PassThrough()), crlfDelay: Infinity });
+  const report = new ImportReport();
+  let chunk = [];
+
+  // A corrupt or truncated gzip body ends the upload early
+  let streamError = null;
+  input.on('error', (error) => {
+    streamError = error;
+    lines.close();
+  });
+
+  for await (const rawLine of lines) {
+    const line = ++report.totalLines;
+    if (!rawLine.trim()) {
+      continue;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawLine);
+    } catch (error) {
+      report.addErrors(line, [{ field: null, message: 'Invalid JSON' }]);
+      continue;
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      report.addErrors(line, [{ field: null, message: 'Line must be a JSON object' }]);
+      continue;
+    }
+
+    const errors = await validateEventPayload(payload);
+    if (errors.length > 0) {
+      report.addErrors(line, errors);
+      continue;
+    }
+
+    const transform = transformPayload(req.application, payload);
+    if (transform.dropped) {
+      report.transformDropped++;
+      continue;
+    }
+
+    // Backfills are late by design, so only future timestamps are limited
+    const timing = resolveEventTime(req.application, payload, new Date(), { allowLate: true });
+    if (isTimeRejected(timing)) {
+      report.addErrors(line, [{ field: 'timestamp', message: 'Timestamp is too far in the future' }]);
+      continue;
+    }
+
+    let doc;
+    try {
+      [doc] = await prepareEvents(req, [transform.payload], [timing], { source: 'import' });
+    } catch (error) {
+      const fieldErrors = Object.values(error.errors || {}).map(fieldError => ({
+        field: fieldError.path,
+        message: fieldError.message
+      }));
+      report.addErrors(line, fieldErrors.length > 0 ?
+        fieldErrors :
+        [{ field: null, message: error.message }]);
+      continue;
+    }
+
+    if (doc.isBot && isDroppingBots(req.application)) {
+      report.botsDropped++;
+      continue;
+    }
+
+    const violations = checkTrackingPlan(req.application, transform.payload);
+    if (violations.length > 0) {
+      await recordViolation(req.application, doc.event, violations);
+      if (isRejecting(req.application)) {
+        report.addErrors(line, violations);
+        continue;
+      }
+    }
+
+    if (isSampledOut(req.application, doc)) {
+      report.sampledOut++;
+      continue;
+    }
+
+    chunk.push({ line, doc, payload });
+
+    if (chunk.length >= CHUNK_SIZE) {
+      await insertChunk(req, chunk, report);
+      chunk = [];
+    }
+  }
+
+  if (chunk.length > 0) {
+    await insertChunk(req, chunk, report);
+  }
+
+  if (streamError) {
+    report.addErrors(report.totalLines + 1, [{
+      field: null,
+      message: `Upload aborted: ${streamError.message}`
+    }]);
+  }
+
+  await invalidateImported(req, report);
+
+  logger.info('Bulk import completed', {
+    appId: req.application._id,
+    totalLines: report.totalLines,
+    imported: report.imported,
+    duplicates: report.duplicates,
+    botsDropped: report.botsDropped,
+    failed: report.failed
+  });
+
+  return report.toJSON();
+};
+
+module.exports = { importNdjson };
@@ -0,0 +1,75 @@
+const { CLOCK_SKEW, TIMESTAMP_POLICIES } = require('../utils/constants');
+
+const DEFAULT_MAX_FUTURE_MINUTES = parseInt(process.env.MAX_FUTURE_MINUTES) || CLOCK_SKEW.MAX_FUTURE_MINUTES;
+const DEFAULT_MAX_PAST_DAYS = parseInt(process.env.MAX_PAST_DAYS) || CLOCK_SKEW.MAX_PAST_DAYS;
+
+const getLimits = (application) => ({
+  policy: application.ingestion?.timestampPolicy || TIMESTAMP_POLICIES.CLAMP,
+  maxFutureMs: (application.ingestion?.maxFutureMinutes ?? DEFAULT_MAX_FUTURE_MINUTES) * 60 * 1000,
+  maxPastMs: (application.ingestion?.maxPastDays || DEFAULT_MAX_PAST_DAYS) * 24 * 60 * 60 * 1000
+});
+
+/**
+ * Work out when an event happened in server time. When the client sends
+ * sentAt, the difference between receivedAt and sentAt is the client's
+ * clock offset and is added to its timestamp, unless it is small enough to
+ * be network latency. Times still too far in the
+ * future or past are clamped to receivedAt or rejected, per the
+ * application's policy; late events are allowed for backfills.
+ *
+ * Returns { timestamp, originalTimestamp, sentAt, receivedAt, outcome } where
+ * outcome is one of ok, skewCorrected, futureClamped, pastClamped, futureRejected
+ * or pastRejected.
+ */
+const resolveEventTime = (application, { timestamp, sentAt }, receivedAt, { allowLate = false } = {}) => {
+  const clientSentAt = sentAt ? new Date(sentAt) : undefined;
+
+  if (!timestamp) {
+    return { timestamp: receivedAt, sentAt: clientSentAt, receivedAt, outcome: 'ok' };
+  }
+
+  const clientTimestamp = new Date(timestamp);
+  let eventTime = clientTimestamp;
+  let outcome = 'ok';
+
+  if (clientSentAt) {
+    const offsetMs = receivedAt.getTime() - clientSentAt.getTime();
+    if (Math.abs(offsetMs) >= CLOCK_SKEW.TOLERANCE_MS) {
+      eventTime = new Date(clientTimestamp.getTime() + offsetMs);
+      outcome = 'skewCorrected';
+    }
+  }
+
+  const { policy, maxFutureMs, maxPastMs } = getLimits(application);
+  const drift = eventTime.getTime() - receivedAt.getTime();
+  const direction = drift > maxFutureMs ? 'future' :
+    (!allowLate && drift < -maxPastMs) ? 'past' : null;
+
+  if (direction) {
+    if (policy === TIMESTAMP_POLICIES.REJECT) {
+      return {
+        timestamp: eventTime,
+        sentAt: clientSentAt,
+        receivedAt,
+        outcome: `${direction}Rejected`
+      };
+    }
+    eventTime = receivedAt;
+    outcome = `${direction}Clamped`;
+  }
+
+  return {
+    timestamp: eventTime,
+    originalTimestamp: eventTime.getTime() !== clientTimestamp.getTime() ? clientTimestamp : undefined,
+    sentAt: clientSentAt,
+    receivedAt,
+    outcome
+  };
+};
+
+/**
+ * Whether a resolved time means the event must be dropped
+ */
+const isTimeRejected = (timing) => timing.outcome.endsWith('Rejected');
+
+module.exports = { resolveEventTime, isTimeRejected };
@@ -0,0 +1,134 @@
+const DeadLetter = require('../models/DeadLetter');
+const { applyPayloadIpPrivacy } = require('./privacy');
+const logger = require('../utils/logger');
+const { DEAD_LETTER, IP_PRIVACY_MODES } = require('../utils/constants');
+
+const pickHeaders = (headers = {}) => DEAD_LETTER.HEADERS.reduce((picked, name) => {
+  if (headers[name] !== undefined) {
+    picked[name] = headers[name];
+  }
+  return picked;
+}, {});
+
+const keepsFullIp = (application) =>
+  (application.privacy?.ipMode || IP_PRIVACY_MODES.FULL) === IP_PRIVACY_MODES.FULL;
+
+/**
+ * What is kept of the request a payload came in with, enough to replay it:
+ * endpoint, a few headers, the client IP if the application keeps full IPs
+ * and the receive time
+ */
+const requestContext = (req) => ({
+  endpoint: req.path ? `${req.method} ${req.baseUrl || ''}${req.path}` : null,
+  headers: pickHeaders(req.headers),
+  ipAddress: keepsFullIp(req.application) ? req.ip : undefined,
+  receivedAt: req.receivedAt || new Date()
+});
+
+// One payload of a request, carrying the batch-level sentAt so it replays on its own
+const withBatchSentAt = (req, payload) =>
+  payload.sentAt || !req.body?.sentAt ? payload : { ...payload, sentAt: req.body.sentAt };
+
+/**
+ * A dead-letter entry for one payload of a request
+ */
+const toDeadLetter = (req, payload, reason, details) => ({
+  reason,
+  body: withBatchSentAt(req, payload),
+  details
+});
+
+/**
+ * Store rejected payloads from a request, each as { reason, body, details },
+ * with client-supplied IPs in the body anonymized like stored events'.
+ * Failures are logged and swallowed so the client still gets its response.
+ */
+const recordDeadLetters = async (req, entries) => {
+  if (entries.length === 0) {
+    return;
+  }
+
+  const application = req.application;
+  const context = requestContext(req);
+
+  try {
+    const bodies = await applyPayloadIpPrivacy(application, entries.map(entry => entry.body));
+    await DeadLetter.store(application._id, entries.map((entry, index) => ({
+      ...context,
+      ...entry,
+      body: bodies[index]
+    })));
+
+    logger.info('Rejected events dead-lettered', {
+      appId: application._id,
+      count: entries.length,
+      reason: entries[0].reason
+    });
+  } catch (error) {
+    logger.error('Dead-letter write failed:', error);
+  }
+};
+
+const buildFilter = (application, { reason, before, ids }) => {
+  const filter = { appId: application._id };
+  if (reason) filter.reason = reason;
+  if (before) filter.receivedAt = { $lt: new Date(before) };
+  if (ids) filter._id = { $in: ids };
+  return filter;
+};
+
+/**
+ * Page through an application's dead letters, newest first, with counts per reason
+ */
+const listDeadLetters = async (application, { reason, page = 1, limit = 50 }) => {
+  const filter = buildFilter(application, { reason });
+
+  const [deadLetters, total, reasons] = await Promise.all([
+    DeadLetter.find(filter)
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    DeadLetter.countDocuments(filter),
+    DeadLetter.aggregate([
+      { $match: { appId: application._id } },
+      { $group: { _id: '$reason', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return {
+    deadLetters,
+    reasons: Object.fromEntries(reasons.map(({ _id, count }) => [_id, count])),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Delete dead letters, optionally only those with a reason or received before a date
+ */
+const purgeDeadLetters = async (application, options = {}) => {
+  const { deletedCount } = await DeadLetter.deleteMany(buildFilter(application, options));
+
+  logger.info('Dead letters purged', {
+    appId: application._id,
+    reason: options.reason,
+    deleted: deletedCount
+  });
+
+  return deletedCount;
+};
+
+module.exports = {
+  requestContext,
+  withBatchSentAt,
+  toDeadLetter,
+  recordDeadLetters,
+  listDeadLetters,
+  purgeDeadLetters,
+  buildFilter
+};
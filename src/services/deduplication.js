@@ -0,0 +1,88 @@
+const Event = require('../models/Event');
+const { getRedisClient } = require('../config/redis');
+const { INGESTION } = require('../utils/constants');
+
+const DEFAULT_WINDOW_SECONDS = parseInt(process.env.DEDUPE_WINDOW_SECONDS) || INGESTION.DEDUPE_WINDOW_SECONDS;
+
+const dedupeKey = (appId, messageId) => `dedupe:${appId}:${messageId}`;
+
+const getDedupeWindow = (application) =>
+  application.ingestion?.dedupeWindowSeconds || DEFAULT_WINDOW_SECONDS;
+
+/**
+ * Claim each event's messageId for the application's dedupe window.
+ * Events whose messageId was already claimed, or already belongs to a stored
+ * event (a retry after the window), are marked as duplicates and carry the
+ * ID of the event that was stored first.
+ */
+const claimMessageIds = async (application, events) => {
+  const redisClient = getRedisClient();
+  const windowSeconds = getDedupeWindow(application);
+  const results = [];
+
+  for (const event of events) {
+    if (!event.messageId) {
+      results.push({ event, duplicate: false });
+      continue;
+    }
+
+    const key = dedupeKey(application._id, event.messageId);
+    const claimed = await redisClient.set(key, String(event._id), {
+      NX: true,
+      EX: windowSeconds
+    });
+
+    if (claimed) {
+      results.push({ event, duplicate: false });
+    } else {
+      const originalId = await redisClient.get(key);
+      results.push({ event, duplicate: true, originalId });
+    }
+  }
+
+  // Claims expire with the window, but stored events keep their messageId
+  const claimedIds = results
+    .filter(result => !result.duplicate && result.event.messageId)
+    .map(result => result.event.messageId);
+  if (claimedIds.length === 0) {
+    return results;
+  }
+
+  const stored = new Map(
+    (await Event.find({ appId: application._id, messageId: { $in: claimedIds } }).select('_id messageId').lean())
+      .map(doc => [doc.messageId, String(doc._id)])
+  );
+  if (stored.size === 0) {
+    return results;
+  }
+
+  return Promise.all(results.map(async (result) => {
+    const originalId = !result.duplicate && stored.get(result.event.messageId);
+    if (!originalId) {
+      return result;
+    }
+    // Later retries within the window are answered from Redis
+    await redisClient.set(dedupeKey(application._id, result.event.messageId), originalId, {
+      EX: windowSeconds
+    });
+    return { event: result.event, duplicate: true, originalId };
+  }));
+};
+
+/**
+ * Release claims for events that could not be queued, so a retry is accepted
+ */
+const releaseMessageIds = async (application, events) => {
+  const keys = events
+    .filter(event => event.messageId)
+    .map(event => dedupeKey(application._id, event.messageId));
+
+  if (keys.length > 0) {
+    await getRedisClient().del(keys);
+  }
+};
+
+module.exports = {
+  claimMessageIds,
+  releaseMessageIds
+};
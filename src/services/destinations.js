@@ -0,0 +1,485 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Destination = require('../models/Destination');
+const Delivery = require('../models/Delivery');
+const logger = require('../utils/logger');
+const { isPrivateIp } = require('../utils/ip');
+const { DESTINATIONS, DELIVERY_STATUSES } = require('../utils/constants');
+
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || DESTINATIONS.MAX_ATTEMPTS;
+const RETRY_BASE_MS = parseInt(process.env.DELIVERY_RETRY_BASE_MS) || DESTINATIONS.RETRY_BASE_MS;
+const RETRY_MAX_MS = parseInt(process.env.DELIVERY_RETRY_MAX_MS) || DESTINATIONS.RETRY_MAX_MS;
+const TIMEOUT_MS = parseInt(process.env.DELIVERY_TIMEOUT_MS) || DESTINATIONS.TIMEOUT_MS;
+const POLL_INTERVAL_MS = parseInt(process.env.DELIVERY_POLL_INTERVAL_MS) || DESTINATIONS.POLL_INTERVAL_MS;
+const BATCH_SIZE = parseInt(process.env.DELIVERY_BATCH_SIZE) || DESTINATIONS.BATCH_SIZE;
+const LEASE_MS = parseInt(process.env.DELIVERY_LEASE_MS) || DESTINATIONS.LEASE_MS;
+
+const USER_AGENT = 'Unified-Analytics-Destinations/1.0';
+
+// Stored event fields sent when a destination has no mapping. IPs, user
+// agents and bot flags are only sent when mapped.
+const DEFAULT_FIELDS = [
+  'id', 'messageId', 'event', 'url', 'referrer', 'campaign', 'acquisition', 'device', 'mobile',
+  'userId', 'anonymousId', 'sessionId', 'metadata', 'properties', 'timestamp', 'receivedAt'
+];
+const MAPPABLE_FIELDS = [
+  ...DEFAULT_FIELDS,
+  'ipAddress', 'userAgent', 'isBot', 'botReason', 'sampleRate', 'originalTimestamp', 'sentAt'
+];
+
+const FIELD_PATH_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*(\.[A-Za-z0-9_-]+)*$/;
+const MAX_FIELD_PATH_LENGTH = 200;
+
+let pollTimer = null;
+let currentPoll = null;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const truncate = (message) => message.substring(0, DESTINATIONS.MAX_ERROR_LENGTH);
+
+/**
+ * express-validator custom validator for a destination mapping: an array of
+ * { to, from } where from is a stored event field path and no output field
+ * is nested inside another
+ */
+const validateMapping = (mapping) => {
+  if (!Array.isArray(mapping) || mapping.length > DESTINATIONS.MAX_MAPPING_FIELDS) {
+    throw new Error(`Mapping must be an array of at most ${DESTINATIONS.MAX_MAPPING_FIELDS} { to, from } fields`);
+  }
+
+  const outputs = [];
+  for (const field of mapping) {
+    const { to, from } = isPlainObject(field) ? field : {};
+    if (typeof to !== 'string' || to.length > MAX_FIELD_PATH_LENGTH || !FIELD_PATH_PATTERN.test(to)) {
+      throw new Error(`Invalid output field "${to}"`);
+    }
+    if (typeof from !== 'string' || from.length > MAX_FIELD_PATH_LENGTH ||
+      !FIELD_PATH_PATTERN.test(from) || !MAPPABLE_FIELDS.includes(from.split('.')[0])) {
+      throw new Error(`Unknown event field "${from}" mapped to "${to}"`);
+    }
+    if (outputs.some(output => output === to || output.startsWith(`${to}.`) || to.startsWith(`${output}.`))) {
+      throw new Error(`Output field "${to}" overlaps another mapped field`);
+    }
+    outputs.push(to);
+  }
+
+  return true;
+};
+
+const hostnameOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+const privateAddressError = (hostname) => Object.assign(
+  new Error(`${hostname} points to a private or loopback address`),
+  { code: 'EPRIVATEADDRESS' }
+);
+
+/**
+ * express-validator custom validator for a destination URL: its host must
+ * not be, or resolve to, a private, loopback or link-local address. Hosts
+ * that do not resolve yet are accepted; every delivery checks again.
+ */
+const validateDestinationUrl = async (url) => {
+  const hostname = hostnameOf(url);
+  const addresses = net.isIP(hostname) ?
+    [hostname] :
+    await dns.promises.lookup(hostname, { all: true })
+      .then(results => results.map(({ address }) => address))
+      .catch(() => []);
+
+  if (hostname.toLowerCase() === 'localhost' || addresses.some(isPrivateIp)) {
+    throw new Error('Destination URL must not point to a private, loopback or link-local address');
+  }
+  return true;
+};
+
+// dns.lookup for outgoing deliveries that refuses private addresses, so
+// a host cannot be re-pointed at an internal one after it was validated
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(({ address }) => isPrivateIp(address))) {
+      return callback(privateAddressError(hostname));
+    }
+    return options.all ?
+      callback(null, addresses) :
+      callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const getPath = (object, path) => path.split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    target[key] = isPlainObject(target[key]) ? target[key] : {};
+    return target[key];
+  }, object);
+  parent[last] = value;
+};
+
+/**
+ * Whether a stored event passes a destination's filter
+ */
+const matchesFilter = (filter = {}, doc) => {
+  if (doc.isBot && !filter.includeBots) {
+    return false;
+  }
+  if (filter.events?.length > 0 && !filter.events.includes(doc.event)) {
+    return false;
+  }
+  return Object.entries(filter.properties || {})
+    .every(([name, value]) => doc.properties?.[name] === value);
+};
+
+/**
+ * The body sent to a destination for a stored event: its mapped fields, or
+ * the default fields when it has no mapping
+ */
+const buildPayload = (destination, doc) => {
+  const source = { ...doc, id: doc._id };
+  const payload = {};
+
+  if (!destination.mapping?.length) {
+    DEFAULT_FIELDS.forEach(field => {
+      if (source[field] !== undefined && source[field] !== null) {
+        payload[field] = source[field];
+      }
+    });
+    return payload;
+  }
+
+  destination.mapping.forEach(({ to, from }) => {
+    const value = getPath(source, from);
+    if (value !== undefined) {
+      setPath(payload, to, value);
+    }
+  });
+  return payload;
+};
+
+/**
+ * Queue deliveries of newly stored events to the enabled destinations of
+ * their applications whose filters they pass. Events stored again after a
+ * retry are not delivered twice.
+ */
+const scheduleDeliveries = async (docs) => {
+  const appIds = [...new Set(docs.map(doc => String(doc.appId)))];
+  if (appIds.length === 0) {
+    return 0;
+  }
+
+  const destinations = await Destination.find({ appId: { $in: appIds }, enabled: true }).lean();
+  if (destinations.length === 0) {
+    return 0;
+  }
+
+  const deliveries = [];
+  docs.forEach(doc => {
+    destinations
+      .filter(destination => String(destination.appId) === String(doc.appId) && matchesFilter(destination.filter, doc))
+      .forEach(destination => deliveries.push({
+        appId: doc.appId,
+        destinationId: destination._id,
+        eventId: doc._id,
+        event: doc.event,
+        payload: buildPayload(destination, doc)
+      }));
+  });
+
+  if (deliveries.length > 0) {
+    try {
+      await Delivery.insertMany(deliveries, { ordered: false });
+    } catch (error) {
+      const duplicatesOnly = error.code === 11000 ||
+        (error.writeErrors?.length > 0 && error.writeErrors.every(writeError => writeError.code === 11000));
+      if (!duplicatesOnly) {
+        throw error;
+      }
+    }
+  }
+
+  return deliveries.length;
+};
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>", hex encoded, as sent in X-Signature
+ */
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * POST a JSON body and resolve with the response status. The response body
+ * is discarded and redirects are not followed.
+ */
+const postJson = (url, headers, body) => new Promise((resolve, reject) => {
+  const hostname = hostnameOf(url);
+  // Literal IPs are connected to without a lookup
+  if (net.isIP(hostname) && isPrivateIp(hostname)) {
+    return reject(privateAddressError(hostname));
+  }
+
+  const client = url.startsWith('https:') ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: publicLookup,
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * POST a delivery's payload to its destination. Any 2xx response counts as
+ * delivered. Only the status is recorded, never the response body, and
+ * private or loopback addresses are never connected to.
+ */
+const sendDelivery = async (delivery, destination) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const statusCode = await postJson(destination.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      // Stays the same across retries, so receivers can skip repeats
+      'X-Delivery-Id': String(delivery._id),
+      'X-Signature-Timestamp': String(timestamp),
+      'X-Signature': `sha256=${signPayload(destination.secret, timestamp, body)}`
+    }, body);
+
+    return statusCode >= 200 && statusCode < 300 ?
+      { statusCode } :
+      { statusCode, error: `HTTP ${statusCode}` };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { error: `Timed out after ${TIMEOUT_MS}ms` };
+    }
+    return { error: truncate(error.message) };
+  }
+};
+
+// Record an attempt's outcome. lastError is kept after a later success, as
+// the last error the destination returned.
+const recordAttempt = (delivery, { statusCode, error, final = false }) => {
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  const update = {
+    $set: { attempts, lastAttemptAt: now },
+    $unset: {}
+  };
+
+  if (statusCode === undefined) {
+    update.$unset.lastStatusCode = '';
+  } else {
+    update.$set.lastStatusCode = statusCode;
+  }
+
+  if (error) {
+    update.$set.status = final || attempts >= MAX_ATTEMPTS ? DELIVERY_STATUSES.FAILED : DELIVERY_STATUSES.PENDING;
+    update.$set.lastError = error;
+    update.$set.nextAttemptAt = new Date(now.getTime() + retryDelay(attempts));
+  } else {
+    update.$set.status = DELIVERY_STATUSES.SUCCEEDED;
+    update.$set.deliveredAt = now;
+  }
+
+  if (Object.keys(update.$unset).length === 0) {
+    delete update.$unset;
+  }
+  return Delivery.updateOne({ _id: delivery._id }, update);
+};
+
+// Lease due deliveries one at a time, so workers on other instances never
+// send the same one; a lease runs out if the worker dies mid-delivery
+const claimDueDeliveries = async () => {
+  const claimed = [];
+  while (claimed.length < BATCH_SIZE) {
+    const now = Date.now();
+    const delivery = await Delivery.findOneAndUpdate(
+      { status: DELIVERY_STATUSES.PENDING, nextAttemptAt: { $lte: new Date(now) } },
+      { $set: { nextAttemptAt: new Date(now + LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    ).lean();
+    if (!delivery) {
+      break;
+    }
+    claimed.push(delivery);
+  }
+  return claimed;
+};
+
+/**
+ * Send the deliveries that are due. Deliveries to disabled or deleted
+ * destinations fail without being sent. Returns how many were attempted.
+ */
+const pollDeliveries = async () => {
+  const deliveries = await claimDueDeliveries();
+  if (deliveries.length === 0) {
+    return 0;
+  }
+
+  const destinationIds = [...new Set(deliveries.map(delivery => String(delivery.destinationId)))];
+  const destinations = new Map(
+    (await Destination.find({ _id: { $in: destinationIds } }).select('+secret').lean())
+      .map(destination => [String(destination._id), destination])
+  );
+
+  await Promise.all(deliveries.map(async (delivery) => {
+    const destination = destinations.get(String(delivery.destinationId));
+    const outcome = destination?.enabled ?
+      await sendDelivery(delivery, destination) :
+      { error: destination ? 'Destination is disabled' : 'Destination was deleted', final: true };
+
+    if (outcome.error) {
+      logger.warn('Destination delivery failed', {
+        deliveryId: delivery._id,
+        destinationId: delivery.destinationId,
+        attempt: delivery.attempts + 1,
+        error: outcome.error
+      });
+    }
+    await recordAttempt(delivery, outcome);
+  }));
+
+  logger.debug('Destination deliveries attempted', { count: deliveries.length });
+  return deliveries.length;
+};
+
+/**
+ * Delivery counts by status for each of the given destinations
+ */
+const getDeliveryStats = async (destinationIds) => {
+  const counts = await Delivery.aggregate([
+    { $match: { destinationId: { $in: destinationIds } } },
+    { $group: { _id: { destinationId: '$destinationId', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const stats = new Map(destinationIds.map(id => [
+    String(id),
+    Object.fromEntries(Object.values(DELIVERY_STATUSES).map(status => [status, 0]))
+  ]));
+  counts.forEach(({ _id, count }) => {
+    stats.get(String(_id.destinationId))[_id.status] = count;
+  });
+  return stats;
+};
+
+/**
+ * Page through a destination's deliveries, newest first, with counts per status
+ */
+const listDeliveries = async (destination, { status, page = 1, limit = 50 }) => {
+  const filter = { destinationId: destination._id, ...(status && { status }) };
+
+  const [deliveries, total, stats] = await Promise.all([
+    Delivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Delivery.countDocuments(filter),
+    getDeliveryStats([destination._id])
+  ]);
+
+  return {
+    deliveries,
+    statuses: stats.get(String(destination._id)),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Send deliveries again from the first attempt: the given ones, or else
+ * every delivery with the given status (failed by default)
+ */
+const redeliver = async (destination, { ids, status = DELIVERY_STATUSES.FAILED }) => {
+  const filter = { destinationId: destination._id, ...(ids ? { _id: { $in: ids } } : { status }) };
+
+  const { modifiedCount } = await Delivery.updateMany(filter, {
+    $set: {
+      status: DELIVERY_STATUSES.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date()
+    },
+    $unset: { deliveredAt: '' }
+  });
+
+  logger.info('Deliveries queued for redelivery', {
+    appId: destination.appId,
+    destinationId: destination._id,
+    count: modifiedCount
+  });
+
+  return modifiedCount;
+};
+
+/**
+ * Start polling for due deliveries every POLL_INTERVAL_MS
+ */
+const startDeliveryWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(() => {
+    // A slow destination can hold a poll past the interval
+    if (currentPoll) {
+      return;
+    }
+    currentPoll = pollDeliveries()
+      .catch(error => logger.error('Destination delivery poll failed:', error))
+      .finally(() => {
+        currentPoll = null;
+      });
+  }, POLL_INTERVAL_MS);
+  pollTimer.unref();
+
+  logger.info('✅ Destination delivery worker started', { intervalMs: POLL_INTERVAL_MS });
+};
+
+/**
+ * Stop polling once the current poll completes
+ */
+const stopDeliveryWorker = async () => {
+  if (!pollTimer) {
+    return;
+  }
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+  await currentPoll;
+};
+
+module.exports = {
+  MAPPABLE_FIELDS,
+  validateMapping,
+  validateDestinationUrl,
+  buildPayload,
+  scheduleDeliveries,
+  signPayload,
+  pollDeliveries,
+  getDeliveryStats,
+  listDeliveries,
+  redeliver,
+  startDeliveryWorker,
+  stopDeliveryWorker
+};
@@ -0,0 +1,58 @@
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+const { CLOCK_SKEW } = require('../utils/constants');
+
+const RETENTION_SECONDS = CLOCK_SKEW.DIAGNOSTICS_RETENTION_DAYS * 24 * 60 * 60;
+
+const statsKey = (appId, day) => `ingestion-stats:${appId}:${day}`;
+
+const formatDay = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Add to the application's ingestion counters for today (UTC)
+ */
+const recordIngestionStats = async (application, counts) => {
+  const entries = Object.entries(counts).filter(([, count]) => count > 0);
+  if (entries.length === 0) {
+    return;
+  }
+
+  try {
+    const redisClient = getRedisClient();
+    const key = statsKey(application._id, formatDay(new Date()));
+    const multi = redisClient.multi();
+    entries.forEach(([field, count]) => multi.hIncrBy(key, field, count));
+    multi.expire(key, RETENTION_SECONDS);
+    await multi.exec();
+  } catch (error) {
+    logger.warn('Failed to record ingestion stats:', error);
+  }
+};
+
+/**
+ * Daily ingestion counters for the last `days` days, newest first, with totals
+ */
+const getIngestionStats = async (application, days) => {
+  const redisClient = getRedisClient();
+  const dates = Array.from({ length: days }, (_, index) =>
+    formatDay(new Date(Date.now() - index * 24 * 60 * 60 * 1000)));
+
+  const daily = await Promise.all(dates.map(async (date) => {
+    const counts = await redisClient.hGetAll(statsKey(application._id, date));
+    return Object.entries(counts).reduce((day, [field, count]) => {
+      day[field] = parseInt(count);
+      return day;
+    }, { date });
+  }));
+
+  const totals = {};
+  daily.forEach(({ date, ...counts }) => {
+    Object.entries(counts).forEach(([field, count]) => {
+      totals[field] = (totals[field] || 0) + count;
+    });
+  });
+
+  return { totals, daily };
+};
+
+module.exports = { recordIngestionStats, getIngestionStats };
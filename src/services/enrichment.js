@@ -0,0 +1,238 @@
+const path = require('path');
+const UserAgent = require('user-agents');
+const { detectBots } = require('./botDetection');
+const { applyIpPrivacy } = require('./privacy');
+const { parseCampaign, classifyTraffic } = require('./acquisition');
+const logger = require('../utils/logger');
+const { lookupGeo } = require('../utils/geo');
+const { ENRICHMENT_PHASES } = require('../utils/constants');
+
+const PHASES = Object.values(ENRICHMENT_PHASES);
+const NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{0,49}$/;
+
+// Registered enrichers by name, in pipeline order
+const enrichers = new Map();
+
+/**
+ * Add an enricher to the end of its phase of the pipeline. An enricher is
+ * an object with:
+ *   name              unique name applications configure it by
+ *   enrich            (events, { application, req, options, source }) => void,
+ *                     may be async; changes the events in place. source is
+ *                     collect or import.
+ *   phase             build (default) runs on every event as it is built;
+ *                     store runs on accepted events just before they are queued
+ *   enabledByDefault  whether it runs for applications that have not
+ *                     configured it (default true)
+ *   required          cannot be disabled, and a failure fails ingestion
+ *                     instead of being logged and skipped
+ *   defaults          options used when the application sets none
+ *   validateOptions   (options) => error message, or null when valid
+ */
+const registerEnricher = (enricher) => {
+  const { name, enrich, phase = ENRICHMENT_PHASES.BUILD } = enricher || {};
+
+  if (!NAME_PATTERN.test(name || '')) {
+    throw new Error(`Invalid enricher name: ${name}`);
+  }
+  if (typeof enrich !== 'function') {
+    throw new Error(`Enricher ${name} must have an enrich function`);
+  }
+  if (!PHASES.includes(phase)) {
+    throw new Error(`Enricher ${name} has an unknown phase: ${phase}`);
+  }
+  if (enrichers.has(name)) {
+    throw new Error(`Enricher ${name} is already registered`);
+  }
+
+  enrichers.set(name, {
+    enabledByDefault: true,
+    required: false,
+    defaults: {},
+    ...enricher,
+    phase
+  });
+};
+
+/**
+ * Register the enricher modules listed in ENRICHER_MODULES (comma-separated
+ * paths relative to the working directory). A module exports one enricher or
+ * an array of them.
+ */
+const loadEnricherModules = (modules = process.env.ENRICHER_MODULES) => {
+  (modules || '').split(',').map(item => item.trim()).filter(Boolean).forEach(modulePath => {
+    const exported = require(path.resolve(process.cwd(), modulePath));
+    [].concat(exported).forEach(registerEnricher);
+    logger.info('Enricher module loaded', { module: modulePath });
+  });
+};
+
+const getEnricherSettings = (application, name) =>
+  application.enrichment?.enrichers?.find(rule => rule.name === name);
+
+/**
+ * Every registered enricher with whether it runs for the application and
+ * the options it runs with, in pipeline order
+ */
+const describePipeline = (application) => [...enrichers.values()]
+  .sort((a, b) => PHASES.indexOf(a.phase) - PHASES.indexOf(b.phase))
+  .map(enricher => {
+    const settings = getEnricherSettings(application, enricher.name);
+
+    return {
+      name: enricher.name,
+      phase: enricher.phase,
+      required: enricher.required,
+      enabled: enricher.required || (settings ? settings.enabled !== false : enricher.enabledByDefault),
+      options: { ...enricher.defaults, ...settings?.options }
+    };
+  });
+
+/**
+ * Why an application's setting for an enricher is invalid, or null
+ */
+const validateEnricherSettings = ({ name, enabled, options } = {}) => {
+  const enricher = enrichers.get(name);
+
+  if (!enricher) {
+    return `Unknown enricher: ${name}`;
+  }
+  if (enricher.required && enabled === false) {
+    return `The ${name} enricher cannot be disabled`;
+  }
+  if (options !== undefined && enricher.validateOptions) {
+    return enricher.validateOptions(options);
+  }
+  return null;
+};
+
+/**
+ * Run the application's enabled enrichers of one phase over the events, in
+ * order. A failing enricher is skipped unless it is required.
+ */
+const runEnrichers = async (req, events, { phase = ENRICHMENT_PHASES.BUILD, source = 'collect' } = {}) => {
+  const application = req.application;
+  const steps = describePipeline(application).filter(step => step.phase === phase && step.enabled);
+
+  for (const { name, options } of steps) {
+    const enricher = enrichers.get(name);
+    try {
+      await enricher.enrich(events, { application, req, options, source });
+    } catch (error) {
+      if (enricher.required) {
+        throw error;
+      }
+      logger.warn('Enricher failed, skipping it:', {
+        appId: application._id,
+        enricher: name,
+        error: error.message
+      });
+    }
+  }
+
+  return events;
+};
+
+// Options validator for enrichers whose options are all on/off switches
+const booleanOptions = (...names) => (options) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return 'Options must be an object';
+  }
+  const invalid = Object.entries(options)
+    .find(([option, value]) => !names.includes(option) || typeof value !== 'boolean');
+  if (!invalid) {
+    return null;
+  }
+  return names.length > 0 ?
+    `Options can only be ${names.join(', ')}, each true or false` :
+    'This enricher has no options';
+};
+
+const parseUserAgent = (userAgent) => {
+  try {
+    return new UserAgent(userAgent);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Built-in enrichers. Campaign runs before referrer because campaign tags
+// decide the traffic channel; privacy runs last, after sessionization.
+registerEnricher({
+  name: 'userAgent',
+  validateOptions: booleanOptions(),
+  enrich: (events) => events.forEach(event => {
+    if (!event.userAgent) {
+      return;
+    }
+    const userAgentData = parseUserAgent(event.userAgent);
+    const category = userAgentData?.deviceCategory;
+
+    event.device = event.device || (category === 'mobile' || category === 'tablet' ? category : undefined);
+    event.metadata.browser = userAgentData?.browser?.name || event.metadata.browser;
+    event.metadata.os = userAgentData?.os?.name || event.metadata.os;
+    event.metadata.platform = userAgentData?.platform;
+  })
+});
+
+registerEnricher({
+  name: 'geo',
+  defaults: { coordinates: true },
+  validateOptions: booleanOptions('coordinates'),
+  enrich: (events, { options }) => events.forEach(event => {
+    const geo = lookupGeo(event.ipAddress, event.metadata.timezone);
+
+    Object.assign(event.metadata, {
+      country: geo.country,
+      region: geo.region,
+      city: geo.city,
+      timezone: geo.timezone
+    });
+    if (options.coordinates) {
+      event.metadata.latitude = geo.latitude;
+      event.metadata.longitude = geo.longitude;
+    }
+  })
+});
+
+registerEnricher({
+  name: 'campaign',
+  validateOptions: booleanOptions(),
+  enrich: (events) => events.forEach(event => {
+    event.campaign = parseCampaign(event.url);
+  })
+});
+
+registerEnricher({
+  name: 'referrer',
+  validateOptions: booleanOptions(),
+  enrich: (events, { application }) => events.forEach(event => {
+    event.acquisition = classifyTraffic(application, event, event.campaign);
+  })
+});
+
+registerEnricher({
+  name: 'bot',
+  defaults: { rateCheck: true },
+  validateOptions: booleanOptions('rateCheck'),
+  // Imported events all arrive from one uploader, so only signatures apply
+  enrich: (events, { application, options, source }) => detectBots(application, events, {
+    rateCheck: options.rateCheck && source !== 'import'
+  })
+});
+
+registerEnricher({
+  name: 'privacy',
+  phase: ENRICHMENT_PHASES.STORE,
+  required: true,
+  validateOptions: booleanOptions(),
+  enrich: (events, { application }) => applyIpPrivacy(application, events)
+});
+
+module.exports = {
+  registerEnricher,
+  loadEnricherModules,
+  describePipeline,
+  validateEnricherSettings,
+  runEnrichers
+};
@@ -0,0 +1,325 @@
+const os = require('os');
+const Event = require('../models/Event');
+const DeadLetter = require('../models/DeadLetter');
+const { getRedisClient } = require('../config/redis');
+const { releaseMessageIds } = require('./deduplication');
+const { scheduleDeliveries } = require('./destinations');
+const { recordIngestionStats } = require('./diagnostics');
+const logger = require('../utils/logger');
+const { INGESTION, DEAD_LETTER_REASONS } = require('../utils/constants');
+
+const STREAM_KEY = process.env.INGEST_STREAM_KEY || INGESTION.STREAM_KEY;
+const CONSUMER_GROUP = process.env.INGEST_CONSUMER_GROUP || INGESTION.CONSUMER_GROUP;
+const BATCH_SIZE = parseInt(process.env.INGEST_BATCH_SIZE) || INGESTION.BATCH_SIZE;
+const BLOCK_MS = parseInt(process.env.INGEST_BLOCK_MS) || INGESTION.BLOCK_MS;
+const MAX_BACKLOG = parseInt(process.env.INGEST_MAX_BACKLOG) || INGESTION.MAX_BACKLOG;
+const MAX_RETRIES = parseInt(process.env.INGEST_MAX_RETRIES) || INGESTION.MAX_RETRIES;
+const RETRY_BASE_MS = parseInt(process.env.INGEST_RETRY_BASE_MS) || INGESTION.RETRY_BASE_MS;
+const CLAIM_IDLE_MS = parseInt(process.env.INGEST_CLAIM_IDLE_MS) || INGESTION.CLAIM_IDLE_MS;
+
+const CONSUMER_NAME = `${os.hostname()}-${process.pid}`;
+
+let consumerClient = null;
+let consumerLoop = null;
+let isRunning = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Append built event documents to the ingestion stream.
+ * Rejects with a 503 error once the unprocessed backlog is full.
+ */
+const enqueueEvents = async (events) => {
+  const redisClient = getRedisClient();
+
+  const backlog = await redisClient.xLen(STREAM_KEY);
+  if (backlog + events.length > MAX_BACKLOG) {
+    logger.warn('Ingestion backlog full, rejecting events', {
+      backlog,
+      incoming: events.length
+    });
+    const error = new Error('Ingestion queue is full. Please retry later.');
+    error.status = 503;
+    error.retryAfter = INGESTION.RETRY_AFTER_SECONDS;
+    throw error;
+  }
+
+  const pipeline = redisClient.multi();
+  events.forEach(event => {
+    pipeline.xAdd(STREAM_KEY, '*', { payload: JSON.stringify(event) });
+  });
+  await pipeline.exec();
+};
+
+const ensureConsumerGroup = async (client) => {
+  try {
+    await client.xGroupCreate(STREAM_KEY, CONSUMER_GROUP, '0', { MKSTREAM: true });
+  } catch (error) {
+    if (!error.message.includes('BUSYGROUP')) {
+      throw error;
+    }
+  }
+};
+
+// Collected fields of a stored document, so a dead-lettered event replays
+// like the payload it came from. IPs are left out as they may be anonymized.
+const REPLAY_FIELDS = [
+  'messageId', 'event', 'url', 'referrer', 'device', 'userId', 'anonymousId',
+  'sessionId', 'userAgent', 'metadata', 'properties', 'originalTimestamp', 'sentAt'
+];
+
+const toReplayPayload = (doc) => {
+  const payload = {};
+  REPLAY_FIELDS.forEach(field => {
+    if (doc[field] !== undefined && doc[field] !== null) {
+      payload[field] = doc[field];
+    }
+  });
+  payload.timestamp = payload.originalTimestamp || doc.timestamp;
+  delete payload.originalTimestamp;
+  return payload;
+};
+
+/**
+ * Move documents MongoDB refused into the dead-letter store and release
+ * their message IDs so a replay is not skipped as a duplicate
+ */
+const deadLetterRefused = async (docs, writeErrors) => {
+  const byApp = new Map();
+  writeErrors.forEach(writeError => {
+    const doc = docs[writeError.index];
+    const appId = String(doc.appId);
+    if (!byApp.has(appId)) {
+      byApp.set(appId, []);
+    }
+    byApp.get(appId).push({ doc, message: writeError.errmsg });
+  });
+
+  for (const [appId, refused] of byApp) {
+    await DeadLetter.store(appId, refused.map(({ doc, message }) => ({
+      reason: DEAD_LETTER_REASONS.STORAGE_ERROR,
+      body: toReplayPayload(doc),
+      details: [{ field: null, message }],
+      receivedAt: doc.receivedAt
+    })));
+    await releaseMessageIds({ _id: appId }, refused.map(({ doc }) => doc));
+  }
+
+  logger.error('Events refused by MongoDB moved to dead letters', { count: writeErrors.length });
+};
+
+/**
+ * Of the documents refused with a duplicate key error, return the indexes of
+ * those repeating the messageId of an event stored earlier, e.g. a retry sent
+ * after the dedupe window. The others were stored by an earlier attempt at
+ * the batch: entries keep the _id assigned at ingestion.
+ */
+const findRepeatedMessageIds = async (docs, duplicateErrors) => {
+  if (duplicateErrors.length === 0) {
+    return [];
+  }
+
+  const indexes = duplicateErrors.map(writeError => writeError.index);
+  const stored = await Event.find({ _id: { $in: indexes.map(index => docs[index]._id) } }).select('_id').lean();
+  const storedIds = new Set(stored.map(doc => String(doc._id)));
+  const repeated = indexes.filter(index => !storedIds.has(String(docs[index]._id)));
+
+  const countByApp = new Map();
+  repeated.forEach(index => {
+    const appId = String(docs[index].appId);
+    countByApp.set(appId, (countByApp.get(appId) || 0) + 1);
+  });
+  for (const [appId, count] of countByApp) {
+    logger.warn('Events repeating a stored messageId skipped', { appId, count });
+    await recordIngestionStats({ _id: appId }, { duplicates: count });
+  }
+
+  return repeated;
+};
+
+// Returns the documents that are stored, leaving out those MongoDB refused
+// and those repeating a stored messageId
+const insertWithRetry = async (docs) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await Event.insertMany(docs, { ordered: false });
+      return docs;
+    } catch (error) {
+      const writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors :
+        error.code === 11000 ? docs.map((doc, index) => ({ index, code: 11000 })) :
+          [];
+
+      // The rest of the batch was stored; refused documents fail the same way on retry
+      if (writeErrors.length > 0) {
+        const refused = writeErrors.filter(writeError => writeError.code !== 11000);
+        if (refused.length > 0) {
+          await deadLetterRefused(docs, refused);
+        }
+        const repeated = await findRepeatedMessageIds(docs, writeErrors.filter(writeError => writeError.code === 11000));
+        const unstored = new Set([...refused.map(writeError => writeError.index), ...repeated]);
+        return docs.filter((doc, index) => !unstored.has(index));
+      }
+      if (attempt >= MAX_RETRIES) {
+        throw error;
+      }
+
+      const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+      logger.warn('Event bulk insert failed, retrying', {
+        attempt,
+        delay,
+        error: error.message
+      });
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Drop cached reports for every application touched by the given events
+ */
+const invalidateAnalyticsCache = async (docs) => {
+  const redisClient = getRedisClient();
+  const appIds = [...new Set(docs.map(doc => String(doc.appId)))];
+
+  for (const appId of appIds) {
+    const patterns = [
+      `event-summary:${appId}:*`,
+      `user-stats:${appId}:*`,
+      `app-analytics:${appId}:*`,
+      `funnel:${appId}:*`,
+      `acquisition:${appId}:*`,
+      `app-versions:${appId}:*`,
+      `geography:${appId}:*`
+    ];
+
+    for (const pattern of patterns) {
+      const keys = [];
+      for await (const key of redisClient.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        keys.push(key);
+      }
+      if (keys.length > 0) {
+        await redisClient.del(keys);
+      }
+    }
+  }
+};
+
+const processMessages = async (messages) => {
+  // XAUTOCLAIM reports entries deleted since delivery as null
+  const entries = messages.filter(Boolean);
+  if (entries.length === 0) {
+    return;
+  }
+
+  const docs = [];
+  for (const entry of entries) {
+    try {
+      docs.push(JSON.parse(entry.message.payload));
+    } catch (error) {
+      logger.error('Dropping malformed ingestion entry', { id: entry.id, error: error.message });
+    }
+  }
+
+  const stored = docs.length > 0 ? await insertWithRetry(docs) : [];
+
+  // Before acknowledging, so a failure leaves the batch to be stored and
+  // scheduled again
+  await scheduleDeliveries(stored);
+
+  const redisClient = getRedisClient();
+  const ids = entries.map(entry => entry.id);
+  await redisClient.xAck(STREAM_KEY, CONSUMER_GROUP, ids);
+  await redisClient.xDel(STREAM_KEY, ids);
+
+  try {
+    await invalidateAnalyticsCache(docs);
+  } catch (cacheError) {
+    logger.warn('Cache invalidation failed:', cacheError);
+  }
+
+  logger.debug('Ingestion batch stored', { count: docs.length });
+};
+
+const runConsumer = async () => {
+  let claimCursor = '0-0';
+
+  while (isRunning) {
+    try {
+      // Take over batches that failed or were abandoned by a dead consumer
+      const claimed = await consumerClient.xAutoClaim(
+        STREAM_KEY,
+        CONSUMER_GROUP,
+        CONSUMER_NAME,
+        CLAIM_IDLE_MS,
+        claimCursor,
+        { COUNT: BATCH_SIZE }
+      );
+      claimCursor = claimed.nextId;
+      await processMessages(claimed.messages);
+
+      const streams = await consumerClient.xReadGroup(
+        CONSUMER_GROUP,
+        CONSUMER_NAME,
+        { key: STREAM_KEY, id: '>' },
+        { COUNT: BATCH_SIZE, BLOCK: BLOCK_MS }
+      );
+
+      for (const stream of streams || []) {
+        await processMessages(stream.messages);
+      }
+    } catch (error) {
+      // Unacknowledged entries stay pending and are reclaimed after CLAIM_IDLE_MS
+      logger.error('Ingestion batch failed, leaving entries pending:', error);
+      await sleep(RETRY_BASE_MS * 2 ** MAX_RETRIES);
+    }
+  }
+};
+
+/**
+ * Start the consumer-group worker that writes queued events to MongoDB
+ */
+const startEventConsumer = async () => {
+  if (isRunning) {
+    return;
+  }
+
+  // Blocking reads need their own connection
+  consumerClient = getRedisClient().duplicate();
+  consumerClient.on('error', (err) => {
+    logger.error('❌ Redis ingestion consumer error:', err);
+  });
+  await consumerClient.connect();
+  await ensureConsumerGroup(consumerClient);
+
+  isRunning = true;
+  consumerLoop = runConsumer();
+
+  logger.info('✅ Event ingestion consumer started', {
+    stream: STREAM_KEY,
+    group: CONSUMER_GROUP,
+    consumer: CONSUMER_NAME
+  });
+};
+
+/**
+ * Stop the worker after its current batch completes
+ */
+const stopEventConsumer = async () => {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+  await consumerLoop;
+  await consumerClient.quit();
+  consumerClient = null;
+
+  logger.info('ℹ️ Event ingestion consumer stopped');
+};
+
+module.exports = {
+  enqueueEvents,
+  invalidateAnalyticsCache,
+  startEventConsumer,
+  stopEventConsumer
+};
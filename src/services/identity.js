@@ -0,0 +1,149 @@
+const Event = require('../models/Event');
+const Identity = require('../models/Identity');
+const { invalidateAnalyticsCache } = require('./eventQueue');
+const logger = require('../utils/logger');
+
+/**
+ * Resolve a user ID to the canonical user it was aliased into, if any
+ */
+const resolveCanonicalUserId = async (appId, userId) => {
+  const link = await Identity.findOne({ key: Identity.buildKey(appId, 'userId', userId) }).lean();
+  return link?.userId || userId;
+};
+
+/**
+ * Point a distinct ID at a canonical user. Identify keeps the first user an
+ * anonymous ID was seen as; alias always overwrites.
+ */
+const linkIdentity = async (appId, idType, distinctId, userId, source) => {
+  const key = Identity.buildKey(appId, idType, distinctId);
+  const fields = { appId, idType, distinctId, userId, source, key };
+
+  const link = source === 'alias' ?
+    await Identity.findOneAndUpdate({ key }, { $set: fields }, { upsert: true, new: true, runValidators: true }) :
+    await Identity.findOneAndUpdate({ key }, { $setOnInsert: fields }, { upsert: true, new: true, runValidators: true });
+
+  return { idType, distinctId, userId: link.userId };
+};
+
+const refreshReports = async (appId) => {
+  try {
+    await invalidateAnalyticsCache([{ appId }]);
+  } catch (cacheError) {
+    logger.warn('Cache invalidation failed:', cacheError);
+  }
+};
+
+/**
+ * Link an anonymous visitor's IDs to the user they signed in as
+ */
+const identify = async (application, { userId, anonymousId, sessionId }) => {
+  const appId = application._id;
+  const canonicalUserId = await resolveCanonicalUserId(appId, userId);
+
+  const links = [];
+  if (anonymousId) {
+    links.push(await linkIdentity(appId, 'anonymousId', anonymousId, canonicalUserId, 'identify'));
+  }
+  if (sessionId) {
+    links.push(await linkIdentity(appId, 'sessionId', sessionId, canonicalUserId, 'identify'));
+  }
+
+  await refreshReports(appId);
+
+  logger.info('User identified', { appId, userId: canonicalUserId, links: links.length });
+
+  return { userId: canonicalUserId, links };
+};
+
+/**
+ * Merge a previous ID into a user. The previous ID may be an anonymous ID or
+ * an earlier user ID; everything already linked to it moves to the user.
+ */
+const alias = async (application, { previousId, userId }) => {
+  const appId = application._id;
+  const canonicalUserId = await resolveCanonicalUserId(appId, userId);
+
+  // Aliasing a user into itself, directly or through an earlier merge
+  if (previousId === canonicalUserId) {
+    return { userId: canonicalUserId, links: [] };
+  }
+
+  const links = [
+    await linkIdentity(appId, 'userId', previousId, canonicalUserId, 'alias'),
+    await linkIdentity(appId, 'anonymousId', previousId, canonicalUserId, 'alias')
+  ];
+
+  const { modifiedCount } = await Identity.updateMany(
+    { appId, userId: previousId },
+    { $set: { userId: canonicalUserId } }
+  );
+
+  await refreshReports(appId);
+
+  logger.info('User aliased', {
+    appId,
+    previousId,
+    userId: canonicalUserId,
+    merged: modifiedCount
+  });
+
+  return { userId: canonicalUserId, links };
+};
+
+/**
+ * Every distinct ID linked to a user, grouped by type
+ */
+const getIdentityGraph = async (application, userId) => {
+  const appId = application._id;
+  const canonicalUserId = await resolveCanonicalUserId(appId, userId);
+  const links = await Identity.find({ appId, userId: canonicalUserId })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const byType = (idType) => links
+    .filter(link => link.idType === idType)
+    .map(link => link.distinctId);
+
+  return {
+    userId: canonicalUserId,
+    previousUserIds: byType('userId'),
+    anonymousIds: byType('anonymousId'),
+    sessionIds: byType('sessionId')
+  };
+};
+
+/**
+ * Aggregation stages selecting every event attributed to a user through the
+ * identity graph, with `canonicalUserId` set
+ */
+const buildUserEventStages = async (application, userId, { includeBots = false } = {}) => {
+  const appId = application._id;
+  const graph = await getIdentityGraph(application, userId);
+
+  return {
+    userId: graph.userId,
+    stages: [
+      {
+        $match: {
+          appId,
+          ...Event.botFilter(includeBots),
+          $or: [
+            { userId: { $in: [graph.userId, ...graph.previousUserIds] } },
+            { anonymousId: { $in: graph.anonymousIds } },
+            { sessionId: { $in: graph.sessionIds } }
+          ]
+        }
+      },
+      ...Identity.resolveUserStages(appId),
+      { $match: { canonicalUserId: graph.userId } }
+    ]
+  };
+};
+
+module.exports = {
+  identify,
+  alias,
+  getIdentityGraph,
+  buildUserEventStages
+};
@@ -0,0 +1,333 @@
+const Event = require('../models/Event');
+const { enqueueEvents } = require('./eventQueue');
+const { claimMessageIds, releaseMessageIds } = require('./deduplication');
+const { assignSessions } = require('./sessionization');
+const { checkTrackingPlan, isRejecting, recordViolation } = require('./trackingPlan');
+const { isDroppingBots } = require('./botDetection');
+const { resolveEventTime, isTimeRejected } = require('./clockSkew');
+const { recordIngestionStats } = require('./diagnostics');
+const { toDeadLetter, recordDeadLetters } = require('./deadLetter');
+const { isSampledOut } = require('./sampling');
+const { runEnrichers } = require('./enrichment');
+const { transformPayload } = require('./transformations');
+const { checkQuota, quotaExceededError, reserveUsage, releaseUsage } = require('./quota');
+const { archivePayloads } = require('./archive');
+const logger = require('../utils/logger');
+const { normalizeProperties } = require('../utils/properties');
+const { isValidTimeZone } = require('../utils/geo');
+const { DEAD_LETTER_REASONS, DEVICE_TYPES, ENRICHMENT_PHASES } = require('../utils/constants');
+
+/**
+ * The event fields a collected payload and its resolved timing (see
+ * resolveEventTime) carry themselves, before enrichment. Collected payloads
+ * default to the request's IP and user agent; imported lines were sent by the
+ * uploader, not the visitor, so they keep only the ones they carry.
+ */
+const buildEvent = (req, payload, timing, { source }) => {
+  const fromVisitor = source !== 'import';
+  const {
+    messageId,
+    event,
+    url,
+    referrer,
+    device,
+    mobile,
+    userId,
+    anonymousId,
+    sessionId,
+    ipAddress = fromVisitor ? req.ip : undefined,
+    userAgent = fromVisitor ? req.get('User-Agent') : undefined,
+    metadata = {},
+    properties
+  } = payload;
+
+  return {
+    appId: req.application._id,
+    messageId,
+    event,
+    url,
+    referrer,
+    device: device || (mobile ? DEVICE_TYPES.MOBILE : undefined),
+    mobile,
+    userId,
+    anonymousId,
+    sessionId,
+    ipAddress,
+    userAgent,
+    metadata: {
+      browser: metadata.browser,
+      os: mobile?.osName || metadata.os,
+      screenSize: metadata.screenSize,
+      language: req.get('Accept-Language')?.split(',')[0],
+      timezone: isValidTimeZone(metadata.timezone) ? metadata.timezone : undefined
+    },
+    properties: normalizeProperties(properties),
+    timestamp: timing.timestamp,
+    originalTimestamp: timing.originalTimestamp,
+    sentAt: timing.sentAt,
+    receivedAt: timing.receivedAt
+  };
+};
+
+const validateEvent = (fields) => {
+  const analyticsEvent = new Event({
+    ...fields,
+    device: fields.device || DEVICE_TYPES.DESKTOP
+  });
+
+  const validationError = analyticsEvent.validateSync();
+  if (validationError) {
+    throw validationError;
+  }
+
+  return analyticsEvent.toObject();
+};
+
+/**
+ * Build validated Event documents from collected payloads, run through the
+ * build phase of the application's enrichment pipeline. Throws the first
+ * ValidationError.
+ */
+const prepareEvents = async (req, payloads, timings, { source = 'collect' } = {}) => {
+  const events = payloads.map((payload, index) => buildEvent(req, payload, timings[index], { source }));
+  await runEnrichers(req, events, { phase: ENRICHMENT_PHASES.BUILD, source });
+  return events.map(validateEvent);
+};
+
+const buildEvents = async (req, payloads, timings, { deadLetterInvalid = true } = {}) => {
+  try {
+    return await prepareEvents(req, payloads, timings);
+  } catch (error) {
+    if (error.name === 'ValidationError' && deadLetterInvalid) {
+      await recordDeadLetters(req, [{
+        reason: DEAD_LETTER_REASONS.VALIDATION,
+        body: req.body,
+        details: Object.values(error.errors).map(({ path, message }) => ({ field: path, message }))
+      }]);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Transform, enrich and validate collected payloads, then queue them for
+ * storage. The application's transformation rules run first, so the tracking
+ * plan and everything after see renamed events and changed properties; events
+ * a drop rule matches are reported as dropped. Payloads whose messageId was
+ * seen within the dedupe window are skipped and reported with the ID of the
+ * originally accepted event. Payloads that break the tracking plan or whose
+ * timestamp is out of range are reported as rejected when the application's
+ * policy rejects them, bot traffic as dropped when the application drops bots,
+ * and events left out by the application's sampling policy as sampled. A
+ * batch-level sentAt applies to every payload that does not carry its own.
+ * Rejected payloads are kept in the dead-letter store as they were sent.
+ * req.receivedAt, when set, replaces the current time for payloads being
+ * replayed. Throws a QUOTA_EXCEEDED error (429) when the owner's monthly
+ * event quota blocks ingestion; queued events count towards it, and those
+ * of a batch that no longer fit are reported as rejected with reason
+ * quota_exceeded, without a dead letter. Payloads that are neither rejected
+ * nor duplicates are archived as sent.
+ *
+ * options.store re-runs archived payloads: events are handed to it instead of
+ * the queue, and quota, message-ID claims, dead letters, usage, ingestion
+ * stats and archiving are skipped. options.deadLetterInvalid: false throws a
+ * ValidationError without keeping the request body, for callers that already
+ * hold it.
+ */
+const ingestEvents = async (req, payloads, { store, deadLetterInvalid = true } = {}) => {
+  const application = req.application;
+  const replaying = Boolean(store);
+  const quota = replaying ? null : await checkQuota(application);
+  if (quota?.blocked) {
+    throw quotaExceededError(quota);
+  }
+
+  const receivedAt = req.receivedAt || new Date();
+  const transforms = payloads.map(payload => transformPayload(application, payload));
+  const timings = payloads.map(payload => resolveEventTime(
+    application,
+    { timestamp: payload.timestamp, sentAt: payload.sentAt || req.body?.sentAt },
+    receivedAt
+  ));
+  const events = await buildEvents(req, transforms.map(transform => transform.payload), timings, {
+    deadLetterInvalid: deadLetterInvalid && !replaying
+  });
+  const results = new Array(events.length);
+  const warnings = new Map();
+  const acceptedIndexes = [];
+  const deadLetters = [];
+  const stats = { received: events.length };
+  const count = (field) => {
+    stats[field] = (stats[field] || 0) + 1;
+  };
+
+  timings.forEach(timing => {
+    if (timing.outcome !== 'ok') {
+      count(timing.outcome);
+    }
+  });
+
+  for (const [index, payload] of payloads.entries()) {
+    if (transforms[index].dropped) {
+      count('transformDropped');
+      results[index] = {
+        eventId: null,
+        messageId: events[index].messageId,
+        status: 'dropped',
+        reason: 'transformation',
+        rule: transforms[index].applied.at(-1)
+      };
+      continue;
+    }
+
+    if (isTimeRejected(timings[index])) {
+      results[index] = {
+        eventId: null,
+        messageId: events[index].messageId,
+        status: 'rejected',
+        reason: 'timestamp_out_of_range',
+        violations: [{
+          field: 'timestamp',
+          message: timings[index].outcome === 'futureRejected' ?
+            'Timestamp is too far in the future' :
+            'Timestamp is too far in the past'
+        }]
+      };
+      deadLetters.push(toDeadLetter(
+        req, payload, DEAD_LETTER_REASONS.TIMESTAMP_OUT_OF_RANGE, results[index].violations
+      ));
+      continue;
+    }
+
+    if (events[index].isBot && isDroppingBots(application)) {
+      count('botsDropped');
+      results[index] = {
+        eventId: null,
+        messageId: events[index].messageId,
+        status: 'dropped',
+        reason: events[index].botReason
+      };
+      continue;
+    }
+
+    const violations = checkTrackingPlan(application, transforms[index].payload);
+    if (violations.length > 0) {
+      await recordViolation(application, events[index].event, violations);
+
+      if (isRejecting(application)) {
+        results[index] = {
+          eventId: null,
+          messageId: events[index].messageId,
+          status: 'rejected',
+          reason: 'tracking_plan',
+          violations
+        };
+        count('trackingPlanRejected');
+        deadLetters.push(toDeadLetter(req, payload, DEAD_LETTER_REASONS.TRACKING_PLAN, violations));
+        continue;
+      }
+      warnings.set(index, violations);
+    }
+
+    if (isSampledOut(application, events[index])) {
+      count('sampledOut');
+      results[index] = {
+        eventId: null,
+        messageId: events[index].messageId,
+        status: 'sampled'
+      };
+      continue;
+    }
+    acceptedIndexes.push(index);
+  }
+
+  if (!replaying) {
+    await recordDeadLetters(req, deadLetters);
+  }
+
+  const claims = replaying ?
+    acceptedIndexes.map(index => ({ event: events[index], duplicate: false })) :
+    await claimMessageIds(application, acceptedIndexes.map(index => events[index]));
+  const unclaimedEvents = claims.filter(claim => !claim.duplicate).map(claim => claim.event);
+
+  // Usage is reserved before queueing, so a batch crossing the limit only
+  // queues the events that still fit
+  const allowed = replaying ?
+    unclaimedEvents.length :
+    await reserveUsage(application, unclaimedEvents.length, quota);
+  const freshEvents = unclaimedEvents.slice(0, allowed);
+  const overQuota = new Set(unclaimedEvents.slice(allowed));
+  if (overQuota.size > 0) {
+    await releaseMessageIds(application, [...overQuota]);
+    if (freshEvents.length === 0) {
+      throw quotaExceededError(await checkQuota(application));
+    }
+  }
+
+  if (freshEvents.length > 0) {
+    try {
+      await assignSessions(application, freshEvents);
+      await runEnrichers(req, freshEvents, { phase: ENRICHMENT_PHASES.STORE });
+      await (store || enqueueEvents)(freshEvents);
+    } catch (error) {
+      if (!replaying) {
+        await releaseMessageIds(application, freshEvents);
+        await releaseUsage(application, freshEvents.length);
+      }
+      throw error;
+    }
+  }
+
+  stats.queued = freshEvents.length;
+  stats.duplicates = claims.length - unclaimedEvents.length;
+  if (overQuota.size > 0) {
+    stats.quotaRejected = overQuota.size;
+  }
+  if (!replaying) {
+    await recordIngestionStats(application, stats);
+  }
+
+  logger.info(replaying ? 'Archived events replayed' : 'Events queued for ingestion', {
+    appId: application._id,
+    count: freshEvents.length,
+    duplicates: stats.duplicates,
+    bots: events.filter(event => event.isBot).length,
+    skipped: events.length - claims.length
+  });
+
+  claims.forEach(({ event, duplicate, originalId }, position) => {
+    const index = acceptedIndexes[position];
+    if (overQuota.has(event)) {
+      results[index] = {
+        eventId: null,
+        messageId: event.messageId,
+        status: 'rejected',
+        reason: 'quota_exceeded'
+      };
+      return;
+    }
+    results[index] = {
+      eventId: duplicate ? originalId : event._id,
+      messageId: event.messageId,
+      sessionId: event.sessionId,
+      timestamp: event.timestamp,
+      status: duplicate ? 'duplicate' : 'queued',
+      ...(warnings.has(index) && { warnings: warnings.get(index) })
+    };
+  });
+
+  if (!replaying) {
+    await archivePayloads(req, payloads.flatMap((payload, index) => (
+      ['rejected', 'duplicate'].includes(results[index].status) ?
+        [] :
+        [{ payload, eventId: results[index].eventId }]
+    )), receivedAt);
+  }
+
+  return results;
+};
+
+module.exports = {
+  prepareEvents,
+  ingestEvents
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const { connectRedis, getRedisClient } = require('../config/redis');
+const { startEventConsumer, stopEventConsumer } = require('./eventQueue');
+const { loadEnricherModules } = require('./enrichment');
+const { startUsageFlusher, stopUsageFlusher } = require('./quota');
+const { startDeliveryWorker, stopDeliveryWorker } = require('./destinations');
+const { startArchiver, stopArchiver } = require('./archive');
+
+/**
+ * Connect to MongoDB and Redis and start the background workers
+ */
+const startServices = async () => {
+  loadEnricherModules();
+  await connectDB();
+  await connectRedis();
+  await startEventConsumer();
+  startUsageFlusher();
+  startDeliveryWorker();
+  startArchiver();
+};
+
+/**
+ * Stop the background workers, letting each write out what it holds, then
+ * close the connections they used
+ */
+const stopServices = async () => {
+  await stopEventConsumer();
+  await Promise.all([
+    stopUsageFlusher(),
+    stopDeliveryWorker(),
+    stopArchiver()
+  ]);
+
+  const redisClient = getRedisClient();
+  if (redisClient.isOpen) {
+    await redisClient.quit();
+  }
+  await mongoose.connection.close();
+};
+
+module.exports = { startServices, stopServices };
@@ -0,0 +1,304 @@
+const net = require('net');
+const { recordDeadLetters } = require('./deadLetter');
+const { validateEventPayload } = require('../middleware/validation');
+const {
+  DEAD_LETTER_REASONS,
+  DEVICE_TYPES,
+  MEASUREMENT_PROTOCOL,
+  MEASUREMENT_PROTOCOL_VALIDATION_CODES: CODES
+} = require('../utils/constants');
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// GA device categories, as sent in device.category
+const DEVICE_CATEGORIES = {
+  desktop: DEVICE_TYPES.DESKTOP,
+  mobile: DEVICE_TYPES.MOBILE,
+  tablet: DEVICE_TYPES.TABLET,
+  'smart tv': DEVICE_TYPES.TV
+};
+
+// Where the fields of a mapped payload came from in the GA request, for
+// reporting our own validation errors at GA field paths
+const EVENT_FIELD_PATHS = {
+  event: 'name',
+  url: 'params.page_location',
+  referrer: 'params.page_referrer',
+  sessionId: 'params.session_id',
+  properties: 'params'
+};
+const REQUEST_FIELD_PATHS = {
+  userId: 'user_id',
+  anonymousId: 'client_id',
+  ipAddress: 'ip_override',
+  timestamp: 'timestamp_micros',
+  mobile: 'device',
+  metadata: 'device'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toId = (value) => (value === undefined || value === null || value === '' ? undefined : String(value));
+
+const validationMessage = (fieldPath, validationCode, description) => ({ fieldPath, description, validationCode });
+
+/**
+ * Check an event, param or user property name the way GA does, or null
+ */
+const checkName = (name, fieldPath, maxLength, reservedNames = []) => {
+  if (typeof name !== 'string' || !name) {
+    return validationMessage(fieldPath, CODES.VALUE_REQUIRED, 'A name is required');
+  }
+  if (name.length > maxLength) {
+    return validationMessage(fieldPath, CODES.VALUE_OUT_OF_BOUNDS, `Name [${name}] exceeds ${maxLength} characters`);
+  }
+  if (MEASUREMENT_PROTOCOL.RESERVED_PREFIXES.some(prefix => name.startsWith(prefix)) || reservedNames.includes(name)) {
+    return validationMessage(fieldPath, CODES.NAME_RESERVED, `Name [${name}] is reserved`);
+  }
+  if (!NAME_PATTERN.test(name)) {
+    return validationMessage(
+      fieldPath,
+      CODES.NAME_INVALID,
+      `Name [${name}] must start with a letter and contain only letters, numbers and underscores`
+    );
+  }
+  return null;
+};
+
+const checkParam = (name, value, fieldPath) => {
+  const nameMessage = checkName(name, fieldPath, MEASUREMENT_PROTOCOL.MAX_PARAM_NAME_LENGTH);
+  if (nameMessage) {
+    return nameMessage;
+  }
+
+  if (name === 'items') {
+    if (!Array.isArray(value)) {
+      return validationMessage(fieldPath, CODES.VALUE_INVALID, 'items must be an array');
+    }
+    return value.length > MEASUREMENT_PROTOCOL.MAX_ITEMS ?
+      validationMessage(fieldPath, CODES.EXCEEDED_MAX_ENTITIES, `No more than ${MEASUREMENT_PROTOCOL.MAX_ITEMS} items are allowed`) :
+      null;
+  }
+
+  const maxLength = MEASUREMENT_PROTOCOL.PARAM_VALUE_LENGTHS[name] || MEASUREMENT_PROTOCOL.MAX_PARAM_VALUE_LENGTH;
+  if (typeof value === 'string' && value.length > maxLength) {
+    return validationMessage(fieldPath, CODES.VALUE_OUT_OF_BOUNDS, `Value exceeds ${maxLength} characters`);
+  }
+  if (!['string', 'number', 'boolean'].includes(typeof value)) {
+    return validationMessage(fieldPath, CODES.VALUE_INVALID, 'Param values must be strings, numbers or booleans');
+  }
+  return null;
+};
+
+const checkEvent = (event, index) => {
+  const fieldPath = `events[${index}]`;
+  if (!isPlainObject(event)) {
+    return [validationMessage(fieldPath, CODES.VALUE_INVALID, 'Events must be objects')];
+  }
+
+  const messages = [
+    checkName(event.name, `${fieldPath}.name`, MEASUREMENT_PROTOCOL.MAX_EVENT_NAME_LENGTH, MEASUREMENT_PROTOCOL.RESERVED_EVENT_NAMES)
+  ];
+
+  if (event.params !== undefined && !isPlainObject(event.params)) {
+    messages.push(validationMessage(`${fieldPath}.params`, CODES.VALUE_INVALID, 'params must be an object'));
+  } else if (event.params) {
+    const params = Object.entries(event.params);
+    if (params.length > MEASUREMENT_PROTOCOL.MAX_PARAMS) {
+      messages.push(validationMessage(
+        `${fieldPath}.params`,
+        CODES.EXCEEDED_MAX_ENTITIES,
+        `No more than ${MEASUREMENT_PROTOCOL.MAX_PARAMS} params are allowed per event`
+      ));
+    }
+    messages.push(...params.map(([name, value]) => checkParam(name, value, `${fieldPath}.params.${name}`)));
+  }
+
+  return messages.filter(Boolean);
+};
+
+const checkUserProperties = (userProperties) => {
+  if (!isPlainObject(userProperties)) {
+    return [validationMessage('user_properties', CODES.VALUE_INVALID, 'user_properties must be an object')];
+  }
+
+  const entries = Object.entries(userProperties);
+  const messages = entries.length > MEASUREMENT_PROTOCOL.MAX_USER_PROPERTIES ?
+    [validationMessage(
+      'user_properties',
+      CODES.EXCEEDED_MAX_ENTITIES,
+      `No more than ${MEASUREMENT_PROTOCOL.MAX_USER_PROPERTIES} user properties are allowed`
+    )] :
+    [];
+
+  entries.forEach(([name, property]) => {
+    const fieldPath = `user_properties.${name}`;
+    const nameMessage = checkName(
+      name,
+      fieldPath,
+      MEASUREMENT_PROTOCOL.MAX_USER_PROPERTY_NAME_LENGTH,
+      MEASUREMENT_PROTOCOL.RESERVED_USER_PROPERTY_NAMES
+    );
+    const value = property?.value;
+    if (nameMessage) {
+      messages.push(nameMessage);
+    } else if (!isPlainObject(property) || !['string', 'number', 'boolean'].includes(typeof value)) {
+      messages.push(validationMessage(fieldPath, CODES.VALUE_INVALID, 'User properties must be given as { "value": ... }'));
+    } else if (typeof value === 'string' && value.length > MEASUREMENT_PROTOCOL.MAX_USER_PROPERTY_VALUE_LENGTH) {
+      messages.push(validationMessage(
+        `${fieldPath}.value`,
+        CODES.VALUE_OUT_OF_BOUNDS,
+        `Value exceeds ${MEASUREMENT_PROTOCOL.MAX_USER_PROPERTY_VALUE_LENGTH} characters`
+      ));
+    }
+  });
+
+  return messages;
+};
+
+/**
+ * Check a Measurement Protocol request against GA's own rules and limits,
+ * returning GA validation messages ({ fieldPath, description, validationCode })
+ */
+const checkMeasurementProtocolRequest = (request) => {
+  const messages = [];
+
+  if (!toId(request.client_id) && !toId(request.app_instance_id)) {
+    messages.push(validationMessage('client_id', CODES.VALUE_REQUIRED, 'client_id, or app_instance_id for apps, is required'));
+  }
+  if (request.timestamp_micros !== undefined && !/^\d+$/.test(String(request.timestamp_micros))) {
+    messages.push(validationMessage('timestamp_micros', CODES.VALUE_INVALID, 'timestamp_micros must be microseconds since the epoch'));
+  }
+  if (request.ip_override !== undefined && !net.isIP(String(request.ip_override))) {
+    messages.push(validationMessage('ip_override', CODES.VALUE_INVALID, 'ip_override must be an IPv4 or IPv6 address'));
+  }
+  if (request.device !== undefined && !isPlainObject(request.device)) {
+    messages.push(validationMessage('device', CODES.VALUE_INVALID, 'device must be an object'));
+  }
+  if (request.user_properties !== undefined) {
+    messages.push(...checkUserProperties(request.user_properties));
+  }
+
+  if (!Array.isArray(request.events) || request.events.length === 0) {
+    messages.push(validationMessage('events', CODES.VALUE_REQUIRED, 'At least one event is required'));
+  } else if (request.events.length > MEASUREMENT_PROTOCOL.MAX_EVENTS) {
+    messages.push(validationMessage(
+      'events',
+      CODES.EXCEEDED_MAX_ENTITIES,
+      `No more than ${MEASUREMENT_PROTOCOL.MAX_EVENTS} events are allowed per request`
+    ));
+  } else {
+    request.events.forEach((event, index) => messages.push(...checkEvent(event, index)));
+  }
+
+  return messages;
+};
+
+const compact = (object) => {
+  const entries = Object.entries(object)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [name, String(value)]);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+};
+
+/**
+ * The /collect payloads a checked Measurement Protocol request maps onto,
+ * one per event. page_location, page_referrer and session_id become event
+ * fields; other params and the user properties (as user_<name>) become
+ * properties, with items stored as a JSON string. Hits are not located or
+ * fingerprinted by the server sending them, as GA does not either: only
+ * ip_override sets the IP, and the device comes from the device object.
+ */
+const toCollectPayloads = (application, request) => {
+  const device = request.device || {};
+  const timestamp = request.timestamp_micros ?
+    new Date(Math.floor(Number(request.timestamp_micros) / 1000)).toISOString() :
+    undefined;
+
+  const userProperties = {};
+  Object.entries(request.user_properties || {}).forEach(([name, property]) => {
+    userProperties[`user_${name}`] = property.value;
+  });
+
+  return request.events.map(({ name, params = {} }) => {
+    const { page_location: pageLocation, page_referrer: pageReferrer, session_id: sessionId, ...rest } = params;
+    const properties = { ...userProperties };
+    Object.entries(rest).forEach(([param, value]) => {
+      properties[param] = Array.isArray(value) ? JSON.stringify(value) : value;
+    });
+
+    return {
+      event: name,
+      url: pageLocation || application.domain,
+      referrer: pageReferrer || undefined,
+      userId: toId(request.user_id),
+      anonymousId: toId(request.client_id) || toId(request.app_instance_id),
+      sessionId: toId(sessionId),
+      ipAddress: request.ip_override || null,
+      userAgent: null,
+      device: DEVICE_CATEGORIES[String(device.category).toLowerCase()],
+      // Firebase apps send app_instance_id instead of client_id
+      mobile: request.app_instance_id ? compact({
+        osName: device.operating_system,
+        osVersion: device.operating_system_version,
+        manufacturer: device.brand,
+        model: device.model
+      }) : undefined,
+      metadata: {
+        browser: device.browser,
+        os: device.operating_system,
+        screenSize: device.screen_resolution
+      },
+      properties: Object.keys(properties).length > 0 ? properties : undefined,
+      timestamp
+    };
+  });
+};
+
+/**
+ * Check a Measurement Protocol request and validate the payloads it maps
+ * onto like /collect requests. Returns the payloads and every problem as GA
+ * validation messages; payloads is empty when the request could not be
+ * mapped at all.
+ */
+const validateMeasurementProtocolRequest = async (application, request) => {
+  const messages = checkMeasurementProtocolRequest(request);
+  if (messages.length > 0) {
+    return { payloads: [], validationMessages: messages };
+  }
+
+  const payloads = toCollectPayloads(application, request);
+  const seen = new Set();
+  for (const [index, payload] of payloads.entries()) {
+    const errors = await validateEventPayload(payload);
+    errors.forEach(({ field, message }) => {
+      const [topField] = field.split('.');
+      const fieldPath = REQUEST_FIELD_PATHS[topField] ||
+        `events[${index}]${EVENT_FIELD_PATHS[topField] ? `.${EVENT_FIELD_PATHS[topField]}` : ''}`;
+      // Request-level fields fail the same way for every event
+      if (!seen.has(`${fieldPath}:${message}`)) {
+        seen.add(`${fieldPath}:${message}`);
+        messages.push(validationMessage(fieldPath, CODES.VALUE_INVALID, message));
+      }
+    });
+  }
+
+  return { payloads, validationMessages: messages };
+};
+
+/**
+ * Keep a rejected request in the dead-letter store: the mapped payloads when
+ * it could be mapped, so it can be replayed, or else the request as sent
+ */
+const deadLetterRequest = (req, payloads, validationMessages) => recordDeadLetters(req, [{
+  reason: DEAD_LETTER_REASONS.VALIDATION,
+  body: payloads.length > 0 ? { events: payloads } : req.body,
+  details: validationMessages.map(({ fieldPath, description }) => ({ field: fieldPath, message: description }))
+}]);
+
+module.exports = {
+  checkMeasurementProtocolRequest,
+  toCollectPayloads,
+  validateMeasurementProtocolRequest,
+  deadLetterRequest
+};
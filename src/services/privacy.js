@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const { truncateIp } = require('../utils/ip');
+const { IP_PRIVACY_MODES } = require('../utils/constants');
+
+// Salts live two days so yesterday's events can still be joined while the
+// day rolls over; after that the hashes can no longer be linked to an IP
+const SALT_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+let currentSalt = { day: null, value: null };
+
+/**
+ * Shared salt for the current UTC day, created by the first instance to ask
+ */
+const getDailySalt = async () => {
+  const day = new Date().toISOString().split('T')[0];
+  if (currentSalt.day === day) {
+    return currentSalt.value;
+  }
+
+  const redisClient = getRedisClient();
+  const key = `privacy:ip-salt:${day}`;
+  await redisClient.set(key, crypto.randomBytes(32).toString('hex'), {
+    NX: true,
+    EX: SALT_TTL_SECONDS
+  });
+  const value = await redisClient.get(key);
+
+  currentSalt = { day, value };
+  return value;
+};
+
+const hashIp = (ipAddress, appId, salt) => crypto
+  .createHmac('sha256', salt)
+  .update(`${appId}:${ipAddress}`)
+  .digest('hex')
+  .substring(0, 32);
+
+/**
+ * A function applying the application's IP privacy mode to one IP address,
+ * returning undefined when the mode drops IPs
+ */
+const createIpAnonymizer = async (application) => {
+  const mode = application.privacy?.ipMode || IP_PRIVACY_MODES.FULL;
+  const salt = mode === IP_PRIVACY_MODES.HASH ? await getDailySalt() : null;
+
+  return (ipAddress) => {
+    switch (mode) {
+      case IP_PRIVACY_MODES.TRUNCATE:
+        return truncateIp(ipAddress);
+      case IP_PRIVACY_MODES.HASH:
+        return hashIp(ipAddress, application._id, salt);
+      case IP_PRIVACY_MODES.DROP:
+        return undefined;
+      default:
+        return ipAddress;
+    }
+  };
+};
+
+/**
+ * Apply the application's IP privacy mode to built events. Runs after geo
+ * lookup, bot detection and sessionization, before events are queued or stored.
+ */
+const applyIpPrivacy = async (application, events) => {
+  const mode = application.privacy?.ipMode || IP_PRIVACY_MODES.FULL;
+
+  if (mode === IP_PRIVACY_MODES.FULL) {
+    return events;
+  }
+
+  const anonymize = await createIpAnonymizer(application);
+
+  events.forEach(event => {
+    if (!event.ipAddress) {
+      return;
+    }
+
+    const ipAddress = anonymize(event.ipAddress);
+    if (ipAddress === undefined) {
+      delete event.ipAddress;
+    } else {
+      event.ipAddress = ipAddress;
+    }
+  });
+
+  return events;
+};
+
+// Where payloads kept as sent carry a client-supplied IP: ipAddress on
+// collect payloads, ip_override on Measurement Protocol requests
+const PAYLOAD_IP_FIELDS = ['ipAddress', 'ip_override'];
+
+const anonymizeFields = (anonymize, payload) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return payload;
+  }
+
+  const copy = { ...payload };
+  PAYLOAD_IP_FIELDS.forEach(field => {
+    if (typeof copy[field] !== 'string') {
+      return;
+    }
+    const ipAddress = anonymize(copy[field]);
+    if (ipAddress === undefined) {
+      delete copy[field];
+    } else {
+      copy[field] = ipAddress;
+    }
+  });
+  if (Array.isArray(copy.events)) {
+    copy.events = copy.events.map(event => anonymizeFields(anonymize, event));
+  }
+  return copy;
+};
+
+/**
+ * Apply the application's IP privacy mode to the client-supplied IPs in
+ * request bodies before they are kept as sent, by the dead-letter store or
+ * the archive. Bodies are single payloads or batches of them in events.
+ * Returns copies; the originals are untouched.
+ */
+const applyPayloadIpPrivacy = async (application, bodies) => {
+  const mode = application.privacy?.ipMode || IP_PRIVACY_MODES.FULL;
+
+  if (mode === IP_PRIVACY_MODES.FULL) {
+    return bodies;
+  }
+
+  const anonymize = await createIpAnonymizer(application);
+  return bodies.map(body => anonymizeFields(anonymize, body));
+};
+
+module.exports = { applyIpPrivacy, applyPayloadIpPrivacy };
@@ -0,0 +1,287 @@
+const User = require('../models/User');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+const { PLAN_FEATURES, QUOTA } = require('../utils/constants');
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.QUOTA_FLUSH_INTERVAL_MS) || QUOTA.FLUSH_INTERVAL_MS;
+const RETENTION_SECONDS = QUOTA.RETENTION_DAYS * 24 * 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Owners with counted events not yet written to User.usage
+const DIRTY_KEY = 'quota:dirty';
+
+const usageKey = (ownerId, month) => `quota:${ownerId}:${month}`;
+const exceededKey = (ownerId, month) => `quota:${ownerId}:${month}:exceeded-at`;
+const unflushedKey = (ownerId) => `quota:${ownerId}:unflushed`;
+
+const formatMonth = (date) => date.toISOString().substring(0, 7);
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const startOfNextMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+// Owner plans, cached briefly so ingestion does not read the user per
+// request; at most PLAN_CACHE_MAX_OWNERS, dropping the oldest
+const planCache = new Map();
+let flushTimer = null;
+
+/**
+ * Features and limits of a subscription plan, falling back to free
+ */
+const getPlanFeatures = (plan) => PLAN_FEATURES[plan] || PLAN_FEATURES.free;
+
+// Events a plan allows per month, or null when it has no limit
+const getMonthlyLimit = (plan) => {
+  const { monthlyEvents } = getPlanFeatures(plan);
+  return typeof monthlyEvents === 'number' ? monthlyEvents : null;
+};
+
+/**
+ * The subscription plan of an application's owner, cached for
+ * PLAN_CACHE_SECONDS
+ */
+const getOwnerPlan = async (ownerId) => {
+  const cached = planCache.get(ownerId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.plan;
+  }
+
+  // Owners that are not user IDs (e.g. seeded applications) are on free
+  const user = OBJECT_ID_PATTERN.test(ownerId) ?
+    await User.findById(ownerId).select('subscription.plan').lean() :
+    null;
+  const plan = user?.subscription?.plan || 'free';
+  // Maps iterate in insertion order, so the first entry is the oldest
+  planCache.delete(ownerId);
+  if (planCache.size >= QUOTA.PLAN_CACHE_MAX_OWNERS) {
+    planCache.delete(planCache.keys().next().value);
+  }
+  planCache.set(ownerId, { plan, expiresAt: Date.now() + QUOTA.PLAN_CACHE_SECONDS * 1000 });
+
+  return plan;
+};
+
+/**
+ * Where the application's owner stands against their plan's monthly event
+ * limit (calendar month, UTC). Once the limit is reached, plans with grace
+ * days keep accepting events until the grace period ends; blocked is true
+ * when events must be refused. Fails open when Redis or MongoDB is down.
+ */
+const checkQuota = async (application, now = new Date()) => {
+  const ownerId = application.createdBy && String(application.createdBy);
+  const resetsAt = startOfNextMonth(now);
+
+  if (!ownerId) {
+    return { plan: null, used: 0, limit: null, exceeded: false, blocked: false, graceEndsAt: null, resetsAt };
+  }
+
+  try {
+    const plan = await getOwnerPlan(ownerId);
+    const monthlyLimit = getMonthlyLimit(plan);
+    const { quotaGraceDays } = getPlanFeatures(plan);
+    const month = formatMonth(now);
+    const redisClient = getRedisClient();
+    const [used, exceededAt] = await Promise.all([
+      redisClient.get(usageKey(ownerId, month)),
+      redisClient.get(exceededKey(ownerId, month))
+    ]);
+
+    const count = parseInt(used) || 0;
+    const exceeded = monthlyLimit !== null && count >= monthlyLimit;
+    const graceEndsAt = exceeded && quotaGraceDays > 0 ?
+      new Date((parseInt(exceededAt) || now.getTime()) + quotaGraceDays * DAY_MS) :
+      null;
+
+    return {
+      plan,
+      used: count,
+      limit: monthlyLimit,
+      exceeded,
+      blocked: exceeded && (!graceEndsAt || now >= graceEndsAt),
+      graceEndsAt,
+      resetsAt
+    };
+  } catch (error) {
+    logger.warn('Quota check failed, accepting events:', { ownerId, error: error.message });
+    return { plan: null, used: 0, limit: null, exceeded: false, blocked: false, graceEndsAt: null, resetsAt };
+  }
+};
+
+/**
+ * The error ingestion throws when the owner's quota blocks events
+ */
+const quotaExceededError = (quota, now = new Date()) => {
+  const error = new Error(
+    `Monthly event quota of ${quota.limit} events for the ${quota.plan} plan exceeded; ` +
+    `events are accepted again from ${quota.resetsAt.toISOString()}`
+  );
+  error.status = 429;
+  error.code = 'QUOTA_EXCEEDED';
+  error.quota = quota;
+  error.retryAfter = Math.max(1, Math.ceil((quota.resetsAt - now) / 1000));
+  return error;
+};
+
+// Count a batch against the month's usage and take back what goes over the
+// limit (-1 for none) in one step, so concurrent batches cannot each fit
+// into the same remaining allowance. Returns the usage and how many fit.
+const RESERVE_USAGE_SCRIPT = `
+local count = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local used = redis.call('INCRBY', KEYS[1], count)
+local accepted = count
+
+if limit >= 0 and used > limit then
+  accepted = math.max(0, limit - (used - count))
+  used = redis.call('DECRBY', KEYS[1], count - accepted)
+end
+
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+return { used, accepted }
+`;
+
+/**
+ * Count events about to be ingested for the application's owner this month
+ * and return how many of them the quota lets in; the rest must be refused.
+ * Plans with grace days let the whole batch in and note when the owner first
+ * reached their limit so the grace period can start; other plans stop at the
+ * limit. Fails open when Redis is down.
+ */
+const reserveUsage = async (application, count, quota = {}, now = new Date()) => {
+  const ownerId = application.createdBy && String(application.createdBy);
+  if (!ownerId || count <= 0) {
+    return Math.max(count, 0);
+  }
+
+  const hasLimit = quota.limit !== null && quota.limit !== undefined;
+  const stopsAtLimit = hasLimit && !getPlanFeatures(quota.plan).quotaGraceDays;
+
+  try {
+    const redisClient = getRedisClient();
+    const month = formatMonth(now);
+    const [used, accepted] = await redisClient.eval(RESERVE_USAGE_SCRIPT, {
+      keys: [usageKey(ownerId, month)],
+      arguments: [String(count), String(stopsAtLimit ? quota.limit : -1), String(RETENTION_SECONDS)]
+    });
+
+    if (accepted > 0) {
+      await redisClient.multi()
+        .incrBy(unflushedKey(ownerId), accepted)
+        .sAdd(DIRTY_KEY, ownerId)
+        .exec();
+    }
+    if (hasLimit && used >= quota.limit) {
+      await redisClient.set(exceededKey(ownerId, month), String(now.getTime()), {
+        NX: true,
+        EX: RETENTION_SECONDS
+      });
+    }
+
+    return accepted;
+  } catch (error) {
+    logger.warn('Failed to reserve quota usage, accepting events:', { ownerId, error: error.message });
+    return count;
+  }
+};
+
+/**
+ * Give back usage reserved for events that were not ingested after all
+ */
+const releaseUsage = async (application, count, now = new Date()) => {
+  const ownerId = application.createdBy && String(application.createdBy);
+  if (!ownerId || count <= 0) {
+    return;
+  }
+
+  try {
+    await getRedisClient().multi()
+      .decrBy(usageKey(ownerId, formatMonth(now)), count)
+      .decrBy(unflushedKey(ownerId), count)
+      .sAdd(DIRTY_KEY, ownerId)
+      .exec();
+  } catch (error) {
+    logger.warn('Failed to release quota usage:', { ownerId, error: error.message });
+  }
+};
+
+/**
+ * Write counted usage back to User.usage for a batch of owners. Counts that
+ * cannot be written are put back for the next run.
+ */
+const flushUsage = async (now = new Date()) => {
+  const redisClient = getRedisClient();
+  const owners = await redisClient.sPop(DIRTY_KEY, QUOTA.FLUSH_BATCH_SIZE);
+  const month = formatMonth(now);
+  let flushed = 0;
+
+  for (const ownerId of owners) {
+    const delta = parseInt(await redisClient.getDel(unflushedKey(ownerId))) || 0;
+    if (!OBJECT_ID_PATTERN.test(ownerId)) {
+      continue;
+    }
+
+    try {
+      const monthlyEvents = parseInt(await redisClient.get(usageKey(ownerId, month))) || 0;
+      const plan = await getOwnerPlan(ownerId);
+      const monthlyLimit = getMonthlyLimit(plan);
+
+      await User.updateOne({ _id: ownerId }, {
+        $set: {
+          'usage.monthlyEvents': monthlyEvents,
+          'usage.lastReset': startOfMonth(now),
+          ...(monthlyLimit !== null && { 'usage.monthlyLimit': monthlyLimit })
+        },
+        $inc: { 'usage.totalEvents': delta }
+      });
+      flushed++;
+    } catch (error) {
+      logger.warn('Failed to flush quota usage, retrying next run:', { ownerId, error: error.message });
+      await redisClient.multi()
+        .incrBy(unflushedKey(ownerId), delta)
+        .sAdd(DIRTY_KEY, ownerId)
+        .exec();
+    }
+  }
+
+  return flushed;
+};
+
+/**
+ * Flush usage to MongoDB every QUOTA_FLUSH_INTERVAL_MS
+ */
+const startUsageFlusher = () => {
+  if (flushTimer) {
+    return;
+  }
+
+  flushTimer = setInterval(() => {
+    flushUsage().catch(error => logger.error('Quota usage flush failed:', error));
+  }, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+
+  logger.info('✅ Quota usage flusher started', { intervalMs: FLUSH_INTERVAL_MS });
+};
+
+/**
+ * Stop flushing, writing out what has been counted so far
+ */
+const stopUsageFlusher = async () => {
+  if (!flushTimer) {
+    return;
+  }
+
+  clearInterval(flushTimer);
+  flushTimer = null;
+  await flushUsage();
+};
+
+module.exports = {
+  getPlanFeatures,
+  getOwnerPlan,
+  checkQuota,
+  quotaExceededError,
+  reserveUsage,
+  releaseUsage,
+  flushUsage,
+  startUsageFlusher,
+  stopUsageFlusher
+};
@@ -0,0 +1,114 @@
+const DeadLetter = require('../models/DeadLetter');
+const { ingestEvents } = require('./ingestion');
+const { toDeadLetter, recordDeadLetters, buildFilter } = require('./deadLetter');
+const { validateEventPayload } = require('../middleware/validation');
+const logger = require('../utils/logger');
+const { DEAD_LETTER, DEAD_LETTER_REASONS } = require('../utils/constants');
+
+const REPLAY_LIMIT = parseInt(process.env.DEAD_LETTER_REPLAY_LIMIT) || DEAD_LETTER.REPLAY_LIMIT;
+
+/**
+ * A stand-in for the request a dead letter or archived payload came from,
+ * with its headers, IP and original receive time
+ */
+const buildReplayRequest = (application, letter) => {
+  const [method, path] = letter.endpoint ? letter.endpoint.split(' ') : [];
+  const headers = letter.headers || {};
+
+  return {
+    application,
+    method,
+    path,
+    headers,
+    ip: letter.ipAddress,
+    body: letter.body,
+    receivedAt: letter.receivedAt,
+    get: (name) => headers[name.toLowerCase()]
+  };
+};
+
+/**
+ * Run a dead letter's payloads through ingestion again. A batch is split:
+ * valid events are ingested and invalid ones become dead letters of their own.
+ * A letter whose events fail validation as a whole stays in place, with the
+ * errors it fails with now; one that cannot be ingested for any other reason
+ * is left untouched.
+ */
+const replayLetter = async (application, letter) => {
+  const req = buildReplayRequest(application, letter);
+  const payloads = Array.isArray(letter.body?.events) ? letter.body.events : [letter.body];
+
+  const valid = [];
+  const invalid = [];
+  for (const payload of payloads) {
+    const errors = await validateEventPayload(payload);
+    if (errors.length > 0) {
+      invalid.push(toDeadLetter(req, payload, DEAD_LETTER_REASONS.VALIDATION, errors));
+    } else {
+      valid.push(payload);
+    }
+  }
+
+  let results = [];
+  try {
+    if (valid.length > 0) {
+      results = await ingestEvents(req, valid, { deadLetterInvalid: false });
+    }
+  } catch (error) {
+    if (error.name !== 'ValidationError') {
+      throw error;
+    }
+    await DeadLetter.updateOne({ _id: letter._id }, {
+      $set: {
+        reason: DEAD_LETTER_REASONS.VALIDATION,
+        details: Object.values(error.errors).map(({ path, message }) => ({ field: path, message }))
+      }
+    });
+    return { queued: 0, duplicates: 0, rejected: payloads.length, dropped: 0 };
+  }
+
+  await recordDeadLetters(req, invalid);
+  await DeadLetter.deleteOne({ _id: letter._id });
+
+  const countByStatus = (status) => results.filter(result => result.status === status).length;
+  return {
+    queued: countByStatus('queued'),
+    duplicates: countByStatus('duplicate'),
+    rejected: countByStatus('rejected') + invalid.length,
+    dropped: countByStatus('dropped')
+  };
+};
+
+/**
+ * Replay an application's dead letters, oldest first, optionally only the
+ * given IDs or those with a reason. Payloads rejected again are dead-lettered
+ * anew under the current settings and tracking plan.
+ */
+const replayDeadLetters = async (application, { ids, reason } = {}) => {
+  const letters = await DeadLetter.find(buildFilter(application, { ids, reason }))
+    .sort({ receivedAt: 1 })
+    .limit(REPLAY_LIMIT)
+    .lean();
+
+  const summary = { replayed: 0, queued: 0, duplicates: 0, rejected: 0, dropped: 0 };
+  for (const letter of letters) {
+    const outcome = await replayLetter(application, letter);
+    summary.replayed++;
+    Object.entries(outcome).forEach(([field, value]) => {
+      summary[field] += value;
+    });
+  }
+  summary.hasMore = letters.length === REPLAY_LIMIT;
+
+  logger.info('Dead letters replayed', {
+    appId: application._id,
+    ...summary
+  });
+
+  return summary;
+};
+
+module.exports = {
+  buildReplayRequest,
+  replayDeadLetters
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+/**
+ * Share of users whose events of this type are kept, from the application's
+ * per-event rules or its default rate
+ */
+const getSampleRate = (application, eventName) => {
+  const sampling = application.sampling;
+  const rule = sampling?.events?.find(item => item.event === eventName);
+  return rule ? rule.rate : (sampling?.defaultRate ?? 1);
+};
+
+// Where a user falls in [0, 1). It is the same for every event they send,
+// so a user kept at 10% is kept for every event sampled at 10% or more.
+const samplePoint = (appId, key) => {
+  const digest = crypto.createHash('sha256').update(`${appId}:${key}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+};
+
+/**
+ * Set the event's sampleRate and decide whether it is sampled out. Events are
+ * sampled by visitor (anonymousId, then userId, then sessionId) so users and
+ * their sessions are kept or dropped whole; events with none are sampled alone.
+ */
+const isSampledOut = (application, event) => {
+  const rate = getSampleRate(application, event.event);
+  event.sampleRate = rate;
+
+  if (rate >= 1) {
+    return false;
+  }
+
+  const key = event.anonymousId || event.userId || event.sessionId || String(event._id);
+  return samplePoint(application._id, key) >= rate;
+};
+
+module.exports = { getSampleRate, isSampledOut };
@@ -0,0 +1,204 @@
+const { ingestEvents } = require('./ingestion');
+const { identify, alias } = require('./identity');
+const { recordDeadLetters } = require('./deadLetter');
+const { validateEventPayload } = require('../middleware/validation');
+const { DEAD_LETTER_REASONS, SEGMENT, SEGMENT_MESSAGE_TYPES } = require('../utils/constants');
+
+const TYPES = Object.values(SEGMENT_MESSAGE_TYPES);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toId = (value) => (value === undefined || value === null || value === '' ? undefined : String(value));
+
+/**
+ * Why a Segment message of the given type is malformed, or null. Segment
+ * needs a userId or anonymousId on every call but alias, which needs both
+ * IDs it merges.
+ */
+const checkSegmentMessage = (message, type = message?.type) => {
+  if (!isPlainObject(message)) {
+    return 'Message must be an object';
+  }
+  if (!TYPES.includes(type)) {
+    return `Message type must be one of ${TYPES.join(', ')}`;
+  }
+  if (type === SEGMENT_MESSAGE_TYPES.ALIAS) {
+    return toId(message.previousId) && toId(message.userId) ? null : 'Alias calls need previousId and userId';
+  }
+  if (!toId(message.userId) && !toId(message.anonymousId)) {
+    return 'userId or anonymousId is required';
+  }
+  if (type === SEGMENT_MESSAGE_TYPES.TRACK && (typeof message.event !== 'string' || !message.event.trim())) {
+    return 'Track calls need an event name';
+  }
+  if (type === SEGMENT_MESSAGE_TYPES.GROUP && !toId(message.groupId)) {
+    return 'Group calls need a groupId';
+  }
+  const invalidField = ['properties', 'traits', 'context']
+    .find(field => message[field] !== undefined && !isPlainObject(message[field]));
+  return invalidField ? `${invalidField} must be an object` : null;
+};
+
+// Segment properties and traits may nest; ours are flat, so nested objects
+// become parent_child names and arrays JSON strings. Nulls are left out.
+const flattenProperties = (object, prefix = '', flat = {}) => {
+  Object.entries(object || {}).forEach(([name, value]) => {
+    const key = `${prefix}${name.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    if (value === null || value === undefined) {
+      return;
+    }
+    if (Array.isArray(value)) {
+      flat[key] = JSON.stringify(value);
+    } else if (typeof value === 'object') {
+      flattenProperties(value, `${key}_`, flat);
+    } else {
+      flat[key] = value;
+    }
+  });
+  return flat;
+};
+
+const compact = (object) => {
+  const entries = Object.entries(object)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [name, String(value)]);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+};
+
+const messageProperties = (message, context) => {
+  switch (message.type) {
+    case SEGMENT_MESSAGE_TYPES.IDENTIFY:
+      return message.traits || context.traits;
+    case SEGMENT_MESSAGE_TYPES.GROUP:
+      return { ...message.traits, groupId: message.groupId };
+    case SEGMENT_MESSAGE_TYPES.PAGE:
+    case SEGMENT_MESSAGE_TYPES.SCREEN:
+      return { name: message.name, category: message.category, ...message.properties };
+    default:
+      return message.properties;
+  }
+};
+
+/**
+ * The /collect payload a Segment message maps onto, or null for alias calls,
+ * which only change identities. Batch-level context and sentAt apply to
+ * messages that do not carry their own. Calls without a page URL (server and
+ * mobile SDKs) are recorded against the application's domain.
+ */
+const toCollectPayload = (application, message, batch = {}) => {
+  if (message.type === SEGMENT_MESSAGE_TYPES.ALIAS) {
+    return null;
+  }
+
+  const context = { ...batch.context, ...message.context };
+  const page = context.page || {};
+  const { app, os, device, network, screen } = context;
+  const properties = flattenProperties(messageProperties(message, context));
+
+  return {
+    messageId: toId(message.messageId),
+    event: message.type === SEGMENT_MESSAGE_TYPES.TRACK ? message.event : SEGMENT.EVENT_NAMES[message.type],
+    url: page.url || message.properties?.url || application.domain,
+    referrer: page.referrer || message.properties?.referrer,
+    userId: toId(message.userId),
+    anonymousId: toId(message.anonymousId),
+    // Segment relays from its own servers, whose IP and user agent must not
+    // stand in for the visitor's
+    ipAddress: context.ip || null,
+    userAgent: context.userAgent || null,
+    // Only native SDKs send context.app
+    mobile: app && compact({
+      appVersion: app.version,
+      appBuild: app.build,
+      osName: os?.name,
+      osVersion: os?.version,
+      manufacturer: device?.manufacturer,
+      model: device?.model,
+      carrier: network?.carrier
+    }),
+    metadata: {
+      screenSize: screen?.width && screen?.height ? `${screen.width}x${screen.height}` : undefined,
+      timezone: context.timezone
+    },
+    properties: Object.keys(properties).length > 0 ? properties : undefined,
+    timestamp: message.timestamp || message.originalTimestamp,
+    sentAt: message.sentAt || batch.sentAt
+  };
+};
+
+/**
+ * Validate mapped payloads like /collect requests. Invalid ones are kept in
+ * the dead-letter store as mapped, so they can be replayed, and their errors
+ * returned as { field, message }; fields of batch messages are prefixed with
+ * their position.
+ */
+const validateSegmentPayloads = async (req, payloads, { batch = false } = {}) => {
+  const errors = [];
+
+  for (const [index, payload] of payloads.entries()) {
+    if (!payload) {
+      continue;
+    }
+    const payloadErrors = await validateEventPayload(payload);
+    errors.push(...payloadErrors.map(({ field, message }) => ({
+      field: batch ? `batch[${index}].${field}` : field,
+      message
+    })));
+  }
+
+  if (errors.length > 0) {
+    const events = payloads.filter(Boolean);
+    await recordDeadLetters(req, [{
+      reason: DEAD_LETTER_REASONS.VALIDATION,
+      body: batch ? { events } : events[0],
+      details: errors
+    }]);
+  }
+
+  return errors;
+};
+
+/**
+ * Ingest Segment messages through the same pipeline as /collect, then apply
+ * their identity changes: identify links the anonymous ID to the user and
+ * alias merges the previous ID into the user. Returns one result per message,
+ * the ingestion result for calls that record an event.
+ */
+const ingestSegmentMessages = async (req, messages, payloads) => {
+  const application = req.application;
+  const eventIndexes = payloads.map((payload, index) => (payload ? index : null)).filter(index => index !== null);
+  const ingested = eventIndexes.length > 0 ?
+    await ingestEvents(req, eventIndexes.map(index => payloads[index])) :
+    [];
+
+  const results = new Array(messages.length);
+  eventIndexes.forEach((index, position) => {
+    results[index] = ingested[position];
+  });
+
+  for (const [index, message] of messages.entries()) {
+    if (message.type === SEGMENT_MESSAGE_TYPES.IDENTIFY && toId(message.userId) && toId(message.anonymousId)) {
+      results[index].identity = await identify(application, {
+        userId: toId(message.userId),
+        anonymousId: toId(message.anonymousId)
+      });
+    } else if (message.type === SEGMENT_MESSAGE_TYPES.ALIAS) {
+      results[index] = {
+        status: 'aliased',
+        ...await alias(application, {
+          previousId: toId(message.previousId),
+          userId: toId(message.userId)
+        })
+      };
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  checkSegmentMessage,
+  toCollectPayload,
+  validateSegmentPayloads,
+  ingestSegmentMessages
+};
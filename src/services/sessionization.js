@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const { SESSION } = require('../utils/constants');
+
+const DEFAULT_TIMEOUT_MINUTES = parseInt(process.env.SESSION_TIMEOUT_MINUTES) || SESSION.TIMEOUT_MINUTES;
+
+// Reuse the visitor's session while events arrive within the timeout of the
+// last one seen, otherwise start the candidate session. State is stored as
+// "<sessionId>|<lastSeenMs>" and expires after the inactivity timeout.
+const ASSIGN_SESSION_SCRIPT = `
+local timestamp = tonumber(ARGV[1])
+local timeout = tonumber(ARGV[2])
+local sessionId = ARGV[3]
+local lastSeen = timestamp
+
+local state = redis.call('GET', KEYS[1])
+if state then
+  local separator = string.find(state, '|', 1, true)
+  local previousId = string.sub(state, 1, separator - 1)
+  local previousSeen = tonumber(string.sub(state, separator + 1))
+  if math.abs(timestamp - previousSeen) <= timeout then
+    sessionId = previousId
+    lastSeen = math.max(timestamp, previousSeen)
+  end
+end
+
+redis.call('SET', KEYS[1], sessionId .. '|' .. lastSeen, 'PX', timeout)
+return sessionId
+`;
+
+const getSessionTimeoutMs = (application) =>
+  (application.ingestion?.sessionTimeoutMinutes || DEFAULT_TIMEOUT_MINUTES) * 60 * 1000;
+
+/**
+ * Identify the visitor by userId or anonymousId, or by a device fingerprint
+ */
+const visitorKey = (event) => {
+  if (event.userId) {
+    return `user:${event.userId}`;
+  }
+  if (event.anonymousId) {
+    return `anonymous:${event.anonymousId}`;
+  }
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update([event.ipAddress, event.userAgent, event.metadata?.language].join('|'))
+    .digest('hex')
+    .substring(0, 32);
+  return `device:${fingerprint}`;
+};
+
+/**
+ * Assign a server-side sessionId to events that arrive without one
+ */
+const assignSessions = async (application, events) => {
+  const redisClient = getRedisClient();
+  const timeoutMs = getSessionTimeoutMs(application);
+
+  // Commands are pipelined in order, so events from one visitor are sessionized sequentially
+  await Promise.all(events
+    .filter(event => !event.sessionId)
+    .map(async (event) => {
+      event.sessionId = await redisClient.eval(ASSIGN_SESSION_SCRIPT, {
+        keys: [`session:${application._id}:${visitorKey(event)}`],
+        arguments: [
+          String(new Date(event.timestamp).getTime()),
+          String(timeoutMs),
+          crypto.randomUUID()
+        ]
+      });
+    }));
+
+  return events;
+};
+
+module.exports = { assignSessions };
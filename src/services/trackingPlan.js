@@ -0,0 +1,141 @@
+const Ajv = require('ajv');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+const { TRACKING_PLAN_MODES } = require('../utils/constants');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Compiled validators per application, invalidated when the plan changes
+const compiledPlans = new Map();
+
+const violationsKey = (appId) => `tracking-plan:${appId}:violations`;
+const lastViolationKey = (appId) => `tracking-plan:${appId}:last-violation`;
+
+/**
+ * Check that every schema in a tracking plan compiles
+ */
+const validatePlanSchemas = (events) => {
+  const errors = [];
+  events.forEach(({ name, schema }, index) => {
+    try {
+      ajv.compile(schema || {});
+    } catch (error) {
+      errors.push({
+        field: `events[${index}].schema`,
+        message: `Invalid JSON Schema for ${name}: ${error.message}`
+      });
+    }
+  });
+  return errors;
+};
+
+const getCompiledPlan = (application) => {
+  const plan = application.trackingPlan;
+  const cacheKey = String(application._id);
+  const version = plan.updatedAt ? new Date(plan.updatedAt).getTime() : 0;
+
+  const cached = compiledPlans.get(cacheKey);
+  if (cached && cached.version === version) {
+    return cached.validators;
+  }
+
+  const validators = new Map();
+  plan.events.forEach(({ name, schema }) => {
+    validators.set(name, ajv.compile(schema || {}));
+  });
+  compiledPlans.set(cacheKey, { version, validators });
+
+  return validators;
+};
+
+/**
+ * Validate a collected payload against the application's tracking plan.
+ * Returns the list of violations; empty when the plan is off or satisfied.
+ */
+const checkTrackingPlan = (application, payload) => {
+  if (!application.trackingPlan || application.trackingPlan.mode === TRACKING_PLAN_MODES.OFF) {
+    return [];
+  }
+
+  const validate = getCompiledPlan(application).get(payload.event);
+  if (!validate) {
+    return [{
+      field: 'event',
+      message: `Event "${payload.event}" is not declared in the tracking plan`
+    }];
+  }
+
+  if (validate(payload.properties || {})) {
+    return [];
+  }
+
+  return validate.errors.map(error => ({
+    field: `properties${error.instancePath.replace(/\//g, '.')}`,
+    message: error.message
+  }));
+};
+
+/**
+ * Whether events with violations should be dropped
+ */
+const isRejecting = (application) =>
+  application.trackingPlan?.mode === TRACKING_PLAN_MODES.REJECT;
+
+/**
+ * Count a violation against its event name so instrumentation can be fixed
+ */
+const recordViolation = async (application, eventName, violations) => {
+  try {
+    const redisClient = getRedisClient();
+    await redisClient
+      .multi()
+      .hIncrBy(violationsKey(application._id), eventName, 1)
+      .hSet(lastViolationKey(application._id), eventName, JSON.stringify({
+        violations,
+        at: new Date().toISOString()
+      }))
+      .exec();
+  } catch (error) {
+    logger.warn('Failed to record tracking plan violation:', error);
+  }
+};
+
+/**
+ * Violation counts per event name, most frequent first
+ */
+const getViolationCounts = async (application) => {
+  const redisClient = getRedisClient();
+  const [counts, lastViolations] = await Promise.all([
+    redisClient.hGetAll(violationsKey(application._id)),
+    redisClient.hGetAll(lastViolationKey(application._id))
+  ]);
+
+  return Object.entries(counts)
+    .map(([event, count]) => {
+      const last = lastViolations[event] ? JSON.parse(lastViolations[event]) : null;
+      return {
+        event,
+        count: parseInt(count),
+        lastViolations: last?.violations || [],
+        lastSeen: last?.at || null
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Reset violation counts, e.g. after an instrumentation fix ships
+ */
+const resetViolationCounts = async (application) => {
+  const redisClient = getRedisClient();
+  await redisClient.del([violationsKey(application._id), lastViolationKey(application._id)]);
+};
+
+module.exports = {
+  validatePlanSchemas,
+  checkTrackingPlan,
+  isRejecting,
+  recordViolation,
+  getViolationCounts,
+  resetViolationCounts
+};
@@ -0,0 +1,278 @@
+const isSafeRegex = require('safe-regex2');
+const Event = require('../models/Event');
+const logger = require('../utils/logger');
+const { PROPERTY_NAME_PATTERN } = require('../utils/properties');
+const { TRANSFORMATION_TYPES, TRANSFORMATIONS } = require('../utils/constants');
+
+const MAX_DERIVED_LENGTH = 1024;
+
+// Compiled rules per application, invalidated when the rules change
+const compiledRules = new Map();
+
+const compileRule = ({ name, type, match, to, properties, pattern }) => ({
+  name,
+  type,
+  match: { event: match?.event, properties: match?.properties },
+  urlPattern: match?.urlPattern ? new RegExp(match.urlPattern) : null,
+  to,
+  properties,
+  pattern: pattern ? new RegExp(pattern) : null
+});
+
+// Patterns run against every ingested URL on the one event loop, so those
+// that can backtrack exponentially, like the nested quantifiers of (a+)+,
+// are refused
+const isSafePattern = (pattern) => !pattern || isSafeRegex(pattern);
+
+const hasSafePatterns = (rule) => {
+  const safe = isSafePattern(rule.match?.urlPattern) && isSafePattern(rule.pattern);
+  if (!safe) {
+    logger.warn('Skipping transformation rule with an unsafe pattern', { rule: rule.name });
+  }
+  return safe;
+};
+
+const compileRules = (rules) => rules
+  .filter(rule => rule.enabled !== false && hasSafePatterns(rule))
+  .map(compileRule);
+
+const tryCompile = (pattern) => {
+  if (!isSafePattern(pattern)) {
+    return new Error('Pattern could take exponential time to match; avoid nested quantifiers such as (a+)+');
+  }
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    return error;
+  }
+};
+
+/**
+ * Check that every rule has what its type needs and that its patterns compile
+ * and are safe to run. Returns errors as { field, message }.
+ */
+const validateRules = (rules) => {
+  const errors = [];
+  const addError = (index, field, message) => errors.push({ field: `rules[${index}].${field}`, message });
+
+  rules.forEach((rule, index) => {
+    const { type, match = {}, to, properties, pattern } = rule;
+
+    const urlPattern = match.urlPattern ? tryCompile(match.urlPattern) : null;
+    if (urlPattern instanceof Error) {
+      addError(index, 'match.urlPattern', urlPattern.message);
+    }
+
+    switch (type) {
+      case TRANSFORMATION_TYPES.RENAME:
+        if (!to) {
+          addError(index, 'to', 'Rename rules need the new event name in "to"');
+        }
+        if (!match.event) {
+          addError(index, 'match.event', 'Rename rules need the event name to rename');
+        }
+        break;
+      case TRANSFORMATION_TYPES.DROP:
+        if (!match.event && !match.urlPattern && !match.properties) {
+          addError(index, 'match', 'Drop rules need a match, or they would drop every event');
+        }
+        break;
+      case TRANSFORMATION_TYPES.MASK:
+      case TRANSFORMATION_TYPES.DELETE:
+        if (!Array.isArray(properties) || properties.length === 0) {
+          addError(index, 'properties', `${type} rules need the property names to ${type}`);
+        }
+        break;
+      case TRANSFORMATION_TYPES.DERIVE: {
+        const compiled = pattern ? tryCompile(pattern) : null;
+        if (!compiled) {
+          addError(index, 'pattern', 'Derive rules need a URL path pattern with named groups');
+        } else if (compiled instanceof Error) {
+          addError(index, 'pattern', compiled.message);
+        } else {
+          // Named groups are the only way to name the derived properties
+          const names = [...pattern.matchAll(/\(\?<([^>=!][^>]*)>/g)].map(([, name]) => name);
+          if (names.length === 0) {
+            addError(index, 'pattern', 'Derive patterns need named groups, e.g. ^/products/(?<productId>[^/]+)');
+          }
+          names.filter(name => !PROPERTY_NAME_PATTERN.test(name)).forEach(name => {
+            addError(index, 'pattern', `Group "${name}" is not a valid property name`);
+          });
+        }
+        break;
+      }
+    }
+  });
+
+  return errors;
+};
+
+const getCompiledRules = (application) => {
+  const transformations = application.transformations;
+  if (!transformations?.rules?.length) {
+    return [];
+  }
+
+  const cacheKey = String(application._id);
+  const version = transformations.updatedAt ? new Date(transformations.updatedAt).getTime() : 0;
+
+  const cached = compiledRules.get(cacheKey);
+  if (cached && cached.version === version) {
+    return cached.rules;
+  }
+
+  const rules = compileRules(transformations.rules);
+  compiledRules.set(cacheKey, { version, rules });
+
+  return rules;
+};
+
+const pathOf = (url) => {
+  try {
+    return new URL(url).pathname;
+  } catch (error) {
+    return '';
+  }
+};
+
+const decodeSegment = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const matchesRule = (rule, payload) => {
+  const { match } = rule;
+
+  if (match.event && match.event !== payload.event) {
+    return false;
+  }
+  if (rule.urlPattern && !rule.urlPattern.test(pathOf(payload.url))) {
+    return false;
+  }
+  return Object.entries(match.properties || {})
+    .every(([name, value]) => payload.properties?.[name] === value);
+};
+
+// Apply a matching rule to the payload; returns whether anything changed
+const applyRule = (rule, payload) => {
+  switch (rule.type) {
+    case TRANSFORMATION_TYPES.RENAME: {
+      const changed = payload.event !== rule.to;
+      payload.event = rule.to;
+      return changed;
+    }
+    case TRANSFORMATION_TYPES.MASK:
+    case TRANSFORMATION_TYPES.DELETE: {
+      const present = rule.properties.filter(name => payload.properties?.[name] !== undefined);
+      present.forEach(name => {
+        if (rule.type === TRANSFORMATION_TYPES.MASK) {
+          payload.properties[name] = TRANSFORMATIONS.MASK_VALUE;
+        } else {
+          delete payload.properties[name];
+        }
+      });
+      return present.length > 0;
+    }
+    case TRANSFORMATION_TYPES.DERIVE: {
+      const groups = rule.pattern.exec(pathOf(payload.url))?.groups || {};
+      // Values the client sent win over derived ones
+      const derived = Object.entries(groups)
+        .filter(([name, value]) => value !== undefined && payload.properties?.[name] === undefined);
+      derived.forEach(([name, value]) => {
+        payload.properties = payload.properties || {};
+        payload.properties[name] = decodeSegment(value).substring(0, MAX_DERIVED_LENGTH);
+      });
+      return derived.length > 0;
+    }
+    default:
+      return false;
+  }
+};
+
+// Run compiled rules in order over a copy of the payload; a drop rule ends
+// the run. applied lists the rules that changed or dropped the payload.
+const runRules = (rules, payload) => {
+  const transformed = {
+    ...payload,
+    properties: payload.properties && { ...payload.properties }
+  };
+  const applied = [];
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, transformed)) {
+      continue;
+    }
+    if (rule.type === TRANSFORMATION_TYPES.DROP) {
+      applied.push(rule.name);
+      return { payload: transformed, applied, dropped: true };
+    }
+    if (applyRule(rule, transformed)) {
+      applied.push(rule.name);
+    }
+  }
+
+  return { payload: applied.length > 0 ? transformed : payload, applied, dropped: false };
+};
+
+/**
+ * Apply the application's transformation rules, in order, to a collected
+ * payload. Each rule sees the result of the ones before it. Returns the
+ * transformed payload (a copy; the original is untouched), the names of the
+ * rules that changed it and whether a drop rule matched.
+ */
+const transformPayload = (application, payload) => runRules(getCompiledRules(application), payload);
+
+/**
+ * Dry-run rules against the application's most recently stored events,
+ * optionally only those of one event name. Nothing is changed; the result
+ * lists the events a rule applied to, before and after.
+ */
+const previewTransformations = async (application, rules, { event, limit = TRANSFORMATIONS.PREVIEW_LIMIT } = {}) => {
+  const compiled = compileRules(rules);
+  const events = await Event.find({
+    appId: application._id,
+    ...(event && { event })
+  })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('event url properties timestamp')
+    .lean();
+
+  const summary = { tested: events.length, matched: 0, changed: 0, dropped: 0 };
+  const results = [];
+
+  events.forEach(stored => {
+    const before = { event: stored.event, url: stored.url, properties: stored.properties || {} };
+    const { payload, applied, dropped } = runRules(compiled, before);
+    if (applied.length === 0) {
+      return;
+    }
+
+    summary.matched++;
+    if (dropped) {
+      summary.dropped++;
+    } else {
+      summary.changed++;
+    }
+
+    results.push({
+      eventId: stored._id,
+      timestamp: stored.timestamp,
+      applied,
+      dropped,
+      before: { event: before.event, properties: before.properties },
+      after: dropped ? null : { event: payload.event, properties: payload.properties || {} }
+    });
+  });
+
+  return { ...summary, events: results };
+};
+
+module.exports = {
+  validateRules,
+  transformPayload,
+  previewTransformations
+};
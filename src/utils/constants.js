@@ -3,10 +3,18 @@ module.exports = {
   API_KEY_LENGTH: 32,
   API_KEY_EXPIRY_DAYS: 365,
 
-  // Rate limiting
+  // Rate limiting, counted in Redis. WINDOW_MS and MAX_REQUESTS limit
+  // requests without an API key per client IP; requests with one are limited
+  // per application by its plan's rateLimits, over these windows
   RATE_LIMIT: {
     WINDOW_MS: 15 * 60 * 1000, // 15 minutes
-    MAX_REQUESTS: 100
+    MAX_REQUESTS: 100,
+    WINDOW_SECONDS: {
+      api: 15 * 60,
+      events: 60,
+      batch: 60,
+      import: 60 * 60
+    }
   },
 
   // Cache TTL in seconds
@@ -16,6 +24,267 @@ module.exports = {
     GENERAL: 600           // 10 minutes
   },
 
+  // Buffered event ingestion (Redis Streams)
+  INGESTION: {
+    STREAM_KEY: 'events:ingest',
+    CONSUMER_GROUP: 'event-writers',
+    BATCH_SIZE: 500,
+    BLOCK_MS: 5000,
+    MAX_BACKLOG: 100000,   // Pending entries before producers get 503
+    MAX_RETRIES: 5,
+    RETRY_BASE_MS: 200,
+    CLAIM_IDLE_MS: 60000,  // Reclaim entries left pending for 1 minute
+    RETRY_AFTER_SECONDS: 5,
+    DEDUPE_WINDOW_SECONDS: 24 * 60 * 60  // Client messageId dedupe window
+  },
+
+  // Client clock handling
+  CLOCK_SKEW: {
+    MAX_FUTURE_MINUTES: 10,  // Later than receivedAt by more than this is "future"
+    MAX_PAST_DAYS: 30,       // Earlier than receivedAt by more than this is "late"
+    TOLERANCE_MS: 1000,      // Offsets below this are network latency, not skew
+    DIAGNOSTICS_RETENTION_DAYS: 30
+  },
+
+  // What happens to events outside the accepted time range
+  TIMESTAMP_POLICIES: {
+    CLAMP: 'clamp',
+    REJECT: 'reject'
+  },
+
+  // Server-side sessionization
+  SESSION: {
+    TIMEOUT_MINUTES: 30
+  },
+
+  // Tracking plan enforcement
+  TRACKING_PLAN_MODES: {
+    OFF: 'off',
+    WARN: 'warn',
+    REJECT: 'reject'
+  },
+
+  // Per-application event transformation rules
+  TRANSFORMATION_TYPES: {
+    RENAME: 'rename',
+    DROP: 'drop',
+    MASK: 'mask',
+    DELETE: 'delete',
+    DERIVE: 'derive'
+  },
+
+  TRANSFORMATIONS: {
+    MAX_RULES: 50,
+    MAX_PATTERN_LENGTH: 200,
+    MASK_VALUE: '[masked]',
+    PREVIEW_LIMIT: 50      // Recent events a dry run is tried against by default
+  },
+
+  // Segment HTTP Tracking API compatibility
+  SEGMENT_MESSAGE_TYPES: {
+    TRACK: 'track',
+    PAGE: 'page',
+    SCREEN: 'screen',
+    IDENTIFY: 'identify',
+    GROUP: 'group',
+    ALIAS: 'alias'
+  },
+
+  SEGMENT: {
+    MAX_BATCH_SIZE: 100,
+    // Event names stored for calls other than track
+    EVENT_NAMES: {
+      page: 'page_view',
+      screen: 'screen_view',
+      identify: 'identify',
+      group: 'group'
+    }
+  },
+
+  // GA4 Measurement Protocol compatibility, with GA's own limits
+  MEASUREMENT_PROTOCOL: {
+    MAX_EVENTS: 25,
+    MAX_PARAMS: 25,
+    MAX_USER_PROPERTIES: 25,
+    MAX_ITEMS: 200,
+    MAX_EVENT_NAME_LENGTH: 40,
+    MAX_PARAM_NAME_LENGTH: 40,
+    MAX_PARAM_VALUE_LENGTH: 100,
+    // Params GA allows longer values for
+    PARAM_VALUE_LENGTHS: {
+      page_location: 1000,
+      page_referrer: 420,
+      page_title: 300
+    },
+    MAX_USER_PROPERTY_NAME_LENGTH: 24,
+    MAX_USER_PROPERTY_VALUE_LENGTH: 36,
+    RESERVED_PREFIXES: ['_', 'firebase_', 'ga_', 'google_', 'gtag.'],
+    RESERVED_EVENT_NAMES: [
+      'ad_activeview', 'ad_click', 'ad_exposure', 'ad_query', 'ad_reward', 'adunit_exposure',
+      'app_background', 'app_clear_data', 'app_exception', 'app_remove', 'app_store_refund',
+      'app_store_subscription_cancel', 'app_store_subscription_convert', 'app_store_subscription_renew',
+      'app_update', 'app_upgrade', 'dynamic_link_app_open', 'dynamic_link_app_update',
+      'dynamic_link_first_open', 'error', 'first_open', 'first_visit', 'in_app_purchase',
+      'notification_dismiss', 'notification_foreground', 'notification_open', 'notification_receive',
+      'os_update', 'session_start', 'session_start_with_rollout', 'user_engagement'
+    ],
+    RESERVED_USER_PROPERTY_NAMES: [
+      'first_open_time', 'first_visit_time', 'last_deep_link_referrer', 'user_id', 'first_open_after_install'
+    ]
+  },
+
+  // Codes GA's validation server reports in validationMessages
+  MEASUREMENT_PROTOCOL_VALIDATION_CODES: {
+    VALUE_INVALID: 'VALUE_INVALID',
+    VALUE_REQUIRED: 'VALUE_REQUIRED',
+    NAME_INVALID: 'NAME_INVALID',
+    NAME_RESERVED: 'NAME_RESERVED',
+    VALUE_OUT_OF_BOUNDS: 'VALUE_OUT_OF_BOUNDS',
+    EXCEEDED_MAX_ENTITIES: 'EXCEEDED_MAX_ENTITIES'
+  },
+
+  // Bot and crawler detection
+  BOT_DETECTION: {
+    RATE_WINDOW_SECONDS: 60,
+    RATE_THRESHOLD: 300    // Events per IP per window before the IP is treated as a bot
+  },
+
+  // What happens to events detected as bot traffic
+  BOT_FILTERING_MODES: {
+    DROP: 'drop',
+    EXCLUDE: 'exclude'
+  },
+
+  // How event IP addresses are stored
+  IP_PRIVACY_MODES: {
+    FULL: 'full',
+    TRUNCATE: 'truncate',  // Last IPv4 octet / all but the first 48 IPv6 bits zeroed
+    HASH: 'hash',          // HMAC with a salt that rotates daily
+    DROP: 'drop'           // Removed once geo lookup is done
+  },
+
+  // Rejected events kept for inspection and replay
+  DEAD_LETTER: {
+    MAX_PER_APP: 1000,     // Oldest entries are removed beyond this
+    RETENTION_DAYS: 14,
+    REPLAY_LIMIT: 100,     // Entries replayed per request
+    // Request headers kept with each entry; credentials and forwarded IPs are not
+    HEADERS: ['user-agent', 'content-type', 'content-encoding', 'origin', 'referer', 'accept-language']
+  },
+
+  DEAD_LETTER_REASONS: {
+    VALIDATION: 'validation',
+    TRACKING_PLAN: 'tracking_plan',
+    TIMESTAMP_OUT_OF_RANGE: 'timestamp_out_of_range',
+    STORAGE_ERROR: 'storage_error'
+  },
+
+  // Enrichment pipeline phases: build runs on every event as it is built,
+  // store on accepted events just before they are queued or stored
+  ENRICHMENT_PHASES: {
+    BUILD: 'build',
+    STORE: 'store'
+  },
+
+  // Geo enrichment
+  GEO: {
+    COORDINATE_DECIMALS: 1   // About 11 km
+  },
+
+  // NDJSON bulk import
+  BULK_IMPORT: {
+    CHUNK_SIZE: 1000,
+    MAX_REPORTED_ERRORS: 1000
+  },
+
+  // Subscription plans. monthlyEvents is the events an owner's applications
+  // may ingest per calendar month (UTC), 'Unlimited' for no limit; plans with
+  // quotaGraceDays keep accepting events for that long after reaching it.
+  // rateLimits are requests per application per RATE_LIMIT.WINDOW_SECONDS
+  PLAN_FEATURES: {
+    free: {
+      monthlyEvents: 10000,
+      quotaGraceDays: 0,
+      dataRetention: '30 days',
+      realTimeAnalytics: false,
+      customEvents: true,
+      apiAccess: true,
+      support: 'Community',
+      rateLimits: { api: 3000, events: 100, batch: 10, import: 30 }
+    },
+    starter: {
+      monthlyEvents: 50000,
+      quotaGraceDays: 3,
+      dataRetention: '90 days',
+      realTimeAnalytics: true,
+      customEvents: true,
+      apiAccess: true,
+      support: 'Email',
+      rateLimits: { api: 15000, events: 500, batch: 50, import: 60 }
+    },
+    professional: {
+      monthlyEvents: 250000,
+      quotaGraceDays: 7,
+      dataRetention: '1 year',
+      realTimeAnalytics: true,
+      customEvents: true,
+      apiAccess: true,
+      support: 'Priority Email',
+      rateLimits: { api: 60000, events: 2000, batch: 200, import: 120 }
+    },
+    enterprise: {
+      monthlyEvents: 'Unlimited',
+      quotaGraceDays: 0,
+      dataRetention: 'Custom',
+      realTimeAnalytics: true,
+      customEvents: true,
+      apiAccess: true,
+      support: 'Dedicated',
+      rateLimits: { api: 300000, events: 10000, batch: 1000, import: 300 }
+    }
+  },
+
+  // Monthly event quotas, counted in Redis and flushed to User.usage
+  QUOTA: {
+    FLUSH_INTERVAL_MS: 60000,
+    FLUSH_BATCH_SIZE: 100,     // Owners flushed per run
+    PLAN_CACHE_SECONDS: 60,    // How long an owner's plan is cached in memory
+    PLAN_CACHE_MAX_OWNERS: 10000,
+    RETENTION_DAYS: 62         // Monthly counters outlive their month for reporting
+  },
+
+  // Outbound forwarding of stored events to HTTP destinations
+  DESTINATIONS: {
+    MAX_PER_APP: 10,
+    MAX_MAPPING_FIELDS: 50,
+    TIMEOUT_MS: 10000,
+    MAX_ATTEMPTS: 10,
+    RETRY_BASE_MS: 30000,      // Doubles after each failed attempt
+    RETRY_MAX_MS: 3600000,
+    POLL_INTERVAL_MS: 2000,
+    BATCH_SIZE: 50,            // Deliveries sent per poll
+    LEASE_MS: 60000,           // Claimed deliveries are retried after this if the worker dies
+    RETENTION_DAYS: 14,
+    MAX_ERROR_LENGTH: 500
+  },
+
+  DELIVERY_STATUSES: {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+  },
+
+  // Raw payloads archived as gzip NDJSON, partitioned by application and day
+  ARCHIVE: {
+    FLUSH_INTERVAL_MS: 5000,
+    ROTATE_BYTES: 67108864,      // 64MB; a part file this size is closed
+    ROTATE_INTERVAL_MS: 3600000, // and one this old
+    RETENTION_DAYS: 90,
+    PRUNE_INTERVAL_MS: 3600000,
+    MAX_BUFFERED_LINES: 100000,  // Payloads beyond this are not archived while writes fail
+    REPLAY_BATCH_SIZE: 100       // Payloads of one request ingested together on replay
+  },
+
   // Event types
   EVENT_TYPES: {
     PAGE_VIEW: 'page_view',
@@ -28,17 +297,22 @@ module.exports = {
   DEVICE_TYPES: {
     MOBILE: 'mobile',
     DESKTOP: 'desktop',
-    TABLET: 'tablet'
+    TABLET: 'tablet',
+    TV: 'tv',
+    WEARABLE: 'wearable',
+    CONSOLE: 'console'
   },
 
   // HTTP Status codes
   HTTP_STATUS: {
     OK: 200,
     CREATED: 201,
+    ACCEPTED: 202,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
+    TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500,
     SERVICE_UNAVAILABLE: 503
   }
@@ -0,0 +1,275 @@
+/**
+ * IP ranges of search engine crawlers and of cloud and hosting providers,
+ * whose addresses serve servers rather than people. These are the providers'
+ * large, long-held allocations, not every prefix they announce; set
+ * DATACENTER_IP_RANGES_FILE to a list kept current with
+ * `npm run datacenter-ranges:update` for full coverage.
+ */
+module.exports = {
+  crawlers: [
+    '66.249.64.0/19',      // Googlebot
+    '157.55.39.0/24',      // Bingbot
+    '207.46.13.0/24',      // Bingbot
+    '40.77.167.0/24',      // Bingbot
+    '2001:4860:4801::/48'  // Googlebot
+  ],
+
+  aws: [
+    '3.0.0.0/8',
+    '13.32.0.0/12',
+    '13.48.0.0/13',
+    '13.56.0.0/14',
+    '18.128.0.0/9',
+    '23.20.0.0/14',
+    '34.192.0.0/10',
+    '35.152.0.0/13',
+    '44.192.0.0/10',
+    '46.51.128.0/18',
+    '50.16.0.0/14',
+    '52.0.0.0/10',
+    '52.64.0.0/12',
+    '52.84.0.0/14',
+    '52.88.0.0/13',
+    '54.64.0.0/11',
+    '54.144.0.0/12',
+    '54.160.0.0/11',
+    '54.192.0.0/12',
+    '54.208.0.0/13',
+    '54.216.0.0/14',
+    '54.220.0.0/15',
+    '54.224.0.0/11',
+    '75.101.128.0/17',
+    '79.125.0.0/17',
+    '107.20.0.0/14',
+    '174.129.0.0/16',
+    '184.72.0.0/15',
+    '204.236.128.0/17',
+    '2600:1f00::/24',
+    '2406:da00::/24',
+    '2a05:d000::/25'
+  ],
+
+  gcp: [
+    '23.236.48.0/20',
+    '23.251.128.0/19',
+    '34.64.0.0/10',
+    '34.128.0.0/10',
+    '35.184.0.0/13',
+    '35.192.0.0/12',
+    '35.208.0.0/12',
+    '35.224.0.0/12',
+    '35.240.0.0/13',
+    '104.154.0.0/15',
+    '104.196.0.0/14',
+    '107.167.160.0/19',
+    '107.178.192.0/18',
+    '130.211.0.0/16',
+    '146.148.0.0/17',
+    '162.216.148.0/22',
+    '2600:1900::/28'
+  ],
+
+  azure: [
+    '13.64.0.0/11',
+    '20.36.0.0/14',
+    '20.40.0.0/13',
+    '20.48.0.0/12',
+    '20.64.0.0/10',
+    '20.128.0.0/9',
+    '23.96.0.0/13',
+    '40.64.0.0/10',
+    '52.136.0.0/13',
+    '52.224.0.0/11',
+    '65.52.0.0/14',
+    '104.40.0.0/13',
+    '104.208.0.0/13',
+    '137.116.0.0/15',
+    '138.91.0.0/16',
+    '168.61.0.0/16',
+    '168.62.0.0/15',
+    '2603:1000::/24'
+  ],
+
+  oracle: [
+    '129.146.0.0/16',
+    '129.151.0.0/16',
+    '129.159.0.0/16',
+    '129.213.0.0/16',
+    '130.61.0.0/16',
+    '132.145.0.0/16',
+    '140.238.0.0/16',
+    '141.147.0.0/16',
+    '144.24.0.0/16',
+    '150.136.0.0/16',
+    '152.67.0.0/16',
+    '152.70.0.0/16',
+    '158.101.0.0/16',
+    '193.122.0.0/16',
+    '193.123.0.0/16'
+  ],
+
+  alibaba: [
+    '8.208.0.0/12',
+    '47.74.0.0/15',
+    '47.88.0.0/14',
+    '47.240.0.0/14'
+  ],
+
+  digitalocean: [
+    '45.55.0.0/16',
+    '46.101.0.0/16',
+    '64.225.0.0/16',
+    '68.183.0.0/16',
+    '104.131.0.0/16',
+    '104.236.0.0/16',
+    '107.170.0.0/16',
+    '128.199.0.0/16',
+    '134.122.0.0/16',
+    '134.209.0.0/16',
+    '138.68.0.0/16',
+    '138.197.0.0/16',
+    '139.59.0.0/16',
+    '142.93.0.0/16',
+    '143.198.0.0/16',
+    '146.190.0.0/16',
+    '157.230.0.0/16',
+    '157.245.0.0/16',
+    '159.65.0.0/16',
+    '159.89.0.0/16',
+    '159.203.0.0/16',
+    '159.223.0.0/16',
+    '161.35.0.0/16',
+    '162.243.0.0/16',
+    '164.90.0.0/16',
+    '164.92.0.0/16',
+    '165.22.0.0/16',
+    '165.227.0.0/16',
+    '167.71.0.0/16',
+    '167.99.0.0/16',
+    '167.172.0.0/16',
+    '174.138.0.0/17',
+    '178.62.0.0/16',
+    '178.128.0.0/16',
+    '188.166.0.0/16',
+    '192.241.128.0/17',
+    '198.199.64.0/18',
+    '206.189.0.0/16',
+    '209.97.128.0/18',
+    '2400:6180::/32',
+    '2604:a880::/32',
+    '2a03:b0c0::/32'
+  ],
+
+  linode: [
+    '45.33.0.0/17',
+    '45.56.64.0/18',
+    '45.79.0.0/16',
+    '50.116.0.0/18',
+    '66.175.208.0/20',
+    '69.164.192.0/19',
+    '72.14.176.0/20',
+    '74.207.224.0/19',
+    '96.126.96.0/19',
+    '97.107.128.0/20',
+    '139.144.0.0/16',
+    '139.162.0.0/16',
+    '143.42.0.0/16',
+    '172.104.0.0/15',
+    '173.230.128.0/19',
+    '173.255.192.0/18',
+    '178.79.128.0/18',
+    '192.155.80.0/20',
+    '198.58.96.0/19',
+    '2600:3c00::/28',
+    '2a01:7e00::/32'
+  ],
+
+  vultr: [
+    '45.32.0.0/16',
+    '45.63.0.0/17',
+    '45.76.0.0/15',
+    '95.179.128.0/17',
+    '104.156.224.0/19',
+    '104.207.128.0/19',
+    '108.61.0.0/16',
+    '136.244.64.0/18',
+    '144.202.0.0/16',
+    '149.28.0.0/16',
+    '155.138.128.0/17',
+    '207.148.0.0/18',
+    '209.250.224.0/19',
+    '2001:19f0::/32'
+  ],
+
+  hetzner: [
+    '5.9.0.0/16',
+    '46.4.0.0/16',
+    '65.21.0.0/16',
+    '65.108.0.0/15',
+    '78.46.0.0/15',
+    '88.99.0.0/16',
+    '88.198.0.0/16',
+    '94.130.0.0/16',
+    '95.216.0.0/15',
+    '116.202.0.0/15',
+    '135.181.0.0/16',
+    '136.243.0.0/16',
+    '138.201.0.0/16',
+    '144.76.0.0/16',
+    '148.251.0.0/16',
+    '159.69.0.0/16',
+    '168.119.0.0/16',
+    '176.9.0.0/16',
+    '178.63.0.0/16',
+    '195.201.0.0/16',
+    '213.133.96.0/19',
+    '2a01:4f8::/29'
+  ],
+
+  ovh: [
+    '5.135.0.0/16',
+    '5.196.0.0/16',
+    '37.59.0.0/16',
+    '37.187.0.0/16',
+    '46.105.0.0/16',
+    '51.38.0.0/16',
+    '51.68.0.0/16',
+    '51.75.0.0/16',
+    '51.77.0.0/16',
+    '51.83.0.0/16',
+    '51.89.0.0/16',
+    '51.91.0.0/16',
+    '51.178.0.0/16',
+    '51.195.0.0/16',
+    '51.210.0.0/16',
+    '54.36.0.0/14',
+    '91.121.0.0/16',
+    '92.222.0.0/16',
+    '94.23.0.0/16',
+    '137.74.0.0/16',
+    '145.239.0.0/16',
+    '147.135.0.0/16',
+    '149.202.0.0/16',
+    '151.80.0.0/16',
+    '158.69.0.0/16',
+    '164.132.0.0/16',
+    '167.114.0.0/16',
+    '176.31.0.0/16',
+    '178.32.0.0/15',
+    '188.165.0.0/16',
+    '192.99.0.0/16',
+    '198.27.64.0/18',
+    '198.50.128.0/17',
+    '2001:41d0::/32'
+  ],
+
+  scaleway: [
+    '51.15.0.0/16',
+    '51.158.0.0/15',
+    '62.210.0.0/16',
+    '163.172.0.0/16',
+    '195.154.0.0/16',
+    '212.47.224.0/19',
+    '2001:bc8::/32'
+  ]
+};
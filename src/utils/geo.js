@@ -0,0 +1,59 @@
+const geoip = require('geoip-lite');
+const { GEO } = require('./constants');
+
+const COORDINATE_DECIMALS = parseInt(process.env.GEO_COORDINATE_DECIMALS) || GEO.COORDINATE_DECIMALS;
+
+/**
+ * Whether a string is an IANA time zone name this runtime knows
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const roundCoordinate = (value) => {
+  const factor = 10 ** COORDINATE_DECIMALS;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Country, region, city and coordinates for an IP address. Coordinates are
+ * rounded (to about 11 km by default) so they locate a town, not a household.
+ * The visitor's time zone comes from the client when it sent a valid one,
+ * otherwise from the IP.
+ */
+const lookupGeo = (ipAddress, clientTimeZone) => {
+  const geo = ipAddress ? geoip.lookup(ipAddress) : null;
+
+  return {
+    country: geo?.country || undefined,
+    region: geo?.region || undefined,
+    city: geo?.city || undefined,
+    timezone: isValidTimeZone(clientTimeZone) ? clientTimeZone : geo?.timezone || undefined,
+    latitude: geo?.ll ? roundCoordinate(geo.ll[0]) : undefined,
+    longitude: geo?.ll ? roundCoordinate(geo.ll[1]) : undefined
+  };
+};
+
+/**
+ * GeoJSON FeatureCollection of the locations that have coordinates
+ */
+const toFeatureCollection = (locations) => ({
+  type: 'FeatureCollection',
+  features: locations
+    .filter(({ latitude, longitude }) => latitude !== null && longitude !== null)
+    .map(({ latitude, longitude, ...properties }) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [longitude, latitude] },
+      properties
+    }))
+});
+
+module.exports = { isValidTimeZone, lookupGeo, toFeatureCollection };
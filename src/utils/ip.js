@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const net = require('net');
+
+/**
+ * Expand an IPv6 address to its eight 16-bit groups
+ */
+const expandIPv6 = (address) => {
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+
+  return [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+};
+
+/**
+ * Zero the last IPv4 octet, or everything after the first 48 bits of an
+ * IPv6 address. Anything that is not an IP address is returned unchanged.
+ */
+const truncateIp = (ipAddress) => {
+  if (!ipAddress) {
+    return ipAddress;
+  }
+
+  // IPv4 clients on dual-stack sockets are reported as ::ffff:a.b.c.d
+  const address = ipAddress.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+  if (net.isIPv4(address)) {
+    return address.replace(/\.\d+$/, '.0');
+  }
+  if (net.isIPv6(address)) {
+    const groups = expandIPv6(address.split('%')[0]);
+    return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+  }
+  return ipAddress;
+};
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges, none of which the server should be made to send requests to
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not a
+ * public internet address. Anything that is not an IP address counts as
+ * private.
+ */
+const isPrivateIp = (ipAddress) => {
+  const address = String(ipAddress || '')
+    .replace(/^\[|\]$/g, '')
+    .replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+  if (net.isIPv4(address)) {
+    return privateRanges.check(address, 'ipv4');
+  }
+  if (net.isIPv6(address)) {
+    return privateRanges.check(address.split('%')[0], 'ipv6');
+  }
+  return true;
+};
+
+/**
+ * Short SHA-256 digest of an IP address, for Redis keys that must not hold
+ * raw IPs
+ */
+const digestIp = (ipAddress) => crypto
+  .createHash('sha256')
+  .update(String(ipAddress))
+  .digest('hex')
+  .substring(0, 32);
+
+// IPv4 addresses map into ::ffff:0:0/96 so both families share one number line
+const IPV4_MAPPED = 0xffffn << 32n;
+
+const ipToBigInt = (address) => {
+  if (net.isIPv4(address)) {
+    return IPV4_MAPPED + address.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+  }
+  // A trailing dotted IPv4 part (::ffff:1.2.3.4) becomes the last two groups
+  const plain = address.split('%')[0].replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) =>
+    `${((a << 8) + Number(b)).toString(16)}:${((c << 8) + Number(d)).toString(16)}`);
+  return expandIPv6(plain).reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+};
+
+/**
+ * The first and last address of a CIDR range ("203.0.113.0/24",
+ * "2001:db8::/32") as numbers, or null if it is not a valid range. A bare
+ * address is a range of one.
+ */
+const parseCidr = (range) => {
+  const [address, prefixText, ...rest] = String(range).trim().split('/');
+  const family = net.isIP(address);
+  const bits = family === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (family === 0 || rest.length > 0 || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+    return null;
+  }
+
+  const hostMask = (1n << BigInt(bits - prefix)) - 1n;
+  const start = ipToBigInt(address) & ~hostMask;
+  return { start, end: start | hostMask };
+};
+
+/**
+ * A lookup over ranges from parseCidr: returns a function telling whether an
+ * IP address falls in any of them. Ranges are merged and binary searched, so
+ * lists with thousands of provider prefixes stay cheap per event.
+ */
+const createRangeSet = (ranges) => {
+  const merged = [];
+  [...ranges]
+    .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0))
+    .forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end + 1n) {
+        last.end = range.end > last.end ? range.end : last.end;
+      } else {
+        merged.push({ ...range });
+      }
+    });
+
+  return (ipAddress) => {
+    const address = String(ipAddress || '');
+    if (net.isIP(address.split('%')[0]) === 0) {
+      return false;
+    }
+    const value = ipToBigInt(address);
+    let low = 0;
+    let high = merged.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (value < merged[middle].start) {
+        high = middle - 1;
+      } else if (value > merged[middle].end) {
+        low = middle + 1;
+      } else {
+        return true;
+      }
+    }
+    return false;
+  };
+};
+
+module.exports = { truncateIp, isPrivateIp, digestIp, parseCidr, createRangeSet };
@@ -1,9 +1,53 @@
 const { createLogger, format, transports } = require('winston');
 const path = require('path');
+const { truncateIp } = require('./ip');
+
+const IP_FIELDS = new Set(['ip', 'ipAddress']);
+const MAX_REDACT_DEPTH = 5;
+
+const redactField = (key, value, depth) => (
+  IP_FIELDS.has(key) && typeof value === 'string' ? truncateIp(value) : redactValue(value, depth)
+);
+
+// Nested meta can be the caller's own data (e.g. a lean event), so objects
+// with an IP field are copied rather than changed. Only plain objects and
+// arrays are walked; errors, documents and other class instances are left as is.
+const redactValue = (value, depth) => {
+  if (depth > MAX_REDACT_DEPTH || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(item => redactValue(item, depth + 1));
+    return items.some((item, index) => item !== value[index]) ? items : value;
+  }
+  if (Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+
+  let copy = null;
+  Object.entries(value).forEach(([key, field]) => {
+    const redacted = redactField(key, field, depth + 1);
+    if (redacted !== field) {
+      copy = copy || { ...value };
+      copy[key] = redacted;
+    }
+  });
+  return copy || value;
+};
+
+// Client IPs are personal data, so logs only ever keep the truncated form of
+// ip and ipAddress fields, at any depth of the meta
+const redactIps = format((info) => {
+  Object.entries(info).forEach(([key, value]) => {
+    info[key] = redactField(key, value, 1);
+  });
+  return info;
+});
 
 const logger = createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: format.combine(
+    redactIps(),
     format.timestamp({
       format: 'YYYY-MM-DD HH:mm:ss'
     }),
@@ -0,0 +1,116 @@
+/**
+ * Helpers for free-form typed event properties
+ */
+
+const MAX_PROPERTIES = 50;
+const MAX_STRING_LENGTH = 1024;
+const PROPERTY_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]{0,63}$/;
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * express-validator custom validator for a properties map.
+ * Values may be strings, finite numbers, booleans or ISO 8601 date-times.
+ */
+const validateProperties = (properties) => {
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new Error('Properties must be an object');
+  }
+
+  const entries = Object.entries(properties);
+  if (entries.length > MAX_PROPERTIES) {
+    throw new Error(`Properties cannot have more than ${MAX_PROPERTIES} entries`);
+  }
+
+  for (const [name, value] of entries) {
+    if (!PROPERTY_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid property name "${name}"`);
+    }
+
+    const isValid = typeof value === 'boolean' ||
+      (typeof value === 'number' && Number.isFinite(value)) ||
+      (typeof value === 'string' && value.length <= MAX_STRING_LENGTH);
+
+    if (!isValid) {
+      throw new Error(`Property "${name}" must be a string, number, boolean or date`);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * express-validator custom validator for ?properties[name]=value query filters
+ */
+const validatePropertyFilters = (filters) => {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('Property filters must be given as properties[name]=value');
+  }
+
+  for (const [name, value] of Object.entries(filters)) {
+    if (!PROPERTY_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid property name "${name}"`);
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every(item => typeof item === 'string')) {
+      throw new Error(`Filter for property "${name}" must be a plain value`);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Convert ISO 8601 date-time strings to Dates so they are stored as dates
+ */
+const normalizeProperties = (properties) => {
+  if (!properties) {
+    return undefined;
+  }
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(properties)) {
+    normalized[name] = typeof value === 'string' && ISO_DATE_TIME_PATTERN.test(value) ?
+      new Date(value) :
+      value;
+  }
+  return normalized;
+};
+
+/**
+ * Candidate stored values for a property filter given as a query string,
+ * e.g. "42" matches both the string "42" and the number 42
+ */
+const coerceFilterValue = (value) => {
+  const candidates = [value];
+
+  if (value === 'true' || value === 'false') {
+    candidates.push(value === 'true');
+  } else if (value.trim() !== '' && !isNaN(Number(value))) {
+    candidates.push(Number(value));
+  } else if (ISO_DATE_TIME_PATTERN.test(value)) {
+    candidates.push(new Date(value));
+  }
+
+  return candidates;
+};
+
+/**
+ * Build a MongoDB match stage from ?properties[name]=value query filters
+ */
+const buildPropertyMatch = (filters = {}) => {
+  const match = {};
+  for (const [name, value] of Object.entries(filters)) {
+    const values = Array.isArray(value) ? value : [value];
+    match[`properties.${name}`] = { $in: values.flatMap(item => coerceFilterValue(String(item))) };
+  }
+  return match;
+};
+
+module.exports = {
+  PROPERTY_NAME_PATTERN,
+  validateProperties,
+  validatePropertyFilters,
+  normalizeProperties,
+  buildPropertyMatch
+};
@@ -0,0 +1,76 @@
+/**
+ * Referrer domains by traffic channel. Entries match the host and its
+ * subdomains; a trailing ".*" matches any country TLD (google.co.uk).
+ * Keep entries lowercase and without "www.". Email is checked first so
+ * webmail hosts on search engine domains (mail.google.com) classify as email.
+ */
+module.exports = {
+  email: [
+    'mail.google.com',
+    'inbox.google.com',
+    'outlook.live.com',
+    'outlook.office.com',
+    'outlook.office365.com',
+    'mail.yahoo.com',
+    'mail.aol.com',
+    'mail.proton.me',
+    'mail.protonmail.com',
+    'mail.zoho.com',
+    'mail.yandex.ru',
+    'e.mail.ru',
+    'icloud.com',
+    'fastmail.com',
+    'gmx.net',
+    'web.de'
+  ],
+
+  search: [
+    'google.*',
+    'bing.com',
+    'search.yahoo.com',
+    'yahoo.co.jp',
+    'duckduckgo.com',
+    'baidu.com',
+    'yandex.*',
+    'ecosia.org',
+    'ask.com',
+    'naver.com',
+    'seznam.cz',
+    'qwant.com',
+    'startpage.com',
+    'search.brave.com',
+    'sogou.com',
+    'so.com',
+    'aol.com'
+  ],
+
+  social: [
+    'facebook.com',
+    'fb.com',
+    'messenger.com',
+    'instagram.com',
+    'threads.net',
+    'twitter.com',
+    'x.com',
+    't.co',
+    'linkedin.com',
+    'lnkd.in',
+    'reddit.com',
+    'pinterest.*',
+    'youtube.com',
+    'youtu.be',
+    'tiktok.com',
+    'snapchat.com',
+    'whatsapp.com',
+    't.me',
+    'telegram.org',
+    'quora.com',
+    'tumblr.com',
+    'vk.com',
+    'weibo.com',
+    'news.ycombinator.com',
+    'mastodon.social',
+    'discord.com',
+    'slack.com'
+  ]
+};
@@ -0,0 +1,19 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point the app at test databases, so the suite never touches the ones in
+ * .env. Start MongoDB and Redis locally (docker-compose up mongodb redis)
+ * or set TEST_MONGODB_URI and TEST_REDIS_URL.
+ */
+const applyTestEnv = () => {
+  process.env.NODE_ENV = 'test';
+  process.env.MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/analytics_engine_test';
+  process.env.REDIS_URL = process.env.TEST_REDIS_URL || 'redis://localhost:6379/15';
+  process.env.ARCHIVE_DIR = path.join(os.tmpdir(), 'analytics-engine-test-archive');
+  // Short blocking reads so the ingestion consumer stops promptly
+  process.env.INGEST_BLOCK_MS = '200';
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+};
+
+module.exports = { applyTestEnv };
@@ -1,27 +1,41 @@
+const zlib = require('zlib');
 const request = require('supertest');
 const app = require('../../src/app');
 const Application = require('../../src/models/Application');
 const Event = require('../../src/models/Event');
+const Identity = require('../../src/models/Identity');
+const DeadLetter = require('../../src/models/DeadLetter');
 const { getRedisClient } = require('../../src/config/redis');
+const { stopArchiver, readArchive } = require('../../src/services/archive');
+
+// Events are stored by the queue consumer a moment after ingestion answers
+const waitForEvent = async (filter, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const event = await Event.findOne(filter).lean();
+    if (event) {
+      return event;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`No event matching ${JSON.stringify(filter)} was stored within ${timeoutMs}ms`);
+};
 
 describe('Analytics Engine API Integration Tests', () => {
   let testApp;
   let apiKey;
+  let publishableKey;
 
   beforeAll(async () => {
     // Clear test data
     await Application.deleteMany({});
     await Event.deleteMany({});
+    await Identity.deleteMany({});
+    await DeadLetter.deleteMany({});
     
     // Clear Redis cache
     const redisClient = getRedisClient();
-    await redisClient.flushAll();
-  });
-
-  afterAll(async () => {
-    // Close connections
-    const redisClient = getRedisClient();
-    await redisClient.quit();
+    await redisClient.flushDb();
   });
 
   describe('Application Registration', () => {
@@ -43,6 +57,7 @@ describe('Analytics Engine API Integration Tests', () => {
       
       testApp = response.body.application;
       apiKey = response.body.application.apiKey;
+      publishableKey = response.body.application.publishableKey;
     });
 
     it('should reject registration with invalid data', async () => {
@@ -59,6 +74,16 @@ describe('Analytics Engine API Integration Tests', () => {
   });
 
   describe('Event Collection', () => {
+    const previousAdminKey = process.env.ADMIN_API_KEY;
+
+    afterAll(() => {
+      if (previousAdminKey === undefined) {
+        delete process.env.ADMIN_API_KEY;
+      } else {
+        process.env.ADMIN_API_KEY = previousAdminKey;
+      }
+    });
+
     it('should collect analytics event with valid API key', async () => {
       const response = await request(app)
         .post('/api/analytics/collect')
@@ -70,12 +95,291 @@ describe('Analytics Engine API Integration Tests', () => {
           sessionId: 'session-456',
           device: 'desktop'
         })
-        .expect(201);
+        .expect(202);
 
       expect(response.body).toHaveProperty('eventId');
       expect(response.body).toHaveProperty('timestamp');
     });
 
+    it('should skip events with a repeated messageId', async () => {
+      const payload = {
+        messageId: 'msg-retry-001',
+        event: 'button_click',
+        url: 'https://testapp.com/home',
+        userId: 'user-123'
+      };
+
+      const first = await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .send(payload)
+        .expect(202);
+
+      const retry = await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .send(payload)
+        .expect(202);
+
+      expect(first.body.status).toBe('queued');
+      expect(retry.body.status).toBe('duplicate');
+      expect(retry.body.eventId).toBe(first.body.eventId);
+    });
+
+    it('should report a retry after the dedupe window as a duplicate of the stored event', async () => {
+      const stored = await Event.create({
+        appId: testApp.id,
+        messageId: 'msg-late-retry-001',
+        event: 'button_click',
+        url: 'https://testapp.com/home',
+        device: 'desktop',
+        ipAddress: '203.0.113.10'
+      });
+
+      const retry = await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .send({
+          messageId: 'msg-late-retry-001',
+          event: 'button_click',
+          url: 'https://testapp.com/home'
+        })
+        .expect(202);
+
+      expect(retry.body.status).toBe('duplicate');
+      expect(retry.body.eventId).toBe(String(stored._id));
+    });
+
+    it('should reject custom properties with nested values', async () => {
+      await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .send({
+          event: 'purchase',
+          url: 'https://testapp.com/checkout',
+          properties: { cart: { items: 3 } }
+        })
+        .expect(400);
+    });
+
+    it('should collect events with the publishable key from an allowed origin only', async () => {
+      const payload = {
+        event: 'page_view',
+        url: 'https://testapp.com/pricing'
+      };
+
+      await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', publishableKey)
+        .set('Origin', 'https://www.testapp.com')
+        .send(payload)
+        .expect(202);
+
+      await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', publishableKey)
+        .set('Origin', 'https://other-site.com')
+        .send(payload)
+        .expect(403);
+    });
+
+    it('should leave out events sampled by the application policy', async () => {
+      await request(app)
+        .patch('/api/settings')
+        .set('x-api-key', apiKey)
+        .send({ sampling: { events: [{ event: 'scroll', rate: 0 }] } })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .send({
+          event: 'scroll',
+          url: 'https://testapp.com/blog',
+          anonymousId: 'anon-sampled'
+        })
+        .expect(202);
+
+      expect(response.body.status).toBe('sampled');
+    });
+
+    it('should drop events matching a transformation rule and preview rules', async () => {
+      await request(app)
+        .put('/api/transformations')
+        .set('x-api-key', apiKey)
+        .send({ rules: [{ name: 'drop-debug', type: 'drop', match: { event: 'debug_ping' } }] })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .send({ event: 'debug_ping', url: 'https://testapp.com/home' })
+        .expect(202);
+
+      expect(response.body.status).toBe('dropped');
+
+      await request(app)
+        .put('/api/transformations')
+        .set('x-api-key', apiKey)
+        .send({ rules: [{ name: 'slow', type: 'drop', match: { urlPattern: '^(a+)+$' } }] })
+        .expect(400);
+
+      const preview = await request(app)
+        .post('/api/transformations/preview')
+        .set('x-api-key', apiKey)
+        .send({ rules: [{ name: 'rename-click', type: 'rename', match: { event: 'button_click' }, to: 'cta_click' }] })
+        .expect(200);
+
+      expect(preview.body.data).toHaveProperty('tested');
+      expect(preview.body.data).toHaveProperty('events');
+    });
+
+    it('should configure the enrichment pipeline per application', async () => {
+      await request(app)
+        .patch('/api/settings')
+        .set('x-api-key', apiKey)
+        .send({ enrichment: { enrichers: [{ name: 'geo', options: { coordinates: false } }] } })
+        .expect(200);
+
+      await request(app)
+        .patch('/api/settings')
+        .set('x-api-key', apiKey)
+        .send({ enrichment: { enrichers: [{ name: 'privacy', enabled: false }] } })
+        .expect(400);
+
+      const response = await request(app)
+        .get('/api/settings/enrichers')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      const geo = response.body.data.enrichers.find(enricher => enricher.name === 'geo');
+      expect(geo.options).toEqual({ coordinates: false });
+    });
+
+    it('should refuse events once the monthly quota is exceeded', async () => {
+      const redisClient = getRedisClient();
+      const quotaKey = `quota:test-user-123:${new Date().toISOString().substring(0, 7)}`;
+      await redisClient.set(quotaKey, '10000');
+
+      const response = await request(app)
+        .post('/api/events/collect')
+        .set('x-api-key', apiKey)
+        .send({ event: 'button_click', url: 'https://testapp.com/home' })
+        .expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(response.body.quota).toMatchObject({ used: 10000, limit: 10000, blocked: true });
+
+      await redisClient.del(quotaKey);
+    });
+
+    it('should queue only the events of a batch that fit into the monthly quota', async () => {
+      const redisClient = getRedisClient();
+      const quotaKey = `quota:test-user-123:${new Date().toISOString().substring(0, 7)}`;
+      await redisClient.set(quotaKey, '9999');
+
+      const response = await request(app)
+        .post('/api/events/batch')
+        .set('x-api-key', apiKey)
+        .send({
+          events: [
+            { event: 'button_click', url: 'https://testapp.com/home', messageId: 'quota-msg-001' },
+            { event: 'button_click', url: 'https://testapp.com/home', messageId: 'quota-msg-002' }
+          ]
+        })
+        .expect(202);
+
+      expect(response.body.data).toMatchObject({ queued: 1, rejected: 1 });
+      expect(response.body.data.events[1]).toMatchObject({ messageId: 'quota-msg-002', status: 'rejected', reason: 'quota_exceeded' });
+      expect(await redisClient.get(quotaKey)).toBe('10000');
+
+      await redisClient.del(quotaKey);
+    });
+
+    it('should rate limit per application with admin overrides', async () => {
+      process.env.ADMIN_API_KEY = 'test-admin-key';
+
+      await request(app)
+        .put(`/api/admin/applications/${testApp.id}/rate-limits`)
+        .set('x-admin-key', 'wrong-key')
+        .send({ events: 1000 })
+        .expect(401);
+
+      const override = await request(app)
+        .put(`/api/admin/applications/${testApp.id}/rate-limits`)
+        .set('x-admin-key', 'test-admin-key')
+        .send({ events: 1000, reason: 'Load test' })
+        .expect(200);
+
+      expect(override.body.data.effective.events).toMatchObject({ limit: 1000, source: 'override' });
+
+      const response = await request(app)
+        .post('/api/events/collect')
+        .set('x-api-key', apiKey)
+        .send({ event: 'button_click', url: 'https://testapp.com/home' })
+        .expect(202);
+
+      expect(response.headers['ratelimit-limit']).toBe('1000');
+      expect(response.headers).toHaveProperty('ratelimit-remaining');
+
+      await request(app)
+        .delete(`/api/admin/applications/${testApp.id}/rate-limits`)
+        .set('x-admin-key', 'test-admin-key')
+        .expect(200);
+    });
+
+    it('should accept Segment calls authenticated with the write key', async () => {
+      const track = await request(app)
+        .post('/v1/track')
+        .auth(apiKey, '')
+        .send({
+          userId: 'segment-user-1',
+          event: 'Order Completed',
+          properties: { order: { id: 'o-1' }, total: 42 }
+        })
+        .expect(200);
+
+      expect(track.body.data.status).toBe('queued');
+
+      const batch = await request(app)
+        .post('/v1/batch')
+        .send({
+          writeKey: apiKey,
+          batch: [
+            { type: 'identify', userId: 'segment-user-1', anonymousId: 'segment-anon-1', traits: { plan: 'pro' } },
+            { type: 'page', anonymousId: 'segment-anon-1', name: 'Pricing', context: { page: { url: 'https://testapp.com/pricing' } } }
+          ]
+        })
+        .expect(200);
+
+      expect(batch.body.data.queued).toBe(2);
+
+      await request(app)
+        .post('/v1/track')
+        .auth(apiKey, '')
+        .send({ userId: 'segment-user-1' })
+        .expect(400);
+    });
+
+    it('should accept GA4 Measurement Protocol hits and validate them in debug mode', async () => {
+      await request(app)
+        .post(`/mp/collect?measurement_id=G-TEST&api_secret=${apiKey}`)
+        .send({
+          client_id: '1234.5678',
+          events: [{ name: 'sign_up', params: { page_location: 'https://testapp.com/signup', method: 'email' } }]
+        })
+        .expect(204);
+
+      const debug = await request(app)
+        .post(`/debug/mp/collect?measurement_id=G-TEST&api_secret=${apiKey}`)
+        .send({ client_id: '1234.5678', events: [{ name: 'session_start' }] })
+        .expect(200);
+
+      expect(debug.body.validationMessages).toEqual([
+        expect.objectContaining({ fieldPath: 'events[0].name', validationCode: 'NAME_RESERVED' })
+      ]);
+    });
+
     it('should reject event collection without API key', async () => {
       await request(app)
         .post('/api/analytics/collect')
@@ -126,6 +430,66 @@ describe('Analytics Engine API Integration Tests', () => {
       expect(response.body).toHaveProperty('recentEvents');
     });
 
+    it('should resolve aliased user IDs to the canonical user', async () => {
+      await request(app)
+        .post('/api/identity/alias')
+        .set('x-api-key', apiKey)
+        .send({ previousId: 'user-123', userId: 'user-789' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/analytics/user-stats?userId=user-123')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('userId', 'user-789');
+    });
+
+    it('should get traffic sources by channel', async () => {
+      const response = await request(app)
+        .get('/api/analytics/acquisition')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('channels');
+      expect(response.body).toHaveProperty('campaigns');
+      expect(response.body).toHaveProperty('referrers');
+    });
+
+    it('should get app version adoption', async () => {
+      const response = await request(app)
+        .get('/api/analytics/app-versions/adoption?interval=week')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('interval', 'week');
+      expect(response.body).toHaveProperty('periods');
+    });
+
+    it('should drill down geography from country to regions', async () => {
+      const response = await request(app)
+        .get('/api/analytics/geography?country=us')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('level', 'region');
+      expect(response.body).toHaveProperty('country', 'US');
+      expect(response.body).toHaveProperty('locations');
+
+      await request(app)
+        .get('/api/analytics/geography?region=CA')
+        .set('x-api-key', apiKey)
+        .expect(400);
+    });
+
+    it('should reject reads with the publishable key', async () => {
+      await request(app)
+        .get('/api/analytics/event-summary?event=button_click')
+        .set('x-api-key', publishableKey)
+        .set('Origin', 'https://testapp.com')
+        .expect(403);
+    });
+
     it('should reject analytics requests without API key', async () => {
       await request(app)
         .get('/api/analytics/event-summary?event=button_click')
@@ -133,6 +497,550 @@ describe('Analytics Engine API Integration Tests', () => {
     });
   });
 
+  describe('Bulk Import', () => {
+    const importLine = (index) => JSON.stringify({
+      messageId: `import-${index}`,
+      event: 'imported_order',
+      url: 'https://testapp.com/checkout',
+      userId: 'import-user',
+      timestamp: '2024-01-15T10:00:00.000Z'
+    });
+
+    it('should import NDJSON and report invalid lines by line number', async () => {
+      const body = [
+        importLine(1),
+        '{"event": "imported_order",',
+        JSON.stringify({ url: 'https://testapp.com/checkout' }),
+        '',
+        importLine(2)
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/events/import')
+        .set('x-api-key', apiKey)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(body)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ totalLines: 5, imported: 2, failed: 2, errorsTruncated: false });
+      expect(response.body.data.errors).toEqual([
+        { line: 2, field: null, message: 'Invalid JSON' },
+        expect.objectContaining({ line: 3, field: 'event', message: 'Event type is required' })
+      ]);
+      expect(await Event.countDocuments({ appId: testApp.id, event: 'imported_order' })).toBe(2);
+    });
+
+    it('should import gzip-compressed NDJSON and count repeated lines as duplicates', async () => {
+      const body = zlib.gzipSync([importLine(2), importLine(3), importLine(4)].join('\n'));
+
+      const response = await request(app)
+        .post('/api/events/import')
+        .set('x-api-key', apiKey)
+        .set('Content-Type', 'application/gzip')
+        .send(body)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ totalLines: 3, imported: 2, duplicates: 1, failed: 0 });
+      expect(await Event.countDocuments({ appId: testApp.id, event: 'imported_order' })).toBe(4);
+    });
+
+    it('should not give imported lines the uploader\'s user agent and IP', async () => {
+      await request(app)
+        .post('/api/events/import')
+        .set('x-api-key', apiKey)
+        .set('User-Agent', 'curl/8.0.1')
+        .set('Content-Type', 'application/x-ndjson')
+        .send([importLine(8), importLine(9)].join('\n'))
+        .expect(200);
+
+      const imported = await Event.find({ appId: testApp.id, messageId: { $in: ['import-8', 'import-9'] } }).lean();
+      expect(imported).toHaveLength(2);
+      imported.forEach(event => {
+        expect(event.isBot).not.toBe(true);
+        expect(event.userAgent).toBeUndefined();
+        expect(event.ipAddress).toBeUndefined();
+      });
+    });
+
+    it('should report a truncated gzip upload as aborted', async () => {
+      const body = zlib.gzipSync([importLine(5), importLine(6)].join('\n'));
+
+      const response = await request(app)
+        .post('/api/events/import')
+        .set('x-api-key', apiKey)
+        .set('Content-Encoding', 'gzip')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(body.subarray(0, body.length - 12))
+        .expect(200);
+
+      expect(response.body.data.errors.at(-1)).toMatchObject({
+        field: null,
+        message: expect.stringMatching(/^Upload aborted/)
+      });
+    });
+
+    it('should reject imports without API key', async () => {
+      await request(app)
+        .post('/api/events/import')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(importLine(7))
+        .expect(401);
+    });
+  });
+
+  describe('Tracking Pixel and Beacon', () => {
+    it('should record a pixel hit and answer with a transparent GIF', async () => {
+      const response = await request(app)
+        .get('/api/events/pixel.gif')
+        .query({ key: publishableKey, event: 'email_open', messageId: 'pixel-msg-001', userId: 'pixel-user' })
+        .set('Referer', 'https://testapp.com/newsletter')
+        .expect('Content-Type', /image\/gif/)
+        .expect(200);
+
+      expect(response.headers['cache-control']).toContain('no-store');
+      expect(response.body.subarray(0, 6).toString()).toBe('GIF89a');
+
+      const stored = await waitForEvent({ appId: testApp.id, messageId: 'pixel-msg-001' });
+      expect(stored).toMatchObject({ event: 'email_open', url: 'https://testapp.com/newsletter', userId: 'pixel-user' });
+    });
+
+    it('should reject pixel hits without a valid publishable key', async () => {
+      await request(app)
+        .get('/api/events/pixel.gif')
+        .query({ event: 'email_open', url: 'https://testapp.com/newsletter' })
+        .expect(401);
+
+      await request(app)
+        .get('/api/events/pixel.gif')
+        .query({ key: apiKey, event: 'email_open', url: 'https://testapp.com/newsletter' })
+        .expect(401);
+    });
+
+    it('should reject publishable keys sent as query objects', async () => {
+      await request(app)
+        .get('/api/events/pixel.gif?key[$ne]=x&event=email_open&url=https%3A%2F%2Ftestapp.com%2Fnewsletter')
+        .expect(401);
+    });
+
+    it('should collect text/plain beacon bodies with the key in the query or body', async () => {
+      await request(app)
+        .post(`/api/events/beacon?key=${publishableKey}`)
+        .set('Origin', 'https://testapp.com')
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify({ event: 'page_exit', url: 'https://testapp.com/pricing', messageId: 'beacon-msg-001' }))
+        .expect(204);
+
+      await request(app)
+        .post('/api/events/beacon')
+        .set('Origin', 'https://testapp.com')
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify({ key: publishableKey, event: 'page_exit', url: 'https://testapp.com/pricing', messageId: 'beacon-msg-002' }))
+        .expect(204);
+
+      const stored = await waitForEvent({ appId: testApp.id, messageId: 'beacon-msg-002' });
+      expect(stored).toMatchObject({ event: 'page_exit', url: 'https://testapp.com/pricing' });
+      expect(await waitForEvent({ appId: testApp.id, messageId: 'beacon-msg-001' })).toHaveProperty('event', 'page_exit');
+    });
+
+    it('should reject beacon bodies that are not a JSON object', async () => {
+      await request(app)
+        .post(`/api/events/beacon?key=${publishableKey}`)
+        .set('Origin', 'https://testapp.com')
+        .set('Content-Type', 'text/plain')
+        .send('event=page_exit')
+        .expect(400);
+    });
+
+    it('should reject beacon bodies with a key that is not a string', async () => {
+      await request(app)
+        .post('/api/events/beacon')
+        .set('Origin', 'https://testapp.com')
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify({ key: { $ne: null }, event: 'page_exit', url: 'https://testapp.com/pricing' }))
+        .expect(401);
+    });
+
+    it('should refuse beacons from origins that are not allowed', async () => {
+      await request(app)
+        .post(`/api/events/beacon?key=${publishableKey}`)
+        .set('Origin', 'https://other-site.com')
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify({ event: 'page_exit', url: 'https://testapp.com/pricing' }))
+        .expect(403);
+    });
+  });
+
+  describe('Server-side Sessions', () => {
+    const collectPage = (payload) => request(app)
+      .post('/api/analytics/collect')
+      .set('x-api-key', apiKey)
+      .send({ event: 'session_page', url: 'https://testapp.com/docs', ...payload })
+      .expect(202);
+
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+    it('should reuse a visitor session until the inactivity timeout', async () => {
+      const first = await collectPage({ anonymousId: 'session-visitor-1' });
+      const second = await collectPage({ anonymousId: 'session-visitor-1' });
+      const other = await collectPage({ anonymousId: 'session-visitor-2' });
+      const late = await collectPage({ anonymousId: 'session-visitor-1', timestamp: minutesAgo(45) });
+
+      expect(first.body.sessionId).toEqual(expect.any(String));
+      expect(second.body.sessionId).toBe(first.body.sessionId);
+      expect(other.body.sessionId).not.toBe(first.body.sessionId);
+      expect(late.body.sessionId).not.toBe(first.body.sessionId);
+
+      const stored = await waitForEvent({ _id: second.body.eventId });
+      expect(stored.sessionId).toBe(first.body.sessionId);
+    });
+
+    it('should keep a sessionId sent by the client', async () => {
+      const response = await collectPage({ anonymousId: 'session-visitor-1', sessionId: 'client-session-1' });
+
+      expect(response.body.sessionId).toBe('client-session-1');
+    });
+
+    it('should apply the application session timeout', async () => {
+      await Application.updateOne({ _id: testApp.id }, { 'ingestion.sessionTimeoutMinutes': 60 });
+
+      const first = await collectPage({ anonymousId: 'session-visitor-3' });
+      const late = await collectPage({ anonymousId: 'session-visitor-3', timestamp: minutesAgo(45) });
+
+      expect(late.body.sessionId).toBe(first.body.sessionId);
+
+      await Application.updateOne({ _id: testApp.id }, { 'ingestion.sessionTimeoutMinutes': 30 });
+    });
+  });
+
+  describe('Tracking Plan', () => {
+    const plan = (mode) => ({
+      mode,
+      events: [{
+        name: 'plan_purchase',
+        schema: {
+          type: 'object',
+          required: ['sku', 'price'],
+          properties: { sku: { type: 'string' }, price: { type: 'number' } }
+        }
+      }]
+    });
+
+    const collectPurchase = (properties) => request(app)
+      .post('/api/events/collect')
+      .set('x-api-key', apiKey)
+      .send({ event: 'plan_purchase', url: 'https://testapp.com/checkout', properties });
+
+    it('should refuse plans with schemas that do not compile', async () => {
+      const response = await request(app)
+        .put('/api/tracking-plan')
+        .set('x-api-key', apiKey)
+        .send({ mode: 'warn', events: [{ name: 'plan_purchase', schema: { type: 'nonsense' } }] })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_TRACKING_PLAN');
+    });
+
+    it('should accept events that break the plan in warn mode and report the violation', async () => {
+      await request(app)
+        .put('/api/tracking-plan')
+        .set('x-api-key', apiKey)
+        .send(plan('warn'))
+        .expect(200);
+
+      const response = await collectPurchase({ sku: 'A1' }).expect(202);
+
+      expect(response.body.data.status).toBe('queued');
+      expect(response.body.data.warnings).toEqual([
+        { field: 'properties', message: "must have required property 'price'" }
+      ]);
+    });
+
+    it('should reject events that break the plan in reject mode', async () => {
+      await request(app)
+        .put('/api/tracking-plan')
+        .set('x-api-key', apiKey)
+        .send(plan('reject'))
+        .expect(200);
+
+      const rejected = await collectPurchase({ sku: 'A1', price: 'free' }).expect(400);
+
+      expect(rejected.body.code).toBe('TRACKING_PLAN_VIOLATION');
+      expect(rejected.body.details).toEqual([
+        { field: 'properties.price', message: 'must be number' }
+      ]);
+
+      const undeclared = await request(app)
+        .post('/api/events/collect')
+        .set('x-api-key', apiKey)
+        .send({ event: 'plan_unknown', url: 'https://testapp.com/checkout' })
+        .expect(400);
+
+      expect(undeclared.body.details[0]).toMatchObject({ field: 'event' });
+
+      const accepted = await collectPurchase({ sku: 'A1', price: 9.5 }).expect(202);
+      expect(accepted.body.data.status).toBe('queued');
+    });
+
+    it('should count violations per event until they are reset', async () => {
+      const response = await request(app)
+        .get('/api/tracking-plan/violations')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ mode: 'reject', totalViolations: 3 });
+      const purchase = response.body.data.violations.find(violation => violation.event === 'plan_purchase');
+      expect(purchase).toMatchObject({ count: 2, lastViolations: [{ field: 'properties.price', message: 'must be number' }] });
+
+      await request(app)
+        .delete('/api/tracking-plan/violations')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      const reset = await request(app)
+        .get('/api/tracking-plan/violations')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(reset.body.data.totalViolations).toBe(0);
+
+      await request(app)
+        .put('/api/tracking-plan')
+        .set('x-api-key', apiKey)
+        .send({ mode: 'off' })
+        .expect(200);
+    });
+  });
+
+  describe('Clock Skew', () => {
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+
+    const collectAt = (timing) => request(app)
+      .post('/api/analytics/collect')
+      .set('x-api-key', apiKey)
+      .send({ event: 'skewed_event', url: 'https://testapp.com/home', ...timing });
+
+    const expectNear = (actual, expected) => {
+      expect(Math.abs(new Date(actual).getTime() - expected)).toBeLessThan(5000);
+    };
+
+    it('should correct timestamps by the offset between sentAt and receive time', async () => {
+      // Client clock an hour behind the server
+      const clientNow = Date.now() - HOUR;
+      const timestamp = new Date(clientNow - 10000).toISOString();
+
+      const response = await collectAt({ timestamp, sentAt: new Date(clientNow).toISOString() }).expect(202);
+
+      expectNear(response.body.timestamp, Date.now() - 10000);
+
+      const stored = await waitForEvent({ _id: response.body.eventId });
+      expect(new Date(stored.originalTimestamp).toISOString()).toBe(timestamp);
+    });
+
+    it('should clamp timestamps too far in the future to the receive time', async () => {
+      const timestamp = new Date(Date.now() + DAY).toISOString();
+
+      const response = await collectAt({ timestamp }).expect(202);
+
+      expectNear(response.body.timestamp, Date.now());
+
+      const stored = await waitForEvent({ _id: response.body.eventId });
+      expect(new Date(stored.originalTimestamp).toISOString()).toBe(timestamp);
+    });
+
+    it('should reject out-of-range timestamps when the policy is reject', async () => {
+      await request(app)
+        .patch('/api/settings')
+        .set('x-api-key', apiKey)
+        .send({ ingestion: { timestampPolicy: 'reject' } })
+        .expect(200);
+
+      const future = await collectAt({ timestamp: new Date(Date.now() + DAY).toISOString() }).expect(400);
+      expect(future.body.error).toBe('Timestamp out of range');
+
+      await collectAt({ timestamp: new Date(Date.now() - 40 * DAY).toISOString() }).expect(400);
+
+      await request(app)
+        .patch('/api/settings')
+        .set('x-api-key', apiKey)
+        .send({ ingestion: { timestampPolicy: 'clamp' } })
+        .expect(200);
+    });
+
+    it('should count corrected, clamped and rejected timestamps in the diagnostics', async () => {
+      const response = await request(app)
+        .get('/api/events/diagnostics')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(response.body.data.timestampPolicy).toBe('clamp');
+      expect(response.body.data.daily[0].date).toBe(new Date().toISOString().split('T')[0]);
+      ['skewCorrected', 'futureClamped', 'futureRejected', 'pastRejected'].forEach(outcome => {
+        expect(response.body.data.totals[outcome]).toBeGreaterThanOrEqual(1);
+      });
+
+      await request(app)
+        .get('/api/events/diagnostics?days=31')
+        .set('x-api-key', apiKey)
+        .expect(400);
+    });
+  });
+
+  describe('Bot Filtering', () => {
+    it('should tag crawler and datacenter traffic and leave it out of analytics', async () => {
+      const crawler = await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .set('User-Agent', 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)')
+        .send({ event: 'bot_probe', url: 'https://testapp.com/home' })
+        .expect(202);
+
+      const datacenter = await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36')
+        .send({ event: 'bot_probe', url: 'https://testapp.com/home', ipAddress: '3.80.12.34' })
+        .expect(202);
+
+      expect(crawler.body.status).toBe('queued');
+      expect(await waitForEvent({ _id: crawler.body.eventId })).toMatchObject({ isBot: true, botReason: 'crawler_user_agent' });
+      expect(await waitForEvent({ _id: datacenter.body.eventId })).toMatchObject({ isBot: true, botReason: 'datacenter_ip' });
+
+      const excluded = await request(app)
+        .get('/api/analytics/event-summary?event=bot_probe')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      const included = await request(app)
+        .get('/api/analytics/event-summary?event=bot_probe&includeBots=true')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(excluded.body.count).toBe(0);
+      expect(included.body.count).toBe(2);
+    });
+
+    it('should drop bot traffic when the application drops bots', async () => {
+      await request(app)
+        .patch('/api/settings')
+        .set('x-api-key', apiKey)
+        .send({ botFiltering: { mode: 'drop' } })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .set('User-Agent', 'Mozilla/5.0 (X11; Linux x86_64) HeadlessChrome/120.0.0.0 Safari/537.36')
+        .send({ event: 'bot_probe', url: 'https://testapp.com/home' })
+        .expect(202);
+
+      expect(response.body).toMatchObject({ status: 'dropped', eventId: null });
+      expect(await Event.countDocuments({ event: 'bot_probe', botReason: 'headless_browser' })).toBe(0);
+
+      await request(app)
+        .patch('/api/settings')
+        .set('x-api-key', apiKey)
+        .send({ botFiltering: { mode: 'exclude' } })
+        .expect(200);
+    });
+  });
+
+  describe('Dead Letters', () => {
+    it('should keep rejected payloads for inspection', async () => {
+      const response = await request(app)
+        .get('/api/dead-letters?reason=validation')
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      const [deadLetter] = response.body.data.deadLetters;
+      expect(deadLetter).toHaveProperty('endpoint', 'POST /api/analytics/collect');
+      expect(deadLetter.body).toHaveProperty('event', 'purchase');
+      expect(deadLetter.headers).not.toHaveProperty('x-api-key');
+    });
+  });
+
+  describe('Destinations', () => {
+    it('should manage destinations and their delivery log', async () => {
+      await request(app)
+        .post('/api/destinations')
+        .set('x-api-key', apiKey)
+        .send({ name: 'CRM', url: 'https://crm.example.com/hooks', mapping: [{ to: 'contact', from: 'password' }] })
+        .expect(400);
+
+      await request(app)
+        .post('/api/destinations')
+        .set('x-api-key', apiKey)
+        .send({ name: 'Metadata', url: 'http://169.254.169.254/latest/meta-data' })
+        .expect(400);
+
+      const created = await request(app)
+        .post('/api/destinations')
+        .set('x-api-key', apiKey)
+        .send({
+          name: 'CRM',
+          url: 'https://crm.example.com/hooks',
+          filter: { events: ['sign_up'] },
+          mapping: [{ to: 'contact.id', from: 'userId' }, { to: 'name', from: 'event' }]
+        })
+        .expect(201);
+
+      const destination = created.body.data.destination;
+      expect(destination.secret).toMatch(/^whsec_/);
+
+      const fetched = await request(app)
+        .get(`/api/destinations/${destination.id}`)
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(fetched.body.data.destination).not.toHaveProperty('secret');
+      expect(fetched.body.data.destination.deliveries).toEqual({ pending: 0, succeeded: 0, failed: 0 });
+
+      const deliveries = await request(app)
+        .get(`/api/destinations/${destination.id}/deliveries?status=failed`)
+        .set('x-api-key', apiKey)
+        .expect(200);
+
+      expect(deliveries.body.data).toHaveProperty('deliveries');
+
+      await request(app)
+        .post(`/api/destinations/${destination.id}/deliveries/redeliver`)
+        .set('x-api-key', apiKey)
+        .send({})
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/destinations/${destination.id}`)
+        .set('x-api-key', apiKey)
+        .expect(200);
+    });
+  });
+
+  describe('Raw Event Archive', () => {
+    it('should archive accepted payloads as sent', async () => {
+      const response = await request(app)
+        .post('/api/analytics/collect')
+        .set('x-api-key', apiKey)
+        .send({
+          event: 'archived_event',
+          url: 'https://testapp.com/archive',
+          anonymousId: 'archive-visitor'
+        })
+        .expect(202);
+
+      await stopArchiver();
+
+      const lines = [];
+      for await (const line of readArchive(testApp.id)) {
+        lines.push(line);
+      }
+
+      const archived = lines.find(line => line.body.event === 'archived_event');
+      expect(archived).toHaveProperty('endpoint', 'POST /api/analytics/collect');
+      expect(archived).toHaveProperty('eventId', response.body.eventId);
+      expect(archived.headers).not.toHaveProperty('x-api-key');
+    });
+  });
+
   describe('Health Check', () => {
     it('should return health status', async () => {
       const response = await request(app)
@@ -0,0 +1,13 @@
+const { applyTestEnv } = require('./env');
+
+applyTestEnv();
+
+const { startServices, stopServices } = require('../src/services/lifecycle');
+
+beforeAll(async () => {
+  await startServices();
+});
+
+afterAll(async () => {
+  await stopServices();
+});
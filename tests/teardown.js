@@ -0,0 +1,22 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const redis = require('redis');
+const { applyTestEnv } = require('./env');
+
+/**
+ * Drop what the suite left in the test databases and the archive directory
+ */
+module.exports = async () => {
+  applyTestEnv();
+
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.close();
+
+  const redisClient = redis.createClient({ url: process.env.REDIS_URL });
+  await redisClient.connect();
+  await redisClient.flushDb();
+  await redisClient.quit();
+
+  fs.rmSync(process.env.ARCHIVE_DIR, { recursive: true, force: true });
+};